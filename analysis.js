@@ -0,0 +1,174 @@
+// CRT simulation - analysis.js
+// DOM-free parameter sweeps for calibration curves: simulated tracks next to the first-order textbook prediction,
+// deflection sensitivity and where the response stops being linear. Runs in the browser (window.CRTAnalysis, after
+// physics.js) and in Node (require('./analysis.js')).
+
+(function (root, factory) {
+  const physics = typeof module === 'object' && module.exports ? require('./physics.js') : root.CRTPhysics;
+  const api = factory(physics);
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CRTAnalysis = api;
+})(typeof self !== 'undefined' ? self : this, function (CRTPhysics) {
+  // Quantities a sweep can vary. Values are in `unit`; `scale` converts them to SI. `target` says whether the value is a
+  // computeTrack param or a geometry key, `range` is a sensible default sweep, and `deflection` marks the inputs the
+  // hit position should follow linearly.
+  const SWEEP_PARAMETERS = {
+    V_plate: {label: 'Y deflection voltage', unit: 'V', scale: 1, target: 'params', range: [-100, 100], deflection: true},
+    V_hplate: {label: 'X deflection voltage', unit: 'V', scale: 1, target: 'params', range: [-100, 100], deflection: true},
+    I_coil: {label: 'Coil current', unit: 'mA', scale: 1e-3, target: 'params', range: [-1000, 1000], deflection: true},
+    B_cross: {label: 'Crossed B field', unit: 'mT', scale: 1e-3, target: 'params', range: [-1, 1], deflection: true},
+    V_acc: {label: 'Accelerating voltage', unit: 'V', scale: 1, target: 'params', range: [500, 10000]},
+    plate_length_m: {label: 'Y plate length', unit: 'cm', scale: 1e-2, target: 'geometry', range: [2, 12]},
+    plate_spacing_m: {label: 'Y plate spacing', unit: 'mm', scale: 1e-3, target: 'geometry', range: [4, 30]},
+    plate_x_m: {label: 'Y plate position', unit: 'cm', scale: 1e-2, target: 'geometry', range: [5, 20]},
+  };
+
+  // Measured quantities, in SI; `scale` converts them to `unit` for display by division
+  const OUTPUTS = {
+    hit_y: {label: 'Screen hit y', unit: 'mm', scale: 1e-3},
+    hit_x: {label: 'Screen hit x', unit: 'mm', scale: 1e-3},
+    exit_angle: {label: 'Exit angle from the Y plates', unit: '°', scale: Math.PI / 180},
+    transit_time: {label: 'Transit time to the screen', unit: 'ns', scale: 1e-9},
+  };
+
+  // Outputs of a computed track: the hit on the screen face (x to the viewer's right, y up, from the tube axis), the
+  // vertical angle of the beam leaving the Y plates and the flight time from the gun. All null if the track was stopped
+  // before the screen.
+  function measureTrack(geometry, track) {
+    if (track.blocked) return {hit_y: null, hit_x: null, exit_angle: null, transit_time: null};
+    const samples = track.samples;
+    const exit = CRTPhysics.interpolateAtX(samples, geometry.plate_x_m + geometry.plate_length_m);
+    return {
+      hit_y: track.y_screen_m - geometry.height_m / 2,
+      hit_x: -track.z_screen_m,
+      exit_angle: Math.atan2(exit.vy, exit.vx),
+      transit_time: samples[samples.length - 1].t - samples[0].t,
+    };
+  }
+
+  // First-order textbook prediction of the same outputs: the electron crosses the tube on the axis at the speed V_acc
+  // gives it, every field only adds a small sideways momentum kick, and each kick tilts the beam by (kick / momentum)
+  // from where it acts. For uniform plates of length L and gap d this is the familiar y = L D V_plate / (2 d V_acc),
+  // with D from the middle of the plates to the screen; a crossed field B_cross between the Y plates takes v B_cross
+  // off E there, and the coil kick is summed along the axis through its field. The screen is taken as flat and the exit
+  // angle counts the plates alone.
+  const coilSteps = 400;
+  function analyticTrack(geometry, params) {
+    const {V_acc, V_plate = 0, V_hplate = 0, I_coil = 0, B_cross = 0, isRel = false} = params;
+    const particle = CRTPhysics.particleOf(params);
+    const speed = CRTPhysics.computeInitialSpeed(V_acc, isRel, particle);
+    const momentum = (isRel ? CRTPhysics.computeLorentzFactor(V_acc, particle) : 1) * particle.mass * speed;
+    const q = particle.charge;
+    const screenX = geometry.screen_x_m;
+    // the plate fields as in CRTPhysics.plateFields: E_y = -V_plate / d, E_z = V_hplate / d, and B_z = -B_cross
+    // between the Y plates, whose force q (v × B)_y = q v B_cross adds to q E_y
+    const L = geometry.plate_length_m;
+    const angleY = q * (-V_plate / (geometry.plate_spacing_m || 0.010) + speed * B_cross) * (L / speed) / momentum;
+    let y = angleY * (screenX - geometry.plate_x_m - L / 2);
+    const Lh = geometry.hplate_length_m;
+    const angleZ = q * (V_hplate / (geometry.hplate_spacing_m || 0.010)) * (Lh / speed) / momentum;
+    let z = angleZ * (screenX - geometry.hplate_x_m - Lh / 2);
+    if (I_coil) {
+      // dp = q v × B dt = q (x̂ × B) dx = q (0, -B_z, B_y) dx along the axis
+      const dx = (screenX - geometry.gun_x_m) / coilSteps;
+      for (let i = 0; i < coilSteps; i++) {
+        const x = geometry.gun_x_m + (i + 0.5) * dx;
+        const B = CRTPhysics.coilField(geometry, I_coil, x, geometry.height_m / 2, 0);
+        y += (-q * B[2] * dx / momentum) * (screenX - x);
+        z += (q * B[1] * dx / momentum) * (screenX - x);
+      }
+    }
+    return {
+      hit_y: y,
+      hit_x: -z,
+      exit_angle: Math.atan(angleY),
+      transit_time: (screenX - geometry.gun_x_m) / speed,
+    };
+  }
+
+  // `points` evenly spaced values from `from` to `to`
+  function sweepValues(from, to, points) {
+    if (points < 2) return [from];
+    return Array.from({length: points}, (_, i) => from + (to - from) * i / (points - 1));
+  }
+
+  // Geometry and params with one sweep parameter set to `value` (in the parameter's unit); the inputs are not changed
+  function applySweepValue(geometry, params, parameter, value) {
+    const spec = SWEEP_PARAMETERS[parameter];
+    const set = {[parameter]: value * spec.scale};
+    return spec.target === 'geometry'
+      ? {geometry: Object.assign({}, geometry, set), params}
+      : {geometry, params: Object.assign({}, params, set)};
+  }
+
+  // One sweep point: {value, blocked, simulated, analytic} with the outputs of the traced track and of the textbook
+  // model. `options` are passed on to computeTrack; pass a function of the geometry instead when the sweep changes the
+  // geometry and the options depend on it (solved field maps, for one).
+  function sweepPoint(geometry, params, parameter, value, options = {}) {
+    const point = applySweepValue(geometry, params, parameter, value);
+    const trackOptions = typeof options === 'function' ? options(point.geometry) : options;
+    const track = CRTPhysics.computeTrack(point.geometry, point.params, trackOptions);
+    return {
+      value,
+      blocked: track.blocked,
+      simulated: measureTrack(point.geometry, track),
+      analytic: analyticTrack(point.geometry, point.params),
+    };
+  }
+
+  function sweep(geometry, params, parameter, values, options = {}) {
+    return values.map(value => sweepPoint(geometry, params, parameter, value, options));
+  }
+
+  // Deflection sensitivity of one plate pair (axis 'y' or 'x') at the present settings, in meters on the screen per
+  // volt: {simulated, analytic}. The simulated value is a central difference over ±dV and is null if either track is
+  // stopped; the textbook model is linear, so its value holds at any voltage.
+  function deflectionSensitivity(geometry, params, axis, options = {}, dV = 1) {
+    const parameter = axis === 'y' ? 'V_plate' : 'V_hplate';
+    const output = axis === 'y' ? 'hit_y' : 'hit_x';
+    const V = params[parameter] || 0;
+    const [low, high] = [V - dV, V + dV].map(value => sweepPoint(geometry, params, parameter, value, options));
+    const simulated = low.blocked || high.blocked ? null : (high.simulated[output] - low.simulated[output]) / (2 * dV);
+    return {simulated, analytic: (high.analytic[output] - low.analytic[output]) / (2 * dV)};
+  }
+
+  // Where a swept output stops following a straight line, on each side of the point nearest zero: the line has the
+  // slope of the simulated curve there, and a point departs from it when the difference exceeds `tolerance` of the
+  // line's own change, or when its track was stopped. Returns {below, above}, each {value, reason} with reason the
+  // name of what stopped the track or 'nonlinear', or null if the curve stays linear to the end of the sweep.
+  function nonlinearityOnset(points, output, tolerance = 0.01) {
+    if (points.length < 3) return {below: null, above: null};
+    let r = 0;
+    points.forEach((p, i) => { if (Math.abs(p.value) < Math.abs(points[r].value)) r = i; });
+    const reference = points[r];
+    if (reference.blocked) return {below: {value: reference.value, reason: reference.blocked}, above: {value: reference.value, reason: reference.blocked}};
+    const a = points[Math.max(0, r - 1)];
+    const b = points[Math.min(points.length - 1, r + 1)];
+    const slope = a.blocked || b.blocked ? null : (b.simulated[output] - a.simulated[output]) / (b.value - a.value);
+    const onset = step => {
+      for (let i = r + step; i >= 0 && i < points.length; i += step) {
+        const p = points[i];
+        if (p.blocked) return {value: p.value, reason: p.blocked};
+        if (slope === null) continue;
+        const change = slope * (p.value - reference.value);
+        const deviation = p.simulated[output] - reference.simulated[output] - change;
+        if (Math.abs(deviation) > tolerance * Math.abs(change)) return {value: p.value, reason: 'nonlinear'};
+      }
+      return null;
+    };
+    return {below: onset(-1), above: onset(1)};
+  }
+
+  return {
+    SWEEP_PARAMETERS,
+    OUTPUTS,
+    measureTrack,
+    analyticTrack,
+    sweepValues,
+    applySweepValue,
+    sweepPoint,
+    sweep,
+    deflectionSensitivity,
+    nonlinearityOnset,
+  };
+});
@@ -0,0 +1,89 @@
+// CRT simulation - cathode.js
+// DOM-free thermionic cathode model: Monte Carlo sampling of where and how electrons leave the emitter, and statistics
+// of the spot they make on the screen. Runs in the browser (window.CRTCathode) and in Node (require('./cathode.js')).
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CRTCathode = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  const BOLTZMANN_EV = 8.617e-5; // Boltzmann constant in eV/K
+
+  // Small seeded generator (mulberry32) returning uniform numbers in [0, 1), so tests and repeated runs can be reproduced
+  function createRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // One emitted electron for cathode {temperature (K), radius (m)}: {y, z} position on the emitter disk (uniform over its
+  // area) and the emission {energy (eV), theta, phi} that CRTPhysics.computeTrack takes.
+  // Electrons crossing the surface of a Maxwell-Boltzmann gas carry the flux-weighted distribution
+  // f(E) ~ E exp(-E / kT), mean 2 kT, with a cosine (Lambert) angular law, so sin^2(theta) is uniform.
+  // An optional cathode.density(r) in [0, 1] weights the emitting area, e.g. by the current density a gun draws from
+  // each radius; it must be non-zero somewhere on the disk.
+  function sampleEmission(cathode, random = Math.random) {
+    const kT = BOLTZMANN_EV * cathode.temperature;
+    let r = cathode.radius * Math.sqrt(random());
+    if (cathode.density) {
+      while (random() >= cathode.density(r)) r = cathode.radius * Math.sqrt(random());
+    }
+    const angle = 2 * Math.PI * random();
+    // sum of two exponentials is the gamma(2) energy distribution; 1 - u keeps the logarithm finite
+    const energy = -kT * (Math.log(1 - random()) + Math.log(1 - random()));
+    return {
+      y: r * Math.cos(angle),
+      z: r * Math.sin(angle),
+      energy,
+      theta: Math.asin(Math.sqrt(random())),
+      phi: 2 * Math.PI * random(),
+    };
+  }
+
+  // Summary of a set of hit positions along one axis: mean, RMS size (standard deviation about the mean) and the full
+  // width at half maximum of a histogram spanning ±4 RMS, with {start, binWidth, counts} for drawing it. The default
+  // bin count grows as the square root of the sample size so small samples still give a usable FWHM.
+  // Returns null for an empty set.
+  function spotStatistics(values, bins = Math.min(40, Math.max(8, Math.round(Math.sqrt(values.length))))) {
+    const count = values.length;
+    if (count === 0) return null;
+    const mean = values.reduce((sum, v) => sum + v, 0) / count;
+    const rms = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / count);
+    const counts = new Array(bins).fill(0);
+    if (rms === 0) {
+      counts[Math.floor(bins / 2)] = count;
+      return {count, mean, rms, fwhm: 0, start: mean, binWidth: 0, counts};
+    }
+    const start = mean - 4 * rms;
+    const binWidth = 8 * rms / bins;
+    values.forEach(v => {
+      const b = Math.floor((v - start) / binWidth);
+      if (b >= 0 && b < bins) counts[b]++;
+    });
+    // walk out from the peak to the first bins below half of it, interpolating between bin centers
+    let peak = 0;
+    for (let b = 1; b < bins; b++) if (counts[b] > counts[peak]) peak = b;
+    const half = counts[peak] / 2;
+    const crossing = (step) => {
+      let b = peak;
+      while (b + step >= 0 && b + step < bins && counts[b + step] >= half) b += step;
+      const next = b + step;
+      const outside = next >= 0 && next < bins ? counts[next] : 0;
+      return b + step * (counts[b] - half) / (counts[b] - outside);
+    };
+    const fwhm = (crossing(1) - crossing(-1)) * binWidth;
+    return {count, mean, rms, fwhm, start, binWidth, counts};
+  }
+
+  return {
+    BOLTZMANN_EV,
+    createRandom,
+    sampleEmission,
+    spotStatistics,
+  };
+});
@@ -0,0 +1,115 @@
+// CRT simulation - experiment.js
+// DOM-free experiment records: parameter grids, one flat record per traced electron and CSV output for spreadsheets
+// and analysis scripts. Runs in the browser (window.CRTExperiment, after physics.js) and in Node
+// (require('./experiment.js')).
+
+(function (root, factory) {
+  const physics = typeof module === 'object' && module.exports ? require('./physics.js') : root.CRTPhysics;
+  const api = factory(physics);
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CRTExperiment = api;
+})(typeof self !== 'undefined' ? self : this, function (CRTPhysics) {
+  const FORMAT = 'crt-experiment';
+  const FORMAT_VERSION = 1;
+
+  // Every combination of the axis values, [{parameter, values}] -> [{parameter: value, ...}], the first axis varying
+  // slowest. No axes gives a single empty combination (one run at the present settings).
+  function gridPoints(axes) {
+    return axes.reduce((points, axis) => {
+      const out = [];
+      points.forEach(point => axis.values.forEach(value => out.push(Object.assign({}, point, {[axis.parameter]: value}))));
+      return out;
+    }, [{}]);
+  }
+
+  // Velocity and time where the track crosses x, or null if it ended before getting there
+  function crossing(samples, x) {
+    if (samples[samples.length - 1].x < x) return null;
+    return CRTPhysics.interpolateAtX(samples, x);
+  }
+
+  // Flat record of one traced electron. `labels` ({run, electron, ...}) come first, then the computeTrack params, what
+  // stopped the electron ('' if it reached the screen), the screen hit (screen face coordinates in meters from the
+  // tube axis, x to the viewer's right, and `pixel` {i, j} if given), where the track ended, the velocity and time at
+  // the exit of each plate pair and the time of flight. Values that do not exist for the track are null. `path` holds
+  // every sample {t, x, y, z, vx, vy, vz} in SI units.
+  function shotRecord(geometry, params, track, labels = {}, pixel = null) {
+    const samples = track.samples;
+    const last = samples[samples.length - 1];
+    const hit = !track.blocked;
+    const yExit = crossing(samples, geometry.plate_x_m + geometry.plate_length_m);
+    const xExit = crossing(samples, geometry.hplate_x_m + geometry.hplate_length_m);
+    const t0 = samples[0].t;
+    return Object.assign({}, labels, {
+      V_acc: params.V_acc,
+      V_plate: params.V_plate,
+      V_hplate: params.V_hplate || 0,
+      I_coil: params.I_coil || 0,
+      B_cross: params.B_cross || 0,
+      V_grid: params.V_grid === undefined ? null : params.V_grid,
+      V_focus: params.V_focus === undefined ? null : params.V_focus,
+      isRel: !!params.isRel,
+      method: params.method || 'boris',
+      charge_C: CRTPhysics.particleOf(params).charge,
+      mass_kg: CRTPhysics.particleOf(params).mass,
+      blocked: track.blocked || '',
+      hit_x_m: hit ? track.x_screen_m : null,
+      hit_sx_m: hit ? -track.z_screen_m : null,
+      hit_sy_m: hit ? track.y_screen_m - geometry.height_m / 2 : null,
+      hit_i_px: hit && pixel ? pixel.i : null,
+      hit_j_px: hit && pixel ? pixel.j : null,
+      end_x_m: last.x,
+      end_y_m: last.y,
+      end_z_m: last.z,
+      y_exit_vx: yExit ? yExit.vx : null,
+      y_exit_vy: yExit ? yExit.vy : null,
+      y_exit_vz: yExit ? yExit.vz : null,
+      y_exit_t_s: yExit ? yExit.t - t0 : null,
+      x_exit_vx: xExit ? xExit.vx : null,
+      x_exit_vy: xExit ? xExit.vy : null,
+      x_exit_vz: xExit ? xExit.vz : null,
+      x_exit_t_s: xExit ? xExit.t - t0 : null,
+      transit_s: hit ? last.t - t0 : null,
+      path: samples.map(s => ({t: s.t - t0, x: s.x, y: s.y, z: s.z, vx: s.vx, vy: s.vy, vz: s.vz})),
+    });
+  }
+
+  // One CSV field: numbers at full precision, null as an empty field, text quoted when it needs to be
+  function csvField(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCSV(columns, rows) {
+    const lines = [columns.map(csvField).join(',')];
+    rows.forEach(row => lines.push(columns.map(c => csvField(row[c])).join(',')));
+    return lines.join('\n') + '\n';
+  }
+
+  // One row per electron with every field of its record except the path
+  function shotsToCSV(records) {
+    if (records.length === 0) return '';
+    const columns = Object.keys(records[0]).filter(key => key !== 'path');
+    return toCSV(columns, records);
+  }
+
+  // One row per path sample, labelled with its record's `run` and `electron`
+  function pathsToCSV(records) {
+    const rows = [];
+    records.forEach(record => record.path.forEach(s => rows.push(Object.assign({run: record.run, electron: record.electron}, s))));
+    return toCSV(['run', 'electron', 't', 'x', 'y', 'z', 'vx', 'vy', 'vz'], rows);
+  }
+
+  return {
+    FORMAT,
+    FORMAT_VERSION,
+    gridPoints,
+    shotRecord,
+    csvField,
+    toCSV,
+    shotsToCSV,
+    pathsToCSV,
+  };
+});
@@ -0,0 +1,292 @@
+// CRT simulation - fieldsolver.js
+// DOM-free finite-difference solver for the electrostatic field of a deflection plate pair, including the fringing field
+// beyond the plate ends. Runs in the browser (window.CRTFieldSolver) and in Node (require('./fieldsolver.js')).
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CRTFieldSolver = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Solve Laplace's equation in the plane of one plate pair: x along the tube and t across the gap, measured from the
+  // tube axis. The plates are thin sheets at t = ±spacing/2 from `start` to `start + length`, held at +0.5 V and -0.5 V
+  // (a unit potential difference, so the field for any plate voltage is the solution scaled by that voltage). The box
+  // edges, `margin` gap widths beyond the plates in every direction, are grounded like the tube's shield.
+  // Successive over-relaxation with the optimal factor for the grid; the cell size divides both the half gap and the
+  // plate length exactly so the electrodes sit on grid nodes.
+  // Returns the field map {x0, t0, hx, ht, nx, nt, phi, Ex, Et, iterations, residual} with per-node potential and field
+  // (V/m per volt across the plates).
+  function solvePlatePair(plate, options = {}) {
+    const {start, length, spacing} = plate;
+    const {cellsPerHalfGap = 4, margin = 4, tolerance = 1e-9, maxIterations = 20000} = options;
+    const ht = spacing / (2 * cellsPerHalfGap);
+    const plateCells = Math.max(2, Math.round(length / ht));
+    const hx = length / plateCells;
+    const marginX = Math.ceil(margin * spacing / hx);
+    const halfT = cellsPerHalfGap + Math.ceil(margin * spacing / ht);
+    const nx = plateCells + 2 * marginX + 1;
+    const nt = 2 * halfT + 1;
+    const x0 = start - marginX * hx;
+    const t0 = -halfT * ht;
+    const phi = new Float64Array(nx * nt);
+    const fixed = new Uint8Array(nx * nt);
+    const index = (i, j) => j * nx + i;
+
+    for (let i = 0; i < nx; i++) {
+      fixed[index(i, 0)] = 1;
+      fixed[index(i, nt - 1)] = 1;
+    }
+    for (let j = 0; j < nt; j++) {
+      fixed[index(0, j)] = 1;
+      fixed[index(nx - 1, j)] = 1;
+    }
+    const jTop = halfT + cellsPerHalfGap;
+    const jBottom = halfT - cellsPerHalfGap;
+    for (let i = marginX; i <= marginX + plateCells; i++) {
+      fixed[index(i, jTop)] = 1;
+      phi[index(i, jTop)] = 0.5;
+      fixed[index(i, jBottom)] = 1;
+      phi[index(i, jBottom)] = -0.5;
+      // start from the uniform field between the plates to cut the number of sweeps
+      for (let j = jBottom + 1; j < jTop; j++) phi[index(i, j)] = (j - halfT) * ht / spacing;
+    }
+
+    const ax = 1 / (hx * hx);
+    const at = 1 / (ht * ht);
+    const diag = 2 * (ax + at);
+    // Jacobi spectral radius for the rectangle and the matching optimal over-relaxation factor
+    const rho = (ax * Math.cos(Math.PI / (nx - 1)) + at * Math.cos(Math.PI / (nt - 1))) / (ax + at);
+    const omega = 2 / (1 + Math.sqrt(1 - rho * rho));
+    let iterations = 0;
+    let residual = Infinity;
+    while (iterations < maxIterations && residual > tolerance) {
+      residual = 0;
+      for (let j = 1; j < nt - 1; j++) {
+        for (let i = 1; i < nx - 1; i++) {
+          const k = j * nx + i;
+          if (fixed[k]) continue;
+          const gaussSeidel = (ax * (phi[k - 1] + phi[k + 1]) + at * (phi[k - nx] + phi[k + nx])) / diag;
+          const delta = omega * (gaussSeidel - phi[k]);
+          phi[k] += delta;
+          if (Math.abs(delta) > residual) residual = Math.abs(delta);
+        }
+      }
+      iterations++;
+    }
+
+    // E = -grad(phi) by central differences (one-sided on the box edges)
+    const Ex = new Float64Array(nx * nt);
+    const Et = new Float64Array(nx * nt);
+    for (let j = 0; j < nt; j++) {
+      for (let i = 0; i < nx; i++) {
+        const k = j * nx + i;
+        const iw = Math.max(0, i - 1);
+        const ie = Math.min(nx - 1, i + 1);
+        const js = Math.max(0, j - 1);
+        const jn = Math.min(nt - 1, j + 1);
+        Ex[k] = -(phi[j * nx + ie] - phi[j * nx + iw]) / ((ie - iw) * hx);
+        Et[k] = -(phi[jn * nx + i] - phi[js * nx + i]) / ((jn - js) * ht);
+      }
+    }
+    return {x0, t0, hx, ht, nx, nt, phi, Ex, Et, iterations, residual};
+  }
+
+  // Field maps for both plate pairs of a tube geometry (see CRTPhysics.DEFAULT_GEOMETRY)
+  function solveGeometry(geometry, options) {
+    return {
+      y: solvePlatePair({start: geometry.plate_x_m, length: geometry.plate_length_m, spacing: geometry.plate_spacing_m}, options),
+      x: solvePlatePair({start: geometry.hplate_x_m, length: geometry.hplate_length_m, spacing: geometry.hplate_spacing_m}, options),
+    };
+  }
+
+  // Equipotential line segments [[x1, t1, x2, t2], ...] of a map at `level` volts (per volt across the plates),
+  // by marching squares
+  function contourSegments(map, level) {
+    const {x0, t0, hx, ht, nx, nt, phi} = map;
+    const segments = [];
+    const lerp = (a, b) => (level - a) / (b - a);
+    for (let j = 0; j < nt - 1; j++) {
+      for (let i = 0; i < nx - 1; i++) {
+        const v00 = phi[j * nx + i];
+        const v10 = phi[j * nx + i + 1];
+        const v01 = phi[(j + 1) * nx + i];
+        const v11 = phi[(j + 1) * nx + i + 1];
+        const crossings = [];
+        if ((v00 < level) !== (v10 < level)) crossings.push([i + lerp(v00, v10), j]);
+        if ((v10 < level) !== (v11 < level)) crossings.push([i + 1, j + lerp(v10, v11)]);
+        if ((v01 < level) !== (v11 < level)) crossings.push([i + lerp(v01, v11), j + 1]);
+        if ((v00 < level) !== (v01 < level)) crossings.push([i, j + lerp(v00, v01)]);
+        // saddle cells have four crossings; pairing them in order is good enough for a display overlay
+        for (let c = 0; c + 1 < crossings.length; c += 2) {
+          const [a, b] = [crossings[c], crossings[c + 1]];
+          segments.push([x0 + a[0] * hx, t0 + a[1] * ht, x0 + b[0] * hx, t0 + b[1] * ht]);
+        }
+      }
+    }
+    return segments;
+  }
+
+  // Layout of the electron gun in meters from the cathode face, all electrodes round about the tube axis: the emitting
+  // cathode disk set in a Wehnelt cup, the Wehnelt (control grid) aperture just in front of it, the first anode, and a
+  // beam-limiting aperture in the first lens tube, and an einzel lens of three tubes whose middle one is the focus
+  // electrode (the outer two are tied to the anode).
+  const DEFAULT_GUN = {
+    cathodeRadius: 1.0e-3,
+    gridX: 0.25e-3,
+    gridAperture: 0.4e-3,
+    anodeX: 2.0e-3,
+    anodeAperture: 0.5e-3,
+    triodeRadius: 2.0e-3, // Wehnelt cup and anode radius
+    limitX: 8e-3, // beam-limiting aperture, at anode potential
+    limitAperture: 0.25e-3,
+    lensRadius: 4.0e-3, // bore of the einzel lens tubes
+    lensGap: 1.0e-3,
+    focusStart: 17e-3,
+    focusEnd: 27e-3,
+    lensEnd: 45e-3, // end of the last lens tube; the beam then drifts at anode potential
+    exitX: 57e-3, // end of the solved region
+  };
+
+  // Successive over-relaxation for Laplace's equation in cylindrical coordinates (x along the axis, r out from it) on an
+  // nx by nr grid with spacings hx, hr. `fixed(i, j)` returns the potential of an electrode or box node, or undefined for
+  // a free one; the axis row (j = 0) is free and uses the symmetric form of the Laplacian there.
+  // Returns a map like solvePlatePair's, with t = r >= 0 and Et = E_r (zero on the axis).
+  function solveAxisymmetric(x0, hx, hr, nx, nr, fixed, options = {}) {
+    const {tolerance = 1e-9, maxIterations = 20000} = options;
+    const phi = new Float64Array(nx * nr);
+    const free = new Uint8Array(nx * nr);
+    for (let j = 0; j < nr; j++) {
+      for (let i = 0; i < nx; i++) {
+        const v = fixed(i, j);
+        if (v === undefined) free[j * nx + i] = 1;
+        else phi[j * nx + i] = v;
+      }
+    }
+    const ax = 1 / (hx * hx);
+    const ar = 1 / (hr * hr);
+    // the 1/r dphi/dr term weights the outer and inner neighbours differently in each row
+    const north = new Float64Array(nr);
+    const south = new Float64Array(nr);
+    const diag = new Float64Array(nr);
+    north[0] = 4 * ar;
+    diag[0] = 2 * ax + 4 * ar;
+    for (let j = 1; j < nr; j++) {
+      north[j] = ar * (1 + 1 / (2 * j));
+      south[j] = ar * (1 - 1 / (2 * j));
+      diag[j] = 2 * (ax + ar);
+    }
+    const rho = (ax * Math.cos(Math.PI / (nx - 1)) + ar * Math.cos(Math.PI / (nr - 1))) / (ax + ar);
+    const omega = 2 / (1 + Math.sqrt(1 - rho * rho));
+    let iterations = 0;
+    let residual = Infinity;
+    while (iterations < maxIterations && residual > tolerance) {
+      residual = 0;
+      for (let j = 0; j < nr - 1; j++) {
+        for (let i = 1; i < nx - 1; i++) {
+          const k = j * nx + i;
+          if (!free[k]) continue;
+          const inner = j > 0 ? south[j] * phi[k - nx] : 0;
+          const gaussSeidel = (ax * (phi[k - 1] + phi[k + 1]) + north[j] * phi[k + nx] + inner) / diag[j];
+          const delta = omega * (gaussSeidel - phi[k]);
+          phi[k] += delta;
+          if (Math.abs(delta) > residual) residual = Math.abs(delta);
+        }
+      }
+      iterations++;
+    }
+    const Ex = new Float64Array(nx * nr);
+    const Et = new Float64Array(nx * nr);
+    for (let j = 0; j < nr; j++) {
+      for (let i = 0; i < nx; i++) {
+        const k = j * nx + i;
+        const iw = Math.max(0, i - 1);
+        const ie = Math.min(nx - 1, i + 1);
+        const jn = Math.min(nr - 1, j + 1);
+        const js = Math.max(0, j - 1);
+        Ex[k] = -(phi[j * nx + ie] - phi[j * nx + iw]) / ((ie - iw) * hx);
+        Et[k] = j === 0 ? 0 : -(phi[jn * nx + i] - phi[js * nx + i]) / ((jn - js) * hr);
+      }
+    }
+    return {x0, t0: 0, hx, ht: hr, nx, nt: nr, phi, Ex, Et, iterations, residual};
+  }
+
+  // Unit-potential field maps of the gun with its cathode face at cathodeX. Potentials add linearly, so for grid
+  // voltage Vg, anode voltage Va and focus voltage Vf (all relative to the cathode) the potential is
+  //   Vg * triode.grid + Va * triode.anode   around the cathode, grid and anode (fine grid), and
+  //   Va + (Vf - Va) * lens.focus             in the einzel lens (coarse grid),
+  // each map holding the potential for 1 V on its electrode with the others at 0. Gaps between electrodes on the outer
+  // wall are bridged linearly. Also returns the layout and the electrodes that stop electrons: apertures [{name, x,
+  // radius}] and tubes [{name, start, end, radius}], in absolute x.
+  function solveGun(cathodeX, gun = DEFAULT_GUN, options = {}) {
+    const {triodeCell = 25e-6, lensCell = 1e-4} = options;
+    const cell = (length, h) => Math.round(length / h);
+    const tnx = cell(gun.anodeX + 2e-3, triodeCell) + 1;
+    const tnr = cell(gun.triodeRadius, triodeCell) + 1;
+    const iGrid = cell(gun.gridX, triodeCell);
+    const iAnode = cell(gun.anodeX, triodeCell);
+    const jCathode = cell(gun.cathodeRadius, triodeCell);
+    const jGrid = cell(gun.gridAperture, triodeCell);
+    const jAnode = cell(gun.anodeAperture, triodeCell);
+    const triodeElectrode = (grid, anode) => (i, j) => {
+      if (i === 0) return j <= jCathode ? 0 : grid;
+      if (i === iGrid && j >= jGrid) return grid;
+      if (i === iAnode && j >= jAnode) return anode;
+      if (i === tnx - 1) return anode;
+      if (j === tnr - 1) {
+        if (i <= iGrid) return grid;
+        if (i >= iAnode) return anode;
+        return grid + (anode - grid) * (i - iGrid) / (iAnode - iGrid);
+      }
+      return undefined;
+    };
+    const triode = {
+      grid: solveAxisymmetric(cathodeX, triodeCell, triodeCell, tnx, tnr, triodeElectrode(1, 0), options),
+      anode: solveAxisymmetric(cathodeX, triodeCell, triodeCell, tnx, tnr, triodeElectrode(0, 1), options),
+    };
+
+    const lnx = cell(gun.exitX - gun.anodeX, lensCell) + 1;
+    const lnr = cell(gun.lensRadius, lensCell) + 1;
+    const iLimit = cell(gun.limitX - gun.anodeX, lensCell);
+    const jLimit = cell(gun.limitAperture, lensCell);
+    const wall = [
+      [gun.anodeX, 0], [gun.focusStart - gun.lensGap, 0], [gun.focusStart, 1],
+      [gun.focusEnd, 1], [gun.focusEnd + gun.lensGap, 0], [gun.exitX, 0],
+    ];
+    const wallPotential = (x) => {
+      for (let n = 1; n < wall.length; n++) {
+        const [xa, va] = wall[n - 1];
+        const [xb, vb] = wall[n];
+        if (x <= xb) return va + (vb - va) * (x - xa) / (xb - xa);
+      }
+      return 0;
+    };
+    const lens = {
+      focus: solveAxisymmetric(cathodeX + gun.anodeX, lensCell, lensCell, lnx, lnr, (i, j) => {
+        if (i === 0 || i === lnx - 1 || (i === iLimit && j >= jLimit)) return 0;
+        if (j === lnr - 1) return gun.anodeX + i * lensCell <= gun.lensEnd ? wallPotential(gun.anodeX + i * lensCell) : 0;
+        return undefined;
+      }, options),
+    };
+
+    return {
+      layout: gun,
+      cathodeX,
+      triode,
+      lens,
+      apertures: [
+        {name: 'grid', x: cathodeX + gun.gridX, radius: gun.gridAperture},
+        {name: 'anode', x: cathodeX + gun.anodeX, radius: gun.anodeAperture},
+        {name: 'limiting aperture', x: cathodeX + gun.limitX, radius: gun.limitAperture},
+      ],
+      tubes: [{name: 'lens', start: cathodeX + gun.anodeX, end: cathodeX + gun.lensEnd, radius: gun.lensRadius}],
+    };
+  }
+
+  return {
+    DEFAULT_GUN,
+    solveAxisymmetric,
+    solveGun,
+    solvePlatePair,
+    solveGeometry,
+    contourSegments,
+  };
+});
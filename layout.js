@@ -0,0 +1,62 @@
+// CRT simulation - layout.js
+// DOM-free split-pane layout for showing the views side by side: a column splitter and a row splitter divide the area
+// into four panes, the side view and the 3D view above the top view and the screen face. Runs in the browser
+// (window.CRTLayout) and in Node (require('./layout.js')).
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CRTLayout = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Where each view sits: row 0 is the top row and column 0 the left column
+  const PANES = {
+    side: {row: 0, column: 0},
+    '3d': {row: 0, column: 1},
+    top: {row: 1, column: 0},
+    screen: {row: 1, column: 1},
+  };
+  const GUTTER_PX = 6; // width of a splitter
+  const MIN_PANE_PX = 120;
+
+  // Split positions as fractions of the space left beside the splitter: `column` is the share of the width taken by the
+  // left column and `row` the share of the height taken by the top row
+  function createLayout(column = 0.6, row = 0.5) {
+    return {column, row};
+  }
+
+  // Fraction for a splitter dragged to `pointer` pixels from the start of a layout `length` pixels long, kept so that
+  // neither pane gets smaller than MIN_PANE_PX (or half the space, in a layout too small for that)
+  function splitFraction(pointer, length) {
+    const space = Math.max(1, length - GUTTER_PX);
+    const min = Math.min(0.5, MIN_PANE_PX / space);
+    return Math.min(1 - min, Math.max(min, (pointer - GUTTER_PX / 2) / space));
+  }
+
+  // CSS grid tracks for one split: the two panes share what the splitter leaves
+  function gridTracks(fraction) {
+    return `${fraction}fr ${GUTTER_PX}px ${1 - fraction}fr`;
+  }
+
+  // Pixel rectangle {x, y, width, height} of a pane in a layout of width × height pixels
+  function paneRect(layout, pane, width, height) {
+    const {row, column} = PANES[pane];
+    const left = Math.round((width - GUTTER_PX) * layout.column);
+    const top = Math.round((height - GUTTER_PX) * layout.row);
+    return {
+      x: column === 0 ? 0 : left + GUTTER_PX,
+      y: row === 0 ? 0 : top + GUTTER_PX,
+      width: column === 0 ? left : width - GUTTER_PX - left,
+      height: row === 0 ? top : height - GUTTER_PX - top,
+    };
+  }
+
+  return {
+    PANES,
+    GUTTER_PX,
+    MIN_PANE_PX,
+    createLayout,
+    splitFraction,
+    gridTracks,
+    paneRect,
+  };
+});
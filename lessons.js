@@ -0,0 +1,277 @@
+// CRT simulation - lessons.js
+// DOM-free lesson engine: step-by-step exercises read from JSON, with the controls each step sets and locks, targets on
+// the screen face, automatic checking of the student's result against the simulation, hints and a score. Runs in the
+// browser (window.CRTLessons) and in Node (require('./lessons.js')).
+//
+// A lesson file is {format: 'crt-lesson', version: 1, title, description, hintCost, setup, steps}. `setup` holds
+// control values (by element id, as in a scenario) applied over the page defaults when the lesson starts. Each step is
+//   title, text    heading and instructions
+//   setup          control values applied when the step starts
+//   locked         control ids the student cannot change, or true for every control but those in `unlocked`
+//   hidden         ids of page elements (readouts) hidden during the step
+//   hidePreview    hide the previewed track, the predicted spot and the readouts that give it away (PREVIEW_READOUTS)
+//                  until the student fires
+//   target         {x, y, radius} in mm on the screen face seen from the front, drawn on the screen
+//   check          what counts as done (CHECKS)
+//   hints          hint texts, shown one at a time; each costs the lesson's hintCost points
+//   points         score for passing the step
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CRTLessons = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  const FORMAT = 'crt-lesson';
+  const VERSION = 1;
+  const DEFAULT_POINTS = 10;
+  const DEFAULT_HINT_COST = 2;
+
+  // Quantities of a shot the student can be asked to predict, in `unit`
+  const QUANTITIES = {
+    hit_x: {label: 'hit x', unit: 'mm', value: shot => (shot.hit ? shot.hit.x * 1000 : null)},
+    hit_y: {label: 'hit y', unit: 'mm', value: shot => (shot.hit ? shot.hit.y * 1000 : null)},
+    transit_time: {label: 'transit time', unit: 'ns', value: shot => shot.transitTime * 1e9},
+  };
+
+  // Readouts (page element ids) that give the spot away: the predicted hit, those measured from it (the relativistic
+  // correction, the fringing-field shift and the crossed-field balance) and the plate acceleration and deflection
+  // sensitivity it can be worked out from. The page blanks them while a step hides the preview.
+  const PREVIEW_READOUTS = ['hit-x', 'hit-y', 'hit-px', 'rel-diff', 'fringe-shift', 'crossed-balance', 'ay', 'sensitivity-readout'];
+
+  // Checks a step can ask for, each with the result it needs:
+  //   hit      {type: 'hit'}: the last shot landed within the step's target
+  //   clip     {type: 'clip', axis: 'y' | 'x', control, tolerance}: the control (a plate voltage) clips the beam on that
+  //            plate pair, but by no more than tolerance volts
+  //   predict  {type: 'predict', quantity, tolerance}: the answer entered before the last shot was fired is within
+  //            tolerance of the simulated quantity (QUANTITIES)
+  // A result is {controls: {id: value}, shot, limits}: `shot` {hit: {x, y} in meters or null, blocked, transitTime,
+  // prediction} is the last shot fired in this step, or null, and `limits` the plate voltage ranges {y, x} ({min, max}
+  // or null) over which the beam clears the plates.
+  const CHECKS = {
+    hit(check, step, result) {
+      const shot = result.shot;
+      if (!shot) return {passed: false, message: 'fire a shot at the target'};
+      if (!shot.hit) return {passed: false, message: `the beam was stopped by the ${shot.blocked}`};
+      const miss = Math.hypot(shot.hit.x * 1000 - step.target.x, shot.hit.y * 1000 - step.target.y);
+      return miss <= step.target.radius
+        ? {passed: true, message: `on target, ${miss.toFixed(1)} mm from its center`}
+        : {passed: false, message: `missed the target by ${miss.toFixed(1)} mm`};
+    },
+    clip(check, step, result) {
+      const limits = result.limits && result.limits[check.axis];
+      if (!limits) return {passed: false, message: 'the beam does not reach the screen even without deflection'};
+      const value = result.controls[check.control];
+      const limit = value >= 0 ? limits.max : limits.min;
+      const off = Math.abs(value) - Math.abs(limit);
+      if (off > 0 && off <= check.tolerance) return {passed: true, message: `the beam starts to clip at ${limit.toFixed(1)} V`};
+      return {passed: false, message: off <= 0 ? `the beam still clears the plates at ${value} V` : `the beam already clips well before ${value} V`};
+    },
+    predict(check, step, result) {
+      const shot = result.shot;
+      if (!shot) return {passed: false, message: 'enter your prediction, then fire'};
+      if (!Number.isFinite(shot.prediction)) return {passed: false, message: 'enter your prediction before you fire'};
+      const quantity = QUANTITIES[check.quantity];
+      const actual = quantity.value(shot);
+      if (actual === null) return {passed: false, message: `the beam was stopped by the ${shot.blocked}`};
+      const text = `${quantity.label} ${actual.toFixed(2)} ${quantity.unit}, predicted ${shot.prediction} ${quantity.unit}`;
+      return Math.abs(actual - shot.prediction) <= check.tolerance
+        ? {passed: true, message: text}
+        : {passed: false, message: `${text}: more than ${check.tolerance} ${quantity.unit} off`};
+    },
+  };
+
+  // Built-in lessons, in the lesson file format
+  const LESSONS = {
+    'Steering the beam': {
+      format: FORMAT,
+      version: VERSION,
+      title: 'Steering the beam',
+      description: 'Aim the beam with the Y plates, find where it clips, and predict a deflection before firing',
+      steps: [
+        {
+          title: 'Hit the target',
+          text: 'The accelerating voltage is fixed at 2000 V. Set the Y deflection voltage so that the spot lands in the orange target on the screen face, then fire.',
+          setup: {'accel-slider': 2000, 'deflect-slider': 0},
+          locked: ['accel-slider', 'hdeflect-slider'],
+          target: {x: 0, y: 15, radius: 2},
+          check: {type: 'hit'},
+          hints: [
+            'A positive deflection voltage makes the top plate positive, so it pulls the electrons up.',
+            'At 2000 V the spot moves about 0.37 mm per volt on the Y plates.',
+          ],
+        },
+        {
+          title: 'Just clip the beam',
+          text: 'At 500 V the beam is easy to bend. Find the smallest Y deflection voltage at which the beam hits a plate instead of the screen, and press Check.',
+          setup: {'accel-slider': 500, 'deflect-slider': 0},
+          locked: ['accel-slider', 'hdeflect-slider'],
+          hidden: ['deflect-limits'],
+          check: {type: 'clip', axis: 'y', control: 'deflect-slider', tolerance: 1.5},
+          hints: [
+            'Raise the voltage a volt at a time and watch the "Clipping" readout.',
+            'The beam clips when it has moved half the plate gap sideways by the end of the plates.',
+          ],
+        },
+        {
+          title: 'Predict the hit',
+          text: 'The controls are locked at 1000 V and 30 V on the Y plates, and the predicted spot is hidden. Work out how far above the center the spot will land, enter it in mm, then fire.',
+          setup: {'accel-slider': 1000, 'deflect-slider': 30, 'hdeflect-slider': 0},
+          locked: true,
+          hidden: PREVIEW_READOUTS,
+          hidePreview: true,
+          check: {type: 'predict', quantity: 'hit_y', tolerance: 1},
+          hints: [
+            'The deflection on the screen is y = L D V_plate / (2 d V_acc): it grows with the plate voltage and falls with the accelerating voltage.',
+            'At 2000 V, 20 V on the Y plates puts the spot 7.5 mm above the center.',
+          ],
+          points: 20,
+        },
+      ],
+    },
+  };
+
+  function isControlMap(value) {
+    return value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function controlValues(map) {
+    const controls = {};
+    Object.keys(map || {}).forEach(id => {
+      const value = map[id];
+      if (typeof value === 'boolean' || typeof value === 'string' || Number.isFinite(value)) controls[id] = value;
+    });
+    return controls;
+  }
+
+  function stringList(value) {
+    return Array.isArray(value) ? value.filter(id => typeof id === 'string') : [];
+  }
+
+  function parseStep(data, n) {
+    const fail = message => { throw new Error(`step ${n}: ${message}`); };
+    if (!isControlMap(data)) fail('not an object');
+    const check = Object.assign({}, data.check);
+    if (!CHECKS[check.type]) fail(`unknown check type "${check.type}"`);
+    const target = data.target && [data.target.x, data.target.y, data.target.radius].every(Number.isFinite)
+      ? {x: data.target.x, y: data.target.y, radius: data.target.radius}
+      : null;
+    if (check.type === 'hit' && !target) fail('a hit check needs a target {x, y, radius}');
+    if (check.type === 'clip') {
+      if (check.axis !== 'y' && check.axis !== 'x') fail('a clip check needs axis "y" or "x"');
+      if (typeof check.control !== 'string') fail('a clip check needs the id of the plate voltage control');
+      check.tolerance = Number.isFinite(check.tolerance) ? check.tolerance : 1;
+    }
+    if (check.type === 'predict') {
+      if (!QUANTITIES[check.quantity]) fail(`unknown quantity "${check.quantity}"`);
+      if (!(check.tolerance > 0)) fail('a predict check needs a tolerance');
+    }
+    return {
+      title: String(data.title || `Step ${n}`),
+      text: String(data.text || ''),
+      setup: controlValues(data.setup),
+      locked: data.locked === true ? true : stringList(data.locked),
+      unlocked: stringList(data.unlocked),
+      hidden: stringList(data.hidden),
+      hidePreview: data.hidePreview === true,
+      target,
+      check,
+      hints: stringList(data.hints),
+      points: Number.isFinite(data.points) ? data.points : DEFAULT_POINTS,
+    };
+  }
+
+  // Check data read from a file and return it as a lesson with every default filled in; throws an Error saying what is
+  // wrong, and in which step
+  function parseLesson(data) {
+    if (!data || typeof data !== 'object' || data.format !== FORMAT) throw new Error('not a CRT lesson');
+    if (!(data.version >= 1 && data.version <= VERSION)) throw new Error(`unsupported lesson version ${data.version}`);
+    if (!Array.isArray(data.steps) || data.steps.length === 0) throw new Error('a lesson needs at least one step');
+    return {
+      format: FORMAT,
+      version: VERSION,
+      title: String(data.title || 'Lesson'),
+      description: String(data.description || ''),
+      hintCost: Number.isFinite(data.hintCost) ? data.hintCost : DEFAULT_HINT_COST,
+      setup: controlValues(data.setup),
+      steps: data.steps.map((step, i) => parseStep(step, i + 1)),
+    };
+  }
+
+  // A student's way through a parsed lesson
+  function createSession(lesson) {
+    return {
+      lesson,
+      index: 0,
+      steps: lesson.steps.map(() => ({attempts: 0, hints: 0, passed: false, score: 0})),
+      finished: false,
+    };
+  }
+
+  function currentStep(session) {
+    return session.lesson.steps[session.index];
+  }
+
+  // Ids among `ids` (the page's controls) that the step locks
+  function lockedControls(step, ids) {
+    if (step.locked === true) return ids.filter(id => !step.unlocked.includes(id));
+    return ids.filter(id => step.locked.includes(id));
+  }
+
+  // Check the present step against a result (see CHECKS); a pass scores the step's points less the hints taken
+  function checkStep(session, result) {
+    const step = currentStep(session);
+    const state = session.steps[session.index];
+    const outcome = CHECKS[step.check.type](step.check, step, result);
+    state.attempts++;
+    if (outcome.passed && !state.passed) {
+      state.passed = true;
+      state.score = Math.max(0, step.points - state.hints * session.lesson.hintCost);
+    }
+    return outcome;
+  }
+
+  // Next hint of the present step, or null when there are no more
+  function takeHint(session) {
+    const step = currentStep(session);
+    const state = session.steps[session.index];
+    if (state.hints >= step.hints.length) return null;
+    return step.hints[state.hints++];
+  }
+
+  // Move on to the next step, once the present one is passed; false at the end of the lesson
+  function nextStep(session) {
+    if (!session.steps[session.index].passed) return false;
+    if (session.index === session.lesson.steps.length - 1) {
+      session.finished = true;
+      return false;
+    }
+    session.index++;
+    return true;
+  }
+
+  // Score so far {score, max, hints}
+  function sessionScore(session) {
+    return {
+      score: session.steps.reduce((sum, s) => sum + s.score, 0),
+      max: session.lesson.steps.reduce((sum, s) => sum + s.points, 0),
+      hints: session.steps.reduce((sum, s) => sum + s.hints, 0),
+    };
+  }
+
+  return {
+    FORMAT,
+    VERSION,
+    QUANTITIES,
+    PREVIEW_READOUTS,
+    CHECKS,
+    LESSONS,
+    parseLesson,
+    createSession,
+    currentStep,
+    lockedControls,
+    checkStep,
+    takeHint,
+    nextStep,
+    sessionScore,
+  };
+});
@@ -1,10 +1,8 @@
 // CRT simulation - main.js
-// Simple 2D side-view with accelerating voltage, deflection plates (uniform field), and optional magnetic deflection
+// Simple 2D side-view with accelerating voltage, deflection plates (uniform field), and optional magnetic deflection coils
 
-// Physical constants
-const E_CHARGE = 1.602e-19; // magnitude of Coulombs
-const ELECTRON_CHARGE = -E_CHARGE; // electron charge is negative
-const E_MASS = 9.109e-31; // kg
+// Physical constants and kinematics helpers come from the DOM-free physics core (physics.js)
+const {C_LIGHT, computeLorentzFactor, computeInitialSpeed} = CRTPhysics;
 
 // Canvas & UI
 const canvas = document.getElementById('crt-canvas');
@@ -13,19 +11,79 @@ const accelSlider = document.getElementById('accel-slider');
 const deflectSlider = document.getElementById('deflect-slider');
 const accelReadout = document.getElementById('accel-readout');
 const deflectReadout = document.getElementById('deflect-readout');
+const hdeflectSlider = document.getElementById('hdeflect-slider');
+const hdeflectReadout = document.getElementById('hdeflect-readout');
+const hitX = document.getElementById('hit-x');
 const hitY = document.getElementById('hit-y');
 const hitPx = document.getElementById('hit-px');
 const v0Readout = document.getElementById('v0');
 const ayReadout = document.getElementById('ay');
+const gammaReadout = document.getElementById('gamma');
+const betaReadout = document.getElementById('beta');
+const relDiffReadout = document.getElementById('rel-diff');
 const fireBtn = document.getElementById('fire-btn');
 const magneticToggle = document.getElementById('magnetic-toggle');
+const coilCurrentSlider = document.getElementById('coil-current');
+const coilCurrentRead = document.getElementById('coil-current-read');
+const coilTurnsSlider = document.getElementById('coil-turns');
+const coilTurnsRead = document.getElementById('coil-turns-read');
+const coilRadiusSlider = document.getElementById('coil-radius');
+const coilRadiusRead = document.getElementById('coil-radius-read');
+const coilPosSlider = document.getElementById('coil-pos');
+const coilPosRead = document.getElementById('coil-pos-read');
+const coilFieldReadout = document.getElementById('coil-b');
+const coilSensitivityReadout = document.getElementById('coil-sensitivity');
+const crossedToggle = document.getElementById('crossed-toggle');
+const crossedBSlider = document.getElementById('crossed-b');
+const crossedBRead = document.getElementById('crossed-b-read');
+const crossedBalanceReadout = document.getElementById('crossed-balance');
+const clipStatusReadout = document.getElementById('clip-status');
+const deflectLimitsReadout = document.getElementById('deflect-limits');
+const beamLossReadout = document.getElementById('beam-loss');
+const relativisticToggle = document.getElementById('relativistic-toggle');
+const particleSelect = document.getElementById('particle-select');
+const particleChargeInput = document.getElementById('particle-charge');
+const particleMassInput = document.getElementById('particle-mass');
+const particleMixSelect = document.getElementById('particle-mix');
+const particleQmReadout = document.getElementById('particle-qm');
+const integratorSelect = document.getElementById('integrator-select');
+const diagReadout = document.getElementById('integrator-diag');
 const autoFire = document.getElementById('auto-fire');
+const clockPauseBtn = document.getElementById('clock-pause');
+const clockStepBtn = document.getElementById('clock-step');
+const slowMotionSelect = document.getElementById('slow-motion-select');
+const flightSlider = document.getElementById('flight-slider');
+const flightRead = document.getElementById('flight-read');
+const flightPositionReadout = document.getElementById('flight-position');
+const flightVelocityReadout = document.getElementById('flight-velocity');
 // resetBtn and mode3DToggle are already declared above
 const locomotionToggle = document.getElementById('locomotion-toggle');
 const beamWidthSlider = document.getElementById('beam-width-slider');
 const beamWidthRead = document.getElementById('beam-width-read');
+const beamConeToggle = document.getElementById('beam-cone-toggle');
+const beamConeScaleSelect = document.getElementById('beam-cone-scale');
+const beamSectionSlider = document.getElementById('beam-section-slider');
+const beamSectionRead = document.getElementById('beam-section-read');
+const beamSectionStats = document.getElementById('beam-section-stats');
 const resetBtn = document.getElementById('reset-btn');
 const mode3DToggle = document.getElementById('mode-3d');
+const layoutSelect = document.getElementById('layout-select');
+const viewWrap = document.getElementById('view-wrap');
+const sidePane = document.getElementById('side-pane');
+const threePane = document.getElementById('three-pane');
+const topPane = document.getElementById('top-pane');
+const screenPane = document.getElementById('screen-pane');
+const splitColumn = document.getElementById('split-column');
+const splitRow = document.getElementById('split-row');
+const topCanvas = document.getElementById('top-canvas');
+const topCtx = topCanvas.getContext('2d');
+const canvasToolSelect = document.getElementById('canvas-tool');
+const aspectToggle = document.getElementById('aspect-toggle');
+const zoomRead = document.getElementById('zoom-read');
+const zoomResetBtn = document.getElementById('zoom-reset');
+const probeReadout = document.getElementById('probe-readout');
+const probeTrackReadout = document.getElementById('probe-track');
+const measureReadout = document.getElementById('measure-readout');
 const clearHitsBtn = document.getElementById('clear-hits');
 const accumulateHitsToggle = document.getElementById('accumulate-hits');
 const vectorToggle = document.getElementById('vector-toggle');
@@ -35,36 +93,174 @@ const plateLengthSlider = document.getElementById('plate-length-slider');
 const plateLengthRead = document.getElementById('plate-length-read');
 const platePosSlider = document.getElementById('plate-pos-slider');
 const platePosRead = document.getElementById('plate-pos-read');
+const hplateSpacingSlider = document.getElementById('hplate-spacing-slider');
+const hplateSpacingRead = document.getElementById('hplate-spacing-read');
+const hplateLengthSlider = document.getElementById('hplate-length-slider');
+const hplateLengthRead = document.getElementById('hplate-length-read');
+const hplatePosSlider = document.getElementById('hplate-pos-slider');
+const hplatePosRead = document.getElementById('hplate-pos-read');
+const tubeLengthSlider = document.getElementById('tube-length');
+const tubeLengthRead = document.getElementById('tube-length-read');
+const screenDistanceSlider = document.getElementById('screen-distance');
+const screenDistanceRead = document.getElementById('screen-distance-read');
+const screenHeightSlider = document.getElementById('screen-height');
+const screenHeightRead = document.getElementById('screen-height-read');
+const curvedScreenToggle = document.getElementById('curved-screen');
+const screenRadiusSlider = document.getElementById('screen-radius');
+const screenRadiusRead = document.getElementById('screen-radius-read');
+const neckRadiusSlider = document.getElementById('neck-radius');
+const neckRadiusRead = document.getElementById('neck-radius-read');
+const funnelStartSlider = document.getElementById('funnel-start');
+const funnelStartRead = document.getElementById('funnel-start-read');
+const screenCanvas = document.getElementById('screen-canvas');
+const screenCtx = screenCanvas.getContext('2d');
+const screenFaceTitle = document.getElementById('screen-face-title');
 const multiCountSlider = document.getElementById('multi-count');
 const multiCountRead = document.getElementById('multi-count-read');
+const cathodeToggle = document.getElementById('cathode-toggle');
+const cathodeTempSlider = document.getElementById('cathode-temp');
+const cathodeTempRead = document.getElementById('cathode-temp-read');
+const cathodeRadiusSlider = document.getElementById('cathode-radius');
+const cathodeRadiusRead = document.getElementById('cathode-radius-read');
+const gunToggle = document.getElementById('gun-toggle');
+const gridBiasSlider = document.getElementById('grid-bias');
+const gridBiasRead = document.getElementById('grid-bias-read');
+const focusSlider = document.getElementById('focus-voltage');
+const focusRead = document.getElementById('focus-voltage-read');
+const gunStatusReadout = document.getElementById('gun-status');
+const spotCanvas = document.getElementById('spot-canvas');
+const spotCtx = spotCanvas.getContext('2d');
+const spotStatsReadout = document.getElementById('spot-stats');
+const sweepParameterSelect = document.getElementById('sweep-parameter');
+const sweepOutputSelect = document.getElementById('sweep-output');
+const sweepFromInput = document.getElementById('sweep-from');
+const sweepToInput = document.getElementById('sweep-to');
+const sweepUnitLabel = document.getElementById('sweep-unit');
+const sweepPointsSlider = document.getElementById('sweep-points');
+const sweepPointsRead = document.getElementById('sweep-points-read');
+const sweepBtn = document.getElementById('sweep-btn');
+const analysisCanvas = document.getElementById('analysis-canvas');
+const analysisCtx = analysisCanvas.getContext('2d');
+const sensitivityReadout = document.getElementById('sensitivity-readout');
+const linearRangeReadout = document.getElementById('linear-range');
+const plotsCanvas = document.getElementById('plots-canvas');
+const plotsCtx = plotsCanvas.getContext('2d');
+const emittanceReadout = document.getElementById('emittance-readout');
+const plotsSvgBtn = document.getElementById('plots-svg-btn');
+const thomsonRecordBtn = document.getElementById('thomson-record');
+const thomsonClearBtn = document.getElementById('thomson-clear');
+const thomsonStatus = document.getElementById('thomson-status');
+const thomsonReadingsList = document.getElementById('thomson-readings');
+const thomsonResultReadout = document.getElementById('thomson-result');
+const gridAxes = [1, 2].map(n => ({
+  select: document.getElementById(`grid-axis-${n}`),
+  from: document.getElementById(`grid-from-${n}`),
+  to: document.getElementById(`grid-to-${n}`),
+  unit: document.getElementById(`grid-unit-${n}`),
+  points: document.getElementById(`grid-points-${n}`),
+}));
+const experimentElectronsInput = document.getElementById('experiment-electrons');
+const experimentPathsToggle = document.getElementById('experiment-paths');
+const experimentRunBtn = document.getElementById('experiment-run');
+const exportShotsBtn = document.getElementById('export-shots-csv');
+const exportPathsBtn = document.getElementById('export-paths-csv');
+const exportJsonBtn = document.getElementById('export-json');
+const experimentStatus = document.getElementById('experiment-status');
+const recordBtn = document.getElementById('record-btn');
+const snapshotBtn = document.getElementById('snapshot-btn');
+const framesSecondsInput = document.getElementById('frames-seconds');
+const framesFpsSelect = document.getElementById('frames-fps');
+const framesWidthSelect = document.getElementById('frames-width');
+const framesFireToggle = document.getElementById('frames-fire');
+const framesExportBtn = document.getElementById('frames-export');
+const recordStatus = document.getElementById('record-status');
+const presetSelect = document.getElementById('preset-select');
+const presetLoadBtn = document.getElementById('preset-load');
+const presetDeleteBtn = document.getElementById('preset-delete');
+const presetNameInput = document.getElementById('preset-name');
+const presetSaveBtn = document.getElementById('preset-save');
+const scenarioSaveFileBtn = document.getElementById('scenario-save-file');
+const scenarioFileInput = document.getElementById('scenario-file');
+const scenarioCopyLinkBtn = document.getElementById('scenario-copy-link');
+const scenarioStatus = document.getElementById('scenario-status');
+const lessonSelect = document.getElementById('lesson-select');
+const lessonStartBtn = document.getElementById('lesson-start');
+const lessonFileInput = document.getElementById('lesson-file');
+const lessonStopBtn = document.getElementById('lesson-stop');
+const lessonStepTitle = document.getElementById('lesson-step');
+const lessonScoreReadout = document.getElementById('lesson-score');
+const lessonText = document.getElementById('lesson-text');
+const lessonAnswerRow = document.getElementById('lesson-answer-row');
+const lessonAnswerInput = document.getElementById('lesson-answer');
+const lessonAnswerUnit = document.getElementById('lesson-answer-unit');
+const lessonCheckBtn = document.getElementById('lesson-check');
+const lessonHintBtn = document.getElementById('lesson-hint');
+const lessonNextBtn = document.getElementById('lesson-next');
+const lessonStatus = document.getElementById('lesson-status');
+const lessonHintsList = document.getElementById('lesson-hints');
 const hudDiv = document.getElementById('hud');
+const fieldModelSelect = document.getElementById('field-model');
+const equipotentialToggle = document.getElementById('show-equipotentials');
+const fieldArrowsToggle = document.getElementById('show-field-arrows');
+const fringeReadout = document.getElementById('fringe-shift');
+const phosphorSelect = document.getElementById('phosphor-select');
+const beamCurrentSlider = document.getElementById('beam-current');
+const beamCurrentRead = document.getElementById('beam-current-read');
+const scopeToggle = document.getElementById('scope-toggle');
+const genWaveSelect = document.getElementById('gen-wave');
+const genFreqSlider = document.getElementById('gen-freq');
+const genFreqRead = document.getElementById('gen-freq-read');
+const genAmpSlider = document.getElementById('gen-amp');
+const genAmpRead = document.getElementById('gen-amp-read');
+const genOffsetSlider = document.getElementById('gen-offset');
+const genOffsetRead = document.getElementById('gen-offset-read');
+const timebaseSelect = document.getElementById('timebase-select');
+const triggerSlopeSelect = document.getElementById('trigger-slope');
+const triggerLevelSlider = document.getElementById('trigger-level');
+const triggerLevelRead = document.getElementById('trigger-level-read');
+const scopeStatus = document.getElementById('scope-status');
+const tvToggle = document.getElementById('tv-toggle');
+const tvLinesSelect = document.getElementById('tv-lines');
+const tvInterlaceToggle = document.getElementById('tv-interlace');
+const tvShowBlankingToggle = document.getElementById('tv-show-blanking');
+const tvFrameRateSlider = document.getElementById('tv-frame-rate');
+const tvFrameRateRead = document.getElementById('tv-frame-rate-read');
+const tvWidthSlider = document.getElementById('tv-width');
+const tvWidthRead = document.getElementById('tv-width-read');
+const tvHeightSlider = document.getElementById('tv-height');
+const tvHeightRead = document.getElementById('tv-height-read');
+const tvSyncBreakToggle = document.getElementById('tv-sync-break');
+const tvHholdSlider = document.getElementById('tv-hhold');
+const tvHholdRead = document.getElementById('tv-hhold-read');
+const tvVholdSlider = document.getElementById('tv-vhold');
+const tvVholdRead = document.getElementById('tv-vhold-read');
+const tvImageInput = document.getElementById('tv-image');
+const tvPatternBtn = document.getElementById('tv-pattern-btn');
+const tvStatus = document.getElementById('tv-status');
 
 // Coordinates & scale (scene in meters; convert to pixels)
-const scene = {
-  width_m: 0.5, // 50 cm long tube (meter)
-  height_m: 0.25, // 25 cm tall
-  gun_x_m: 0.02, // electron gun at 2 cm inside
-  plate_x_m: 0.18, // start of deflection plate
-  plate_length_m: 0.06, // plate region length 6 cm
-  plate_spacing_m: 0.010,
-  screen_x_m: 0.46, // screen at 46 cm
-};
-
-// Derived pixel scale
+const scene = Object.assign({}, CRTPhysics.DEFAULT_GEOMETRY);
+
+// The side view's zoom and pan (probe.js), and the canvas pixels per drawing unit, set by resize() for high-DPI screens
+const sideView = CRTProbe.createView({width: scene.width_m, height: scene.height_m});
+let canvasPixelRatio = 1;
+
+// Derived pixel scale: {width, height} of the side view in drawing units, pixels per meter along (x) and across (y)
+// the tube, and the meters (originX, originY) at its bottom-left corner
 function computeScale() {
-  const pxWidth = canvas.width;
-  const pxHeight = canvas.height;
-  return {
-    pxPerMeterX: pxWidth / scene.width_m,
-    pxPerMeterY: pxHeight / scene.height_m
-  };
+  const size = {width: canvas.width / canvasPixelRatio, height: canvas.height / canvasPixelRatio};
+  return CRTProbe.viewTransform(sideView, size, {width: scene.width_m, height: scene.height_m}, aspectToggle.checked);
 }
 
 let scale = computeScale();
 // Three.js variables
 let use3D = false;
 let three = null;
-let scene3d, camera3d, renderer3d, electronMesh3d, pathLine3d, screenMesh3d, plateTopMesh, plateBottomMesh;
+let scene3d, camera3d, renderer3d, electronMesh3d, pathLine3d, screenMesh3d, plateTopMesh, plateBottomMesh, hplateLeftMesh, hplateRightMesh, coilLeftMesh, coilRightMesh;
+let gunTubeMeshes = [];
+let impactMesh3d = null;
+let gunMesh3d = null;
+let envelopeMesh3d = null;
 let orbitControls;
 let enableLocomotion = false;
 let beamMesh3d = null;
@@ -105,292 +301,1958 @@ function updateLocomotion(dt) {
 // Visual tune-ups
 const electronRadiusPx = 3;
 const trackAlpha = 0.8;
-const hitFadeSeconds = 1.2; // how long the dot fades
 
 // State
-let hits = []; // {x_px, y_px, time}
-let lastFire = 0;
-let autoFireIntervalId = null;
+// One simulation clock (clock.js) runs the phosphor, the oscilloscope, the TV raster and the electrons in flight, so
+// pausing it stops them all together
+const simClock = CRTClock.createClock(Number(slowMotionSelect.value));
 
 // Helper conversions
-function mToPxX(x_m) { return x_m * scale.pxPerMeterX; }
-function mToPxY(y_m) { return canvas.height - y_m * scale.pxPerMeterY; }
-
-// Physics: calculate initial forward speed v0 from accelerating voltage V_acc
-function computeInitialSpeed(V_acc) {
-  // kinetic energy = e * V_acc = 0.5 * m * v^2
-  // Use magnitude of electron charge for energy; increasing voltage increases kinetic energy.
-  return Math.sqrt((2 * E_CHARGE * V_acc) / E_MASS);
-}
-
-// Given accelerations, compute vertical acceleration inside plate region due to E field (E = V_plate / d)
-// We'll approximate plate spacing as 1 cm (0.01 m) for simplicity.
-function computePlateVerticalAccel(V_plate) {
-  // E field magnitude = V_plate / d (V/m). Force = q * E; acceleration = F/m
-  const d = (scene.plate_spacing_m || 0.010);
-  const E_field = V_plate / d; // V/m
-  // Use electron charge sign here (negative): a = qE/m; this means a positive V_plate causes a downward push on electrons by default,
-  // but for the visualization we keep the sign intuitive: positive V_plate causes a positive a_y.
-  // To keep things simple for learners, treat slider sign to correspond directly to visual upward deflection,
-  // so we invert the electron sign here for an intuitive mapping.
-  return (-ELECTRON_CHARGE * E_field) / E_MASS; // m/s^2 positive upward when V_plate>0
-}
-
-// Magnetic deflection: small placeholder - field along z causes force q v B -> a_y = q v_x B / m
-function computeMagneticAccelFromB(B_tesla, v_x) {
-  // a = q v B / m; use electron charge (negative) so sign is correct; then invert to match visualization so positive B deflects upward
-  return (ELECTRON_CHARGE * v_x * B_tesla) / E_MASS;
-}
-
-// Main function: compute piecewise motion and impact point on screen
-function computeTrack(V_acc, V_plate, isMagnetic=false) {
-  // geometry: electron starts at gun_x_m, vertical center (y = 0 in meters at centerline)
-  const x0 = scene.gun_x_m;
-  const y0 = scene.height_m / 2; // centerline slope
+function mToPxX(x_m) { return (x_m - scale.originX) * scale.pxPerMeterX; }
+function mToPxY(y_m) { return scale.height - (y_m - scale.originY) * scale.pxPerMeterY; }
+// 3D scene coordinates are centered on the tube length for camera convenience
+function toVector3(p) { return new THREE.Vector3(p.x - scene.width_m/2, p.y, p.z || 0); }
+// Screen-face coordinates (front view): horizontal is the viewer's right (-z), vertical is up, both from the screen center
+function screenFaceCoords(track) { return {sx_m: -track.z_screen_m, sy_m: track.y_screen_m - scene.height_m / 2}; }
+
+// Physics lives in physics.js (CRTPhysics); these wrappers feed it the live `scene` geometry and add pixel coordinates.
+function withScreenPx(track) {
+  track.y_screen_px = mToPxY(track.y_screen_m);
+  return track;
+}
 
-  // initial forward speed
-  let v0x = computeInitialSpeed(V_acc); // m/s
-  if (!Number.isFinite(v0x) || v0x <= 1e-12) v0x = 1e-12; // fallback to avoid division by zero
-  const v0y = 0; // initially no vertical speed
+// Finite-difference plate fields (fieldsolver.js), solved for a unit voltage and cached until the plate geometry changes
+let fieldMapCache = {key: null, maps: null};
+function getFieldMaps(geometry = scene) {
+  const key = JSON.stringify([geometry.plate_x_m, geometry.plate_length_m, geometry.plate_spacing_m, geometry.hplate_x_m, geometry.hplate_length_m, geometry.hplate_spacing_m]);
+  if (fieldMapCache.key !== key) fieldMapCache = {key, maps: CRTFieldSolver.solveGeometry(geometry)};
+  return fieldMapCache.maps;
+}
 
-  // inside plates: from plate_x to plate_x + plate_length
-  const plateStart = scene.plate_x_m;
-  const plateEnd = scene.plate_x_m + scene.plate_length_m;
+// Electron gun fields (fieldsolver.js): unit-potential maps of the grid, anode and focus electrode, solved once for the
+// cathode position
+let gunMapCache = {key: null, maps: null};
+function getGunMaps() {
+  const key = scene.gun_x_m;
+  if (gunMapCache.key !== key) gunMapCache = {key, maps: CRTFieldSolver.solveGun(scene.gun_x_m)};
+  return gunMapCache.maps;
+}
 
-  // Time to reach start of plates: t1
-  const dx1 = plateStart - x0; // meters
-  const t1 = dx1 / v0x;
+// computeTrack options for the selected field model, plus any extras such as yOffset
+function trackOptions(extra = {}, geometry = scene) {
+  return fieldModelSelect.value === 'solved' ? Object.assign({fieldMaps: getFieldMaps(geometry)}, extra) : extra;
+}
 
-  // Vertical position and velocity at plate entry
-  const y_entry = y0 + v0y * t1; // just y0
-  const v_entry_y = v0y;
+// params: {V_acc, V_plate, V_hplate, I_coil, B_cross, isRel, method, V_grid, V_focus, particle} as returned by
+// getCurrentParams()
+function computeTrack(params) {
+  return withScreenPx(CRTPhysics.computeTrack(scene, params, trackOptions()));
+}
 
-  const dx_plate = scene.plate_length_m;
-  const t_plate = dx_plate / v0x;
+// compute the track of an electron sampled from the cathode (CRTCathode.sampleEmission): it starts at its point on the
+// emitter with its emission energy and direction. With the electron gun on it is traced from the cathode face through
+// the grid, anode and lens; an axial electron comes out of the gun on the same track either way, so the ideal point
+// source skips the gun.
+function computeEmittedTrack(params, sample, geometry = scene) {
+  const extra = {yOffset: sample.y, zOffset: sample.z, emission: sample};
+  if (!gunToggle.checked) return withScreenPx(CRTPhysics.computeTrack(geometry, params, trackOptions(extra, geometry)));
+  extra.gun = getGunMaps();
+  const track = withScreenPx(CRTPhysics.computeTrack(geometry, params, trackOptions(extra, geometry)));
+  // the integrator takes hundreds of tiny steps inside the gun; the animations step through the path point by point
+  track.path = thinPath(track.path, gunPathSpacing);
+  return track;
+}
 
-  // Acceleration inside plates
-  let a_plate = computePlateVerticalAccel(V_plate); // m/s^2
-  if (isMagnetic) {
-    // Approximate magnetic field that produces similar bending: we map V_plate to B (not physically linked)
-    // For a given V_plate slider value, produce a B that approximates same deflection magnitude
-    // Use simple scaling factor to show curved path; pick B such that a_mag ~= a_plate for v_x.
-    const B_equiv = (a_plate * E_MASS) / (ELECTRON_CHARGE * v0x + 1e-20); // avoid divide by zero
-    // For magnetic deflection, acceleration is perpendicular to velocity and depends on v; we compute instantaneous curvature later.
-    a_plate = 0; // no E-accel inside plates if magnetically deflecting here
-    // We'll use B_equiv for curvature in magnetic mode
-    return computeMagneticTrack(x0, y0, v0x, plateStart, plateEnd, B_equiv);
+// Drop path points closer than `spacing` meters to the last kept one, keeping the end point
+const gunPathSpacing = 2e-3;
+function thinPath(path, spacing) {
+  const kept = [path[0]];
+  for (let i = 1; i < path.length - 1; i++) {
+    const prev = kept[kept.length - 1];
+    if (Math.hypot(path[i].x - prev.x, path[i].y - prev.y, path[i].z - prev.z) >= spacing) kept.push(path[i]);
   }
+  if (path.length > 1) kept.push(path[path.length - 1]);
+  return kept;
+}
+
+// Integrator diagnostics: accepted/rejected steps and the relative energy-conservation error |ΔKE − W| / KE0
+function updateDiagnostics(track) {
+  const d = track && track.diagnostics;
+  if (!d) { diagReadout.textContent = '—'; return; }
+  diagReadout.textContent = `${d.method === 'rk4' ? 'RK4' : 'Boris'}, ${d.steps} steps (${d.rejected} rejected), energy error ${d.energyError.toExponential(1)}`;
+}
 
-  // vertical velocity after plates
-  const v_exit_y = v_entry_y + a_plate * t_plate;
+// How far the fringing fields move the spot compared with ideal, hard-edged plates
+function updateFringeReadout(params, track) {
+  if (fieldModelSelect.value !== 'solved') { fringeReadout.textContent = '—'; return; }
+  const ideal = CRTPhysics.computeTrack(scene, params);
+  const shift = Math.hypot(track.y_screen_m - ideal.y_screen_m, track.z_screen_m - ideal.z_screen_m);
+  const maps = getFieldMaps();
+  fringeReadout.textContent = `${(shift * 1000).toFixed(3)} mm (solver: ${maps.y.iterations} + ${maps.x.iterations} SOR sweeps)`;
+}
 
-  // vertical position after plates
-  const y_exit = y_entry + v_entry_y * t_plate + 0.5 * a_plate * t_plate * t_plate;
+// Deflection coils: B at the center of the pair and the spot displacement per ampere, from a small probe current
+// with the plates and the crossed field off (the deflection is linear in the current until the beam is bent through a
+// large angle)
+function updateCoilReadouts(params) {
+  const B = CRTPhysics.coilField(scene, params.I_coil, scene.coil_x_m, scene.height_m / 2, 0)[2];
+  coilFieldReadout.textContent = `${(B * 1000).toFixed(3)} mT`;
+  const probeCurrent = 0.01;
+  const probe = CRTPhysics.computeTrack(scene, Object.assign({}, params, {V_plate: 0, V_hplate: 0, B_cross: 0, I_coil: probeCurrent}));
+  coilSensitivityReadout.textContent = `${((probe.y_screen_m - scene.height_m / 2) * 1000 / probeCurrent).toFixed(1)} mm/A`;
+}
 
-  // Now drift region: from plateEnd to screen_x
-  const dx_drift = scene.screen_x_m - plateEnd;
-  const t_drift = dx_drift / v0x;
+// Crossed-field balance of the previewed track: where the spot sits against the spot with both the Y plates and the
+// crossed field off (residual) and the spot with the plates alone, as in CRTThomson.balanceState
+let crossedBalance = null;
+function updateCrossedReadout(params, track) {
+  crossedBalance = null;
+  if (!params.B_cross) { crossedBalanceReadout.textContent = 'crossed field off'; return; }
+  if (!params.V_plate) { crossedBalanceReadout.textContent = 'set a Y deflection voltage to balance'; return; }
+  if (track.blocked) { crossedBalanceReadout.textContent = `the beam is stopped by the ${track.blocked}`; return; }
+  const none = computeTrack(Object.assign({}, params, {V_plate: 0, B_cross: 0}));
+  const electricParams = Object.assign({}, params, {B_cross: 0});
+  const electric = computeTrack(electricParams);
+  // the plates alone may drive the beam into a plate; the textbook deflection then stands in for the missing spot
+  const electricY = electric.blocked ? none.y_screen_m + CRTAnalysis.analyticTrack(scene, electricParams).hit_y : electric.y_screen_m;
+  const hits = {none: none.y_screen_m, electric: electricY, both: track.y_screen_m};
+  crossedBalance = CRTThomson.balanceState(hits);
+  const v = CRTThomson.balanceSpeed(params.V_plate, params.B_cross, scene.plate_spacing_m);
+  const state = crossedBalance.balanced ? 'balanced'
+    : crossedBalance.fraction > 0 ? 'electric force stronger' : 'magnetic force stronger';
+  crossedBalanceReadout.textContent = `${state}: v = E/B = ${v.toExponential(3)} m/s, beam ${track.v0x.toExponential(3)} m/s; ` +
+    `spot ${(crossedBalance.residual * 1000).toFixed(2)} mm off (${(crossedBalance.fraction * 100).toFixed(1)}% of the plates' deflection)`;
+}
+
+// Beam clipping: where the previewed track is stopped, and the plate voltages (each pair alone) that keep an axial beam
+// clear of the plates and walls. The limits take a few dozen tracks, so they are cached until the tube changes, and
+// while the accelerating voltage or coil current is dragged they wait for the slider to be released.
+const deferredSliders = [accelSlider, coilCurrentSlider];
+let sliderDragging = false;
+let deflectionLimitCache = {key: null, y: null, x: null};
+function updateClipReadouts(params, track) {
+  clipStatusReadout.textContent = track.blocked
+    ? `stopped by the ${track.blocked} at x = ${(track.path[track.path.length - 1].x * 100).toFixed(1)} cm`
+    : 'beam reaches the screen';
+  const key = JSON.stringify([scene, fieldModelSelect.value, params.V_acc, params.I_coil, params.B_cross, params.isRel, params.method, params.particle]);
+  if (deflectionLimitCache.key !== key) {
+    if (sliderDragging) { deflectLimitsReadout.textContent = '… (on release)'; return; }
+    const limitParams = Object.assign({}, params, {V_plate: 0, V_hplate: 0});
+    deflectionLimitCache = {
+      key,
+      y: CRTPhysics.deflectionLimits(scene, limitParams, 'y', trackOptions()),
+      x: CRTPhysics.deflectionLimits(scene, limitParams, 'x', trackOptions()),
+    };
+  }
+  const range = limits => (limits ? `${limits.min.toFixed(0)} to +${limits.max.toFixed(0)} V` : 'blocked at 0 V');
+  deflectLimitsReadout.textContent = `Y plates ${range(deflectionLimitCache.y)}, X plates ${range(deflectionLimitCache.x)}`;
+}
 
-  // final vertical position on screen
-  const y_screen = y_exit + v_exit_y * t_drift;
+// Deflection sensitivity of each plate pair at 0 V, traced and from the textbook model (analysis.js); cached like the
+// clipping limits, and like them held back while a deferred slider is dragged
+let sensitivityCache = {key: null, y: null, x: null};
+function updateSensitivityReadout(params) {
+  const key = JSON.stringify([scene, fieldModelSelect.value, params.V_acc, params.I_coil, params.B_cross, params.isRel, params.method, params.particle]);
+  if (sensitivityCache.key !== key) {
+    if (sliderDragging) { sensitivityReadout.textContent = '… (on release)'; return; }
+    const zeroParams = Object.assign({}, params, {V_plate: 0, V_hplate: 0});
+    sensitivityCache = {
+      key,
+      y: CRTAnalysis.deflectionSensitivity(scene, zeroParams, 'y', trackOptions()),
+      x: CRTAnalysis.deflectionSensitivity(scene, zeroParams, 'x', trackOptions()),
+    };
+  }
+  const mmPerV = s => (s.simulated === null ? 'clipped' : `${(s.simulated * 1000).toFixed(3)} mm/V`) + ` (textbook ${(s.analytic * 1000).toFixed(3)})`;
+  sensitivityReadout.textContent = `Y plates ${mmPerV(sensitivityCache.y)}, X plates ${mmPerV(sensitivityCache.x)}`;
+}
+
+// Electron gun: beam current against an unbiased grid, the cutoff bias, and where a ray leaving the cathode 0.1 mm off
+// the axis lands, which shows the focus without firing a full shot. Cached, since the ray is traced through the gun.
+const gunProbeOffset = 1e-4;
+let gunReadoutCache = {key: null, text: '—'};
+function updateGunReadout(params) {
+  if (!gunToggle.checked) { gunStatusReadout.textContent = '—'; return; }
+  const key = JSON.stringify([params.V_acc, params.V_grid, params.V_focus, params.isRel, params.method, params.particle, scene]);
+  if (gunReadoutCache.key !== key) {
+    const gun = getGunMaps();
+    const cutoff = CRTPhysics.gridCutoffVoltage(params, gun);
+    const current = gunBeamFraction();
+    let text = `beam current ${(current * 100).toFixed(0)}% of unbiased, cutoff ${cutoff.toFixed(0)} V`;
+    if (current > 0) {
+      const ray = CRTPhysics.computeTrack(scene, Object.assign({}, params, {V_plate: 0, V_hplate: 0, I_coil: 0}), {gun, yOffset: gunProbeOffset});
+      text += ray.blocked ? `; a ray ${gunProbeOffset * 1000} mm off axis is stopped by the ${ray.blocked}`
+        : `; a ray ${gunProbeOffset * 1000} mm off axis lands ${((ray.y_screen_m - scene.height_m / 2) * 1000).toFixed(2)} mm from the center`;
+    }
+    gunReadoutCache = {key, text};
+  }
+  gunStatusReadout.textContent = gunReadoutCache.text;
+}
+
+// Reset simulation: clear the phosphor, stop auto-fire, drop the flight in progress, clear 3D and 2D previews
+function resetSimulation() {
+  clearPhosphor();
+  autoFire.checked = false;
+  hideFlight();
+  flight = null;
+  hitX.textContent = '—';
+  hitY.textContent = '—';
+  hitPx.textContent = '—';
+  v0Readout.textContent = '—';
+  ayReadout.textContent = '—';
+  gammaReadout.textContent = '—';
+  betaReadout.textContent = '—';
+  relDiffReadout.textContent = '—';
+  diagReadout.textContent = '—';
+  fringeReadout.textContent = '—';
+  coilFieldReadout.textContent = '—';
+  coilSensitivityReadout.textContent = '—';
+  clipStatusReadout.textContent = '—';
+  deflectLimitsReadout.textContent = '—';
+  beamLossReadout.textContent = '—';
+  gunStatusReadout.textContent = '—';
+  spotSample = null;
+  drawSpotProfile();
+  beamSections = null;
+  updateBeamConeMeshes();
+  scopeStatus.textContent = '—';
+  resetScope();
+  tvStatus.textContent = '—';
+  resetTv();
+  // remove 3D path
+  if (scene3d && pathLine3d) {
+    scene3d.remove(pathLine3d);
+    try { pathLine3d.geometry.dispose(); pathLine3d.material.dispose(); } catch(e){}
+    pathLine3d = null;
+  }
+  drawViews(frameModel());
+}
+
+// Draw utilities
+function drawScene() {
+  ctx.clearRect(0,0,canvas.width,canvas.height);
+  // draw tube
+  ctx.fillStyle = '#061a26';
+  ctx.fillRect(0,0,canvas.width,canvas.height);
+
+  // draw centerline
+  const w = scale.width;
+  ctx.strokeStyle = 'rgba(255,255,255,0.05)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(0, mToPxY(scene.height_m / 2));
+  ctx.lineTo(w, mToPxY(scene.height_m / 2));
+  ctx.stroke();
 
-  // ensure it's within visible bounds
-  const y_clamped = Math.max(0, Math.min(scene.height_m, y_screen));
+  drawEnvelope();
+  drawTicks();
 
-  // Also compute impact point pixel coordinates
-  const x_screen_px = mToPxX(scene.screen_x_m);
-  const y_screen_px = mToPxY(y_clamped);
+  // draw gun
+  ctx.fillStyle = '#f7c34a';
+  const gunXpx = mToPxX(scene.gun_x_m);
+  const gunYpx = mToPxY(scene.height_m / 2);
+  ctx.beginPath();
+  ctx.ellipse(gunXpx - 8, gunYpx, 8, 12, 0, 0, Math.PI*2);
+  ctx.fill();
 
-  // collect path segments for drawing: pre-plate straight, inside plate bent parabola, post-plate straight
-  // Use arrays of {x_m, y_m}
-  const path = [];
+  // draw plates
+  const plateStartPx = mToPxX(scene.plate_x_m);
+  const plateEndPx = mToPxX(scene.plate_x_m + scene.plate_length_m);
+  const centerY_m = scene.height_m / 2;
+  const spacing = scene.plate_spacing_m || 0.010;
+  const plateTopY = mToPxY(centerY_m + spacing/2);
+  const plateBottomY = mToPxY(centerY_m - spacing/2);
+  ctx.strokeStyle = '#66c2ff';
+  ctx.lineWidth = 4;
+  // top plate
+  ctx.beginPath();
+  ctx.moveTo(plateStartPx, plateTopY);
+  ctx.lineTo(plateEndPx, plateTopY);
+  ctx.stroke();
+  // bottom plate
+  ctx.beginPath();
+  ctx.moveTo(plateStartPx, plateBottomY);
+  ctx.lineTo(plateEndPx, plateBottomY);
+  ctx.stroke();
+  drawFieldOverlays();
+  drawCrossedField();
+  drawCoils();
+  drawGunElectrodes();
 
-  // Pre-plate segment - straight line from gun to plateStart
-  path.push({x: x0, y: y0});
-  path.push({x: plateStart, y: y_entry});
+  drawScreenEdge();
+}
 
-  // Plate region - parametric (x increases linearly with time): use small steps
-  const stepsPlate = 30;
-  for (let i=1;i<=stepsPlate;i++) {
-    const frac = i/stepsPlate;
-    const x = plateStart + frac * dx_plate;
-    const t_local = (frac * dx_plate) / v0x; // time inside plate from start
-    const y = y_entry + v_entry_y * t_local + 0.5 * a_plate * t_local * t_local;
-    path.push({x, y});
+// Tick marks along the bottom edge (x from the back of the tube) and the left edge (y from the axis), at least
+// tickSpacingPx apart at the present zoom, labelled every fifth tick
+const tickSpacingPx = 30;
+function drawTicks() {
+  const w = scale.width;
+  const h = scale.height;
+  const label = (v, step) => step >= 0.01 ? `${+(v * 100).toFixed(0)}cm` : `${+(v * 1000).toFixed(step >= 1e-3 ? 0 : 1)}mm`;
+  ctx.save();
+  ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+  ctx.fillStyle = 'rgba(255,255,255,0.06)';
+  ctx.lineWidth = 1;
+  const stepX = CRTProbe.tickStep(tickSpacingPx / scale.pxPerMeterX);
+  for (let i = Math.ceil(scale.originX / stepX); i * stepX <= scale.originX + w / scale.pxPerMeterX; i++) {
+    const px = mToPxX(i * stepX);
+    ctx.beginPath();
+    ctx.moveTo(px, h - 8);
+    ctx.lineTo(px, h - 1);
+    ctx.stroke();
+    if (i % 5 === 0) ctx.fillText(label(i * stepX, stepX), px + 2, h - 10);
   }
+  const axis = scene.height_m / 2;
+  const stepY = CRTProbe.tickStep(tickSpacingPx / scale.pxPerMeterY);
+  for (let i = Math.ceil((scale.originY - axis) / stepY); axis + i * stepY <= scale.originY + h / scale.pxPerMeterY; i++) {
+    const py = mToPxY(axis + i * stepY);
+    ctx.beginPath();
+    ctx.moveTo(0, py);
+    ctx.lineTo(7, py);
+    ctx.stroke();
+    if (i % 5 === 0 && i !== 0) ctx.fillText(label(i * stepY, stepY), 10, py + 3);
+  }
+  ctx.restore();
+}
 
-  // Post-plate: final straight line to screen - use two points
-  path.push({x: plateEnd + dx_drift*0.4, y: y_exit + v_exit_y * (dx_drift*0.4 / v0x)});
-  path.push({x: scene.screen_x_m, y: y_screen});
+// Glass envelope in the side view: the back wall, the neck and the funnel out to the rim of the screen
+function drawEnvelope() {
+  const axis = scene.height_m / 2;
+  const rimX = CRTPhysics.screenSurfaceX(scene, axis);
+  const profile = [0, Math.min(scene.funnel_x_m, rimX), rimX].map(x => ({x, r: CRTPhysics.envelopeRadius(scene, x)}));
+  ctx.save();
+  ctx.strokeStyle = 'rgba(170,210,230,0.3)';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  [1, -1].forEach(side => {
+    profile.forEach((p, i) => {
+      if (i === 0) ctx.moveTo(mToPxX(p.x), mToPxY(axis + side * p.r));
+      else ctx.lineTo(mToPxX(p.x), mToPxY(axis + side * p.r));
+    });
+  });
+  ctx.moveTo(mToPxX(0), mToPxY(axis + profile[0].r));
+  ctx.lineTo(mToPxX(0), mToPxY(axis - profile[0].r));
+  ctx.stroke();
+  ctx.restore();
+}
 
+// Screen face seen edge-on, a straight line or the arc of a curved screen, with its glowing phosphor drawn along it a
+// little wider with a soft halo
+const screenEdgeStrips = 48;
+function drawScreenEdge() {
+  const axis = scene.height_m / 2;
+  const xAt = y => mToPxX(CRTPhysics.screenSurfaceX(scene, Math.abs(y - axis)));
+  ctx.save();
+  ctx.strokeStyle = '#091b1f';
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  for (let k = 0; k <= screenEdgeStrips; k++) {
+    const y = scene.height_m * k / screenEdgeStrips;
+    if (k === 0) ctx.moveTo(xAt(y), mToPxY(y));
+    else ctx.lineTo(xAt(y), mToPxY(y));
+  }
+  ctx.stroke();
+  if (phosphor && !phosphor.dark) {
+    // the edge image has one row per phosphor row, top of the screen first
+    const rows = phosphor.edgeCanvas.height;
+    ctx.imageSmoothingEnabled = true;
+    ctx.globalCompositeOperation = 'lighter';
+    for (let k = 0; k < screenEdgeStrips; k++) {
+      const yTop = scene.height_m * (1 - k / screenEdgeStrips);
+      const yBottom = scene.height_m * (1 - (k + 1) / screenEdgeStrips);
+      const x = xAt((yTop + yBottom) / 2);
+      const top = mToPxY(yTop);
+      const height = mToPxY(yBottom) - top;
+      const source = [0, rows * k / screenEdgeStrips, 1, rows / screenEdgeStrips];
+      ctx.globalAlpha = 0.35;
+      ctx.drawImage(phosphor.edgeCanvas, ...source, x - 8, top, 16, height);
+      ctx.globalAlpha = 1;
+      ctx.drawImage(phosphor.edgeCanvas, ...source, x - 2, top, 4, height);
+    }
+  }
+  ctx.restore();
+}
+
+// Deflection coils seen from the side: each loop of the Helmholtz pair lies in a plane parallel to the view, so both
+// show as the same circle around the beam
+function drawCoils() {
+  if (!magneticToggle.checked) return;
+  const cx = mToPxX(scene.coil_x_m);
+  const cy = mToPxY(scene.height_m / 2);
+  ctx.save();
+  ctx.strokeStyle = 'rgba(217,140,74,0.8)';
+  ctx.lineWidth = 3;
+  ctx.setLineDash([6, 4]);
+  ctx.beginPath();
+  ctx.ellipse(cx, cy, scene.coil_radius_m * scale.pxPerMeterX, scene.coil_radius_m * scale.pxPerMeterY, 0, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.fillStyle = 'rgba(217,140,74,0.9)';
+  ctx.fillText(`coils ${coilCurrentSlider.value} mA`, cx - 30, cy - scene.coil_radius_m * scale.pxPerMeterY - 6);
+  ctx.restore();
+}
+
+// Crossed field between the Y plates: crosses where it points into the side view (-z, positive B_cross), dots where it
+// points out, spaced along the plates
+function drawCrossedField() {
+  if (!crossedToggle.checked || Number(crossedBSlider.value) === 0) return;
+  const into = Number(crossedBSlider.value) > 0;
+  const y = mToPxY(scene.height_m / 2 + scene.plate_spacing_m / 4);
+  const r = 4;
+  ctx.save();
+  ctx.strokeStyle = 'rgba(217,140,74,0.8)';
+  ctx.fillStyle = 'rgba(217,140,74,0.8)';
+  ctx.lineWidth = 1;
+  for (let k = 1; k <= 4; k++) {
+    const x = mToPxX(scene.plate_x_m + scene.plate_length_m * k / 5);
+    ctx.beginPath();
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+    if (into) {
+      ctx.moveTo(x - r * 0.7, y - r * 0.7);
+      ctx.lineTo(x + r * 0.7, y + r * 0.7);
+      ctx.moveTo(x + r * 0.7, y - r * 0.7);
+      ctx.lineTo(x - r * 0.7, y + r * 0.7);
+    }
+    ctx.stroke();
+    if (!into) {
+      ctx.beginPath();
+      ctx.arc(x, y, 1.2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+  ctx.restore();
+}
+
+// Electron gun electrodes to scale around the axis: the grid and anode plates with their holes, the beam-limiting
+// aperture and the three einzel lens tubes, the focus electrode in the middle
+function drawGunElectrodes() {
+  if (!gunToggle.checked) return;
+  const gun = CRTFieldSolver.DEFAULT_GUN;
+  const x0 = scene.gun_x_m;
+  const axis = scene.height_m / 2;
+  const plate = (x, inner, outer) => {
+    [1, -1].forEach(side => {
+      ctx.moveTo(mToPxX(x0 + x), mToPxY(axis + side * inner));
+      ctx.lineTo(mToPxX(x0 + x), mToPxY(axis + side * outer));
+    });
+  };
+  const tube = (start, end) => {
+    [1, -1].forEach(side => {
+      ctx.moveTo(mToPxX(x0 + start), mToPxY(axis + side * gun.lensRadius));
+      ctx.lineTo(mToPxX(x0 + end), mToPxY(axis + side * gun.lensRadius));
+    });
+  };
+  ctx.save();
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = 'rgba(190,200,210,0.8)';
+  ctx.beginPath();
+  plate(gun.gridX, gun.gridAperture, gun.triodeRadius);
+  plate(gun.anodeX, gun.anodeAperture, gun.lensRadius);
+  plate(gun.limitX, gun.limitAperture, gun.lensRadius);
+  tube(gun.anodeX, gun.focusStart - gun.lensGap);
+  tube(gun.focusEnd + gun.lensGap, gun.lensEnd);
+  ctx.stroke();
+  ctx.strokeStyle = 'rgba(120,230,200,0.9)';
+  ctx.beginPath();
+  tube(gun.focusStart, gun.focusEnd);
+  ctx.stroke();
+  ctx.fillStyle = 'rgba(120,230,200,0.9)';
+  ctx.fillText(`focus ${(Number(focusSlider.value) / 100 * Number(accelSlider.value)).toFixed(0)} V`, mToPxX(x0 + gun.focusStart), mToPxY(axis + gun.lensRadius) - 6);
+  ctx.restore();
+}
+
+// Equipotential lines and field arrows of the solved Y-plate field (the X plates deflect across the side view)
+function drawFieldOverlays() {
+  const showLines = equipotentialToggle.checked;
+  const showArrows = fieldArrowsToggle.checked;
+  const params = getCurrentParams();
+  if ((!showLines && !showArrows) || params.V_plate === 0) return;
+  const map = getFieldMaps().y;
+  const axisY = scene.height_m / 2;
+  const V = params.V_plate;
+  ctx.save();
+  if (showLines) {
+    // 10 equipotentials evenly spaced between the plate potentials ±V/2, warm above 0 V and cool below
+    ctx.lineWidth = 1;
+    for (let n = -4.5; n <= 4.5; n += 1) {
+      const level = n / 10;
+      ctx.strokeStyle = level * V > 0 ? 'rgba(255, 170, 90, 0.55)' : 'rgba(110, 180, 255, 0.55)';
+      ctx.beginPath();
+      CRTFieldSolver.contourSegments(map, level).forEach(([x1, t1, x2, t2]) => {
+        ctx.moveTo(mToPxX(x1), mToPxY(axisY + t1));
+        ctx.lineTo(mToPxX(x2), mToPxY(axisY + t2));
+      });
+      ctx.stroke();
+    }
+  }
+  if (showArrows) {
+    // arrow length scales with |E| relative to the uniform V/d, capped at one grid step
+    const stepPx = 10;
+    const x0 = mToPxX(map.x0);
+    const x1 = mToPxX(map.x0 + (map.nx - 1) * map.hx);
+    const yTop = mToPxY(axisY + map.t0 + (map.nt - 1) * map.ht);
+    const yBottom = mToPxY(axisY + map.t0);
+    const uniform = 1 / scene.plate_spacing_m;
+    ctx.strokeStyle = 'rgba(255, 255, 160, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    // only over the part of the map on the canvas, which is a small part of it when zoomed in
+    const first = (start, min) => start + stepPx / 2 + Math.max(0, Math.ceil((min - start) / stepPx)) * stepPx;
+    for (let px = first(x0, 0); px < Math.min(x1, scale.width); px += stepPx) {
+      for (let py = first(yTop, 0); py < Math.min(yBottom, scale.height); py += stepPx) {
+        const {x, y} = CRTProbe.toMeters(scale, px, py);
+        const t = y - axisY;
+        const [ex, et] = CRTPhysics.sampleFieldMap(map, x, t).map(e => e * Math.sign(V));
+        const magnitude = Math.hypot(ex, et);
+        if (magnitude < 0.02 * uniform) continue;
+        const len = Math.min(1, magnitude / uniform) * (stepPx - 2);
+        const dx = ex / magnitude * len;
+        const dy = -et / magnitude * len;
+        ctx.moveTo(px - dx / 2, py - dy / 2);
+        ctx.lineTo(px + dx / 2, py + dy / 2);
+        // arrow head
+        const ang = Math.atan2(dy, dx);
+        ctx.moveTo(px + dx / 2, py + dy / 2);
+        ctx.lineTo(px + dx / 2 - 3 * Math.cos(ang - 0.5), py + dy / 2 - 3 * Math.sin(ang - 0.5));
+        ctx.moveTo(px + dx / 2, py + dy / 2);
+        ctx.lineTo(px + dx / 2 - 3 * Math.cos(ang + 0.5), py + dy / 2 - 3 * Math.sin(ang + 0.5));
+      }
+    }
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+// Front-on view of the phosphor screen: glowing phosphor, graticule and predicted spot
+function drawScreenFace(track) {
+  const w = screenCanvas.width;
+  const h = screenCanvas.height;
+  const pxPerM = Math.min(w, h) / scene.height_m; // the screen is as wide as it is tall
+  const toPx = (sx_m, sy_m) => ({x: w / 2 + sx_m * pxPerM, y: h / 2 - sy_m * pxPerM});
+  screenCtx.clearRect(0, 0, w, h);
+  screenCtx.drawImage(getPhosphor().canvas, 0, 0, w, h);
+
+  // graticule: 1 cm grid with the center axes slightly brighter
+  screenCtx.lineWidth = 1;
+  const cells = Math.floor(scene.height_m * 100 / 2);
+  for (let i = -cells; i <= cells; i++) {
+    const offset = i * 0.01 * pxPerM;
+    screenCtx.strokeStyle = i === 0 ? 'rgba(255,255,255,0.12)' : 'rgba(255,255,255,0.05)';
+    screenCtx.beginPath();
+    screenCtx.moveTo(w / 2 + offset, 0);
+    screenCtx.lineTo(w / 2 + offset, h);
+    screenCtx.moveTo(0, h / 2 + offset);
+    screenCtx.lineTo(w, h / 2 + offset);
+    screenCtx.stroke();
+  }
+  screenCtx.fillStyle = 'rgba(255,255,255,0.2)';
+  screenCtx.fillText('1 cm grid', 6, h - 6);
+
+  if (scopeToggle.checked) drawScopeGraticule(toPx);
+
+  // lesson target, in mm on the screen face
+  const step = lessonStep();
+  if (step && step.target) {
+    const p = toPx(step.target.x / 1000, step.target.y / 1000);
+    const r = Math.max(3, step.target.radius / 1000 * pxPerM);
+    screenCtx.strokeStyle = 'rgba(255,170,60,0.95)';
+    screenCtx.beginPath();
+    screenCtx.arc(p.x, p.y, r, 0, Math.PI * 2);
+    screenCtx.moveTo(p.x - r - 4, p.y);
+    screenCtx.lineTo(p.x + r + 4, p.y);
+    screenCtx.moveTo(p.x, p.y - r - 4);
+    screenCtx.lineTo(p.x, p.y + r + 4);
+    screenCtx.stroke();
+  }
+
+  // predicted spot for the current settings (in TV mode the raster is the spot), unless a lesson step hides it
+  if (lessonPreviewHidden()) return;
+  if (track && track.blocked && !tvToggle.checked) {
+    screenCtx.fillStyle = 'rgba(255,110,90,0.9)';
+    screenCtx.fillText(`beam stopped by the ${track.blocked}`, 6, 14);
+  } else if (track && !tvToggle.checked) {
+    const {sx_m, sy_m} = screenFaceCoords(track);
+    const p = toPx(sx_m, sy_m);
+    screenCtx.strokeStyle = 'rgba(120, 255, 255, 0.8)';
+    screenCtx.beginPath();
+    screenCtx.arc(p.x, p.y, 5, 0, Math.PI*2);
+    screenCtx.moveTo(p.x - 9, p.y);
+    screenCtx.lineTo(p.x + 9, p.y);
+    screenCtx.moveTo(p.x, p.y - 9);
+    screenCtx.lineTo(p.x, p.y + 9);
+    screenCtx.stroke();
+  }
+}
+
+// --- Plate deflection tables (oscilloscope and TV modes) ---
+// Screen deflection as a function of plate voltage, tabulated from full tracks and interpolated, since a full
+// integration per trace point would be far too slow. Y uses V_hplate = 0 and X uses V_plate = 0; the two plate pairs
+// are separate, so the spot position is the sum of the two.
+const deflectionTableSamples = 9;
+let deflectionCache = {key: null, y: null, x: null};
+
+function buildDeflectionTable(params, axis, vMin, vMax) {
+  const table = [];
+  for (let i = 0; i < deflectionTableSamples; i++) {
+    const V = vMin + (vMax - vMin) * i / (deflectionTableSamples - 1);
+    const track = CRTPhysics.computeTrack(scene, Object.assign({}, params, axis === 'y' ? {V_plate: V, V_hplate: 0} : {V_plate: 0, V_hplate: V}), trackOptions());
+    const {sx_m, sy_m} = screenFaceCoords(track);
+    table.push({V, m: track.blocked ? null : (axis === 'y' ? sy_m : sx_m)});
+  }
+  return table;
+}
+
+// linear interpolation, extrapolating from the end segments; null where the beam is clipped
+function lookupDeflection(table, V) {
+  let i = 0;
+  while (i < table.length - 2 && V > table[i + 1].V) i++;
+  const a = table[i];
+  const b = table[i + 1];
+  if (a.m === null || b.m === null) return null;
+  return a.m + (b.m - a.m) * (V - a.V) / (b.V - a.V);
+}
+
+// Tables for Y plate voltages within ±vyPeak and X plate voltages within ±vxPeak, rebuilt when the tube changes
+function getDeflectionTables(params, vyPeak, vxPeak) {
+  // a zero-width table cannot be interpolated
+  vyPeak = Math.max(1, vyPeak);
+  vxPeak = Math.max(1, vxPeak);
+  const key = JSON.stringify([scene, fieldModelSelect.value, params.V_acc, params.I_coil, params.B_cross, params.isRel, params.method, params.particle, vyPeak, vxPeak]);
+  if (deflectionCache.key === key) return deflectionCache;
+  deflectionCache = {
+    key,
+    y: buildDeflectionTable(params, 'y', -vyPeak, vyPeak),
+    x: buildDeflectionTable(params, 'x', -vxPeak, vxPeak),
+  };
+  return deflectionCache;
+}
+
+// --- Oscilloscope mode ---
+// The function generator drives the Y plates and a sawtooth sweep drives the X plates. Signal time runs at wall-clock
+// speed; each frame advances it and deposits every sweep that ran in that interval on the phosphor.
+const scopeDivisionM = 0.01; // 1 division = 1 cm on the screen face
+const scopeDivisions = {x: 10, y: 8};
+const scopePointsPerSweep = 400;
+let scope = {time: 0, armedAt: 0, current: null, triggered: false, vy: 0, vx: 0, lastFrame: null};
+
+function getGenerator() {
   return {
-    path,
-    v0x,
-    v_entry_y,
-    v_exit_y,
-    y_screen_m: y_clamped,
-    y_screen_px
+    shape: genWaveSelect.value,
+    frequency: Math.pow(10, Number(genFreqSlider.value) / 10),
+    amplitude: Number(genAmpSlider.value),
+    offset: Number(genOffsetSlider.value),
   };
 }
 
-// compute track but allow initial y offset or initial vy (for multiple-electron beams)
-function computeTrackWithOffset(V_acc, V_plate, isMagnetic=false, yOffset = 0, vyInitial = 0) {
-  const base = computeTrack(V_acc, V_plate, isMagnetic);
-  // Recompute path using small yOffset: we will produce a shifted path by adding offset to each y
-  const path = base.path.map(p => ({x: p.x, y: p.y + yOffset}));
-  const y_screen_m = base.y_screen_m + yOffset;
-  return { path, v0x: base.v0x, v_entry_y: base.v_entry_y, v_exit_y: base.v_exit_y, y_screen_m, y_screen_px: mToPxY(y_screen_m) };
+function formatHz(f) {
+  if (f >= 1e6) return `${(f / 1e6).toPrecision(3)} MHz`;
+  if (f >= 1e3) return `${(f / 1e3).toPrecision(3)} kHz`;
+  return `${f.toPrecision(3)} Hz`;
+}
+
+function sweepTime() { return Number(timebaseSelect.value) * scopeDivisions.x; }
+
+// X plate voltage that moves the spot to the edge of the graticule, calibrated from a 10 V probe track
+let sweepCalibration = {key: null, volts: 0};
+function scopeSweepVolts(params) {
+  const key = JSON.stringify([scene, fieldModelSelect.value, params.V_acc, params.I_coil, params.B_cross, params.isRel, params.method, params.particle]);
+  if (sweepCalibration.key !== key) {
+    const probe = CRTPhysics.computeTrack(scene, Object.assign({}, params, {V_plate: 0, V_hplate: 10}), trackOptions());
+    const perVolt = probe.blocked ? 0 : Math.abs(screenFaceCoords(probe).sx_m) / 10;
+    sweepCalibration = {key, volts: perVolt > 0 ? (scopeDivisions.x / 2) * scopeDivisionM / perVolt : 0};
+  }
+  return sweepCalibration.volts;
+}
+
+function resetScope() {
+  scope = {time: 0, armedAt: 0, current: null, triggered: false, vy: 0, vx: 0, lastFrame: null};
+}
+
+// Advance signal time to the current frame, depositing the beam energy along each sweep. The beam is blanked during
+// retrace and holdoff, so slow parts of the trace glow brighter than fast edges, as on a real scope.
+function updateScope(nowSeconds) {
+  if (scope.lastFrame === null) scope.lastFrame = nowSeconds;
+  // cap the backlog after a hidden tab or a long frame
+  const dt = Math.min(0.25, Math.max(0, nowSeconds - scope.lastFrame));
+  scope.lastFrame = nowSeconds;
+  const tEnd = scope.time + dt;
+  const gen = getGenerator();
+  const level = Number(triggerLevelSlider.value);
+  const slope = triggerSlopeSelect.value;
+  const sweep = sweepTime();
+  const holdoff = 0.05 * sweep;
+  const params = getCurrentParams();
+  const sweepVolts = scopeSweepVolts(params);
+  const tables = getDeflectionTables(params, Math.abs(gen.offset) + gen.amplitude, sweepVolts);
+  // at fast timebases thousands of sweeps fit in a frame; a triggered trace is identical each time, so skip ahead and
+  // weight the sweeps that are drawn by the ones skipped
+  let energyScale = 1;
+  if (!scope.current && tEnd - scope.armedAt > 8 * (sweep + holdoff)) {
+    const skipTo = tEnd - 2 * (sweep + holdoff);
+    energyScale = (tEnd - scope.armedAt) / (tEnd - skipTo);
+    scope.armedAt = skipTo;
+  }
+  const spotEnergy = beamPower() * (sweep / scopePointsPerSweep) * energyScale;
+
+  while (true) {
+    if (!scope.current) {
+      const trigger = CRTSignals.findTrigger(gen, scope.armedAt, level, slope);
+      scope.triggered = trigger !== null;
+      // auto mode: no trigger event, so free-run from the end of the holdoff
+      const start = scope.triggered ? trigger : scope.armedAt;
+      if (start > tEnd) break;
+      scope.current = {start, sampled: start};
+    }
+    const cur = scope.current;
+    const sweepEnd = cur.start + sweep;
+    const until = Math.min(tEnd, sweepEnd);
+    const step = sweep / scopePointsPerSweep;
+    for (let t = cur.sampled; t <= until + 1e-12 * sweep; t += step) {
+      scope.vy = CRTSignals.generatorValue(gen, t);
+      scope.vx = CRTSignals.sweepPosition(t - cur.start, sweep) * sweepVolts;
+      depositSpot(lookupDeflection(tables.x, scope.vx), lookupDeflection(tables.y, scope.vy), spotEnergy);
+      cur.sampled = t + step;
+    }
+    if (sweepEnd > tEnd) break;
+    scope.current = null;
+    scope.armedAt = sweepEnd + holdoff;
+  }
+  scope.time = tEnd;
+
+  // a beam stopped before the screen (e.g. bent into the wall by the deflection coils) does not respond
+  const metersPerVolt = Math.abs(lookupDeflection(tables.y, 1) - lookupDeflection(tables.y, 0));
+  const vertical = metersPerVolt > 1e-9 ? `${(scopeDivisionM / metersPerVolt).toFixed(1)} V/div vertical` : 'beam off screen';
+  scopeStatus.textContent = `${scope.triggered ? 'Triggered' : 'Auto (free-run)'}, ${vertical}, sweep ±${sweepVolts.toFixed(0)} V`;
+}
+
+// Scope graticule for the screen face: 10 x 8 divisions of 1 cm
+function drawScopeGraticule(toPx) {
+  const halfX = scopeDivisions.x / 2;
+  const halfY = scopeDivisions.y / 2;
+  screenCtx.lineWidth = 1;
+  screenCtx.strokeStyle = 'rgba(140, 255, 180, 0.25)';
+  screenCtx.beginPath();
+  for (let i = -halfX; i <= halfX; i++) {
+    const a = toPx(i * scopeDivisionM, -halfY * scopeDivisionM);
+    const b = toPx(i * scopeDivisionM, halfY * scopeDivisionM);
+    screenCtx.moveTo(a.x, a.y);
+    screenCtx.lineTo(b.x, b.y);
+  }
+  for (let j = -halfY; j <= halfY; j++) {
+    const a = toPx(-halfX * scopeDivisionM, j * scopeDivisionM);
+    const b = toPx(halfX * scopeDivisionM, j * scopeDivisionM);
+    screenCtx.moveTo(a.x, a.y);
+    screenCtx.lineTo(b.x, b.y);
+  }
+  screenCtx.stroke();
+  screenCtx.fillStyle = 'rgba(140, 255, 180, 0.5)';
+  screenCtx.fillText(`${timebaseSelect.options[timebaseSelect.selectedIndex].text}/div`, 6, 14);
 }
 
-// Magnetic curved track: integrate small steps with Lorentz force
-function computeMagneticTrack(x0, y0, v0x, plateStart, plateEnd, B_tesla) {
-  // We'll integrate from x0 to screen_x_m with small dt steps using x-trajectory stepping
-  const fullDx = scene.screen_x_m - x0;
-  const stepsTotal = 400; // small step integration
-  const safeVx = (Number.isFinite(v0x) && v0x > 1e-12) ? v0x : 1e-12;
-  const dtStep = (fullDx / safeVx) / stepsTotal; // seconds per step
+// --- Phosphor screen ---
+// The screen face, the screen edge in the side view and the 3D screen all show one CRTPhosphor buffer (phosphor.js).
+// Every beam spot deposits energy = beam current x accelerating voltage x time, and the selected phosphor re-emits it
+// with its own colours and decay curves.
+const phosphorBackground = [6, 26, 38];
+const phosphorExposure = 3e6; // display brightness per watt of light from one screen-face pixel
+const shotSeconds = 1e-3; // a fired electron stands for a beam pulse this long
+const hitSpotRadiusPx = 2;
+const sampledSpotRadiusPx = 0.6;
+let phosphor = null; // {screen, canvas, ctx, image, edgeCanvas, edgeCtx, edgeImage, texture, lastAdvance, dark}
+
+function screenFacePxPerM() { return Math.min(screenCanvas.width, screenCanvas.height) / scene.height_m; }
+
+function getPhosphor() {
+  const w = screenCanvas.width;
+  const h = screenCanvas.height;
+  const type = phosphorSelect.value;
+  if (!phosphor || phosphor.screen.width !== w || phosphor.screen.height !== h || phosphor.screen.type !== type) {
+    const layer = document.createElement('canvas');
+    layer.width = w;
+    layer.height = h;
+    const layerCtx = layer.getContext('2d');
+    const edge = document.createElement('canvas');
+    edge.width = 1;
+    edge.height = h;
+    const edgeCtx = edge.getContext('2d');
+    phosphor = {
+      screen: CRTPhosphor.createScreen(w, h, type),
+      canvas: layer,
+      ctx: layerCtx,
+      image: layerCtx.createImageData(w, h),
+      edgeCanvas: edge,
+      edgeCtx,
+      edgeImage: edgeCtx.createImageData(1, h),
+      texture: null,
+      lastAdvance: null,
+      dark: false,
+    };
+    renderPhosphor();
+    if (screenMesh3d) attachPhosphorTexture();
+  }
+  return phosphor;
+}
 
-  let x = x0;
-  let y = y0;
-  let v_x = v0x;
-  let v_y = 0;
-  const path = [{x, y}];
+// Beam power in watts for a relative intensity (1 = full beam current). With the electron gun on, the grid bias scales
+// the current the cathode delivers.
+function beamPower(intensity = 1) {
+  return intensity * gunBeamFraction() * Number(beamCurrentSlider.value) * 1e-7 * Number(accelSlider.value); // slider is in 0.1 µA
+}
 
-  for (let i=0;i<stepsTotal;i++) {
-    // Lorentz force for charged particle with B along z: a_y = q * v_x * B / m; a_x stays ~0 (we assume B doesn't change v_x magnitude solidly)
-    const a_y = computeMagneticAccelFromB(B_tesla, v_x);
+// Cathode current with the grid at its bias, relative to an unbiased grid, over the area inside the grid hole; 1 with
+// the electron gun off. Cached, since the TV mode asks for it at every beam sample.
+let gunBeamCache = {key: null, fraction: 1};
+function gunBeamFraction() {
+  if (!gunToggle.checked) return 1;
+  const V_acc = Number(accelSlider.value);
+  const V_grid = Number(gridBiasSlider.value);
+  const key = JSON.stringify([V_acc, V_grid, scene.gun_x_m]);
+  if (gunBeamCache.key !== key) {
+    const gun = getGunMaps();
+    const radius = gun.layout.gridAperture;
+    const open = CRTPhysics.cathodeEmission({V_acc, V_grid: 0}, gun, radius).current;
+    gunBeamCache = {key, fraction: CRTPhysics.cathodeEmission({V_acc, V_grid}, gun, radius).current / open};
+  }
+  return gunBeamCache.fraction;
+}
 
-    // inside plate region, we apply B only; after plates we might turn off B to mimic magnetic deflection by magnet coils near center? For simplicity, apply B across the 'plate' region only.
-    const currentX = x;
-    const isInsidePlates = (currentX >= plateStart && currentX <= plateEnd);
-    const a_y_effective = isInsidePlates ? a_y : 0;
+// Phosphor pixel {i, j} (from the top left of the screen face) at a screen-face position in meters
+function screenFacePixel(sx_m, sy_m) {
+  const pxPerM = screenFacePxPerM();
+  return {i: Math.floor(screenCanvas.width / 2 + sx_m * pxPerM), j: Math.floor(screenCanvas.height / 2 - sy_m * pxPerM)};
+}
 
-    v_y += a_y_effective * dtStep;
-    x += v_x * dtStep; // v_x assumed constant
-    y += v_y * dtStep;
-    path.push({x, y});
+// Deposit `energy` joules at a screen-face position, optionally spread over a Gaussian spot
+function depositSpot(sx_m, sy_m, energy, radiusPx = 0) {
+  // a clipped beam never reaches the screen
+  if (sx_m === null || sy_m === null) return;
+  const screen = getPhosphor().screen;
+  const {i: ci, j: cj} = screenFacePixel(sx_m, sy_m);
+  if (radiusPx <= 0) { CRTPhosphor.deposit(screen, ci, cj, energy); return; }
+  const reach = Math.ceil(2 * radiusPx);
+  const weights = [];
+  let total = 0;
+  for (let dj = -reach; dj <= reach; dj++) {
+    for (let di = -reach; di <= reach; di++) {
+      const wgt = Math.exp(-(di * di + dj * dj) / (2 * radiusPx * radiusPx));
+      weights.push({di, dj, wgt});
+      total += wgt;
+    }
   }
+  weights.forEach(({di, dj, wgt}) => CRTPhosphor.deposit(screen, ci + di, cj + dj, energy * wgt / total));
+}
 
-  const y_final = Math.max(0, Math.min(scene.height_m, y));
-  return {
-    path,
-    v0x,
-    y_screen_m: y_final,
-    y_screen_px: mToPxY(y_final)
+// Deposit a fired shot on the phosphor: the beam pulse's energy is shared between all its electrons, and those stopped
+// on the way (shot.count - shot.hits.length) take their share with them. Sampled electrons land as points, so the spot
+// on the screen is the real spread of the beam.
+function recordShot(shot) {
+  const energy = beamPower() * shotSeconds / shot.count;
+  const radiusPx = shot.sampled ? sampledSpotRadiusPx : hitSpotRadiusPx;
+  shot.hits.forEach(hit => depositSpot(hit.sx_m, hit.sy_m, energy, radiusPx));
+}
+
+// Let the phosphor emit for the time since the last frame and redraw its image if anything is glowing
+function advancePhosphor(nowSeconds) {
+  const p = getPhosphor();
+  const dt = p.lastAdvance === null ? 0 : Math.min(0.25, Math.max(0, nowSeconds - p.lastAdvance));
+  p.lastAdvance = nowSeconds;
+  const wasLit = p.screen.lit;
+  const maxPower = CRTPhosphor.advance(p.screen, dt);
+  if (wasLit || maxPower > 0 || !p.dark) renderPhosphor();
+}
+
+function renderPhosphor() {
+  const p = phosphor;
+  CRTPhosphor.toRGBA(p.screen, phosphorExposure, phosphorBackground, p.image.data);
+  p.ctx.putImageData(p.image, 0, 0);
+  // the side view sees the screen edge-on, so each row shows its brightest pixel
+  const w = p.screen.width;
+  const data = p.image.data;
+  const edge = p.edgeImage.data;
+  let dark = true;
+  for (let j = 0; j < p.screen.height; j++) {
+    let best = 0;
+    let bestSum = -1;
+    for (let i = 0; i < w; i++) {
+      const k = 4 * (j * w + i);
+      const sum = data[k] + data[k + 1] + data[k + 2];
+      if (sum > bestSum) { bestSum = sum; best = k; }
+    }
+    edge[4 * j] = data[best];
+    edge[4 * j + 1] = data[best + 1];
+    edge[4 * j + 2] = data[best + 2];
+    edge[4 * j + 3] = 255;
+    if (data[best] !== phosphorBackground[0] || data[best + 1] !== phosphorBackground[1] || data[best + 2] !== phosphorBackground[2]) dark = false;
+  }
+  p.edgeCtx.putImageData(p.edgeImage, 0, 0);
+  p.dark = dark;
+  if (p.texture) p.texture.needsUpdate = true;
+}
+
+function clearPhosphor() {
+  if (!phosphor) return;
+  CRTPhosphor.clear(phosphor.screen);
+  renderPhosphor();
+}
+
+// Show the phosphor buffer on the 3D screen mesh
+function attachPhosphorTexture() {
+  const p = getPhosphor();
+  if (p.texture) p.texture.dispose();
+  p.texture = new THREE.CanvasTexture(p.canvas);
+  screenMesh3d.material.map = p.texture;
+  screenMesh3d.material.color.set(0xffffff);
+  screenMesh3d.material.needsUpdate = true;
+}
+
+// --- Thermionic cathode (Monte Carlo emission) ---
+// Each shot traces up to a few thousand electrons sampled from the cathode (cathode.js), animates the first few of them
+// and histograms where all of them land.
+const maxAnimatedTracks = 24;
+const tracesPerChunk = 100; // electrons traced between yields to the browser
+let shotInProgress = false;
+let spotSample = null; // screen-face hits {sx_m, sy_m} of the last multi-electron shot
+
+function getCathode() {
+  return {temperature: Number(cathodeTempSlider.value), radius: Number(cathodeRadiusSlider.value) * 1e-6}; // slider in µm
+}
+
+// The cathode to sample electrons from. With the electron gun on, emission is weighted by the current density the grid
+// and anode draw from each point of the cathode; null if the grid has cut the beam off.
+function emittingCathode(params) {
+  const cathode = getCathode();
+  if (!gunToggle.checked) return cathode;
+  const gun = getGunMaps();
+  const peak = CRTPhysics.cathodeEmission(params, gun, cathode.radius).peak;
+  if (!(peak > 0)) return null;
+  cathode.density = r => CRTPhysics.cathodeCurrentDensity(params, gun, r) / peak;
+  return cathode;
+}
+
+// Trace `count` electrons. Without the thermionic cathode they all leave an ideal point source along the axis and
+// follow the same track. With the electron gun on, emission is weighted by the current density the grid and anode
+// draw from each point of the cathode. Electrons that hit a gun electrode, a plate or the tube wall never reach the
+// screen. Returns {tracks (the ones to animate), count, hits, sampled, blocked: {electrode name: count}, envelope}, where
+// envelope holds the cross-sections of the beam along the tube (CRTPhysics.beamEnvelope) from every traced electron.
+async function traceShot(params, count) {
+  // a mixed beam fires the two species in turn, at least one of each
+  const mix = mixedBeamParams(params);
+  const species = mix ? [params, mix] : [params];
+  count = Math.max(count, species.length);
+  if (!cathodeToggle.checked) {
+    const tracks = species.map(p => computeTrack(p));
+    const hits = [];
+    const blocked = {};
+    tracks.forEach((track, k) => {
+      const n = Math.floor(count / species.length) + (k < count % species.length ? 1 : 0);
+      if (track.blocked) blocked[track.blocked] = (blocked[track.blocked] || 0) + n;
+      else for (let i = 0; i < n; i++) hits.push(screenFaceCoords(track));
+    });
+    return {tracks, count, hits, sampled: false, blocked, envelope: []};
+  }
+  const cathode = emittingCathode(params);
+  // the grid has cut the beam off
+  if (!cathode) return {tracks: [], count, hits: [], sampled: true, blocked: {grid: count}, envelope: []};
+  const blocked = {};
+  const tracks = [];
+  const hits = [];
+  const stations = envelopeStations();
+  const crossings = [];
+  for (let i = 0; i < count; i++) {
+    const track = computeEmittedTrack(species[i % species.length], CRTCathode.sampleEmission(cathode));
+    if (tracks.length < maxAnimatedTracks) tracks.push(track);
+    crossings.push(CRTPhysics.trackCrossings(track.samples, stations));
+    if (track.blocked) blocked[track.blocked] = (blocked[track.blocked] || 0) + 1;
+    else hits.push(screenFaceCoords(track));
+    if ((i + 1) % tracesPerChunk === 0 && i + 1 < count) {
+      spotStatsReadout.textContent = `tracing ${i + 1} / ${count} electrons…`;
+      await new Promise(r => setTimeout(r, 0));
+    }
+  }
+  return {tracks, count, hits, sampled: true, blocked, envelope: CRTPhysics.beamEnvelope(crossings, stations)};
+}
+
+// Share of the last shot's electrons that never reached the screen, as a beam current, and where they ended up
+function updateBeamLoss(shot) {
+  const lost = shot.count - shot.hits.length;
+  const names = Object.keys(shot.blocked);
+  if (lost === 0) { beamLossReadout.textContent = 'none'; return; }
+  const current = lost / shot.count * Number(beamCurrentSlider.value) / 10; // slider is in 0.1 µA
+  beamLossReadout.textContent = `${(lost / shot.count * 100).toFixed(1)}% (${current.toFixed(2)} µA): ` +
+    names.map(name => `${shot.blocked[name]} on the ${name}`).join(', ');
+}
+
+// Histograms of the last shot's hit positions across (horizontal) and up (vertical) the screen, each centered on its
+// mean and scaled to its peak, with the statistics in the readout
+function drawSpotProfile() {
+  const w = spotCanvas.width;
+  const h = spotCanvas.height;
+  spotCtx.clearRect(0, 0, w, h);
+  spotCtx.fillStyle = '#061a26';
+  spotCtx.fillRect(0, 0, w, h);
+  spotCtx.font = '11px sans-serif';
+  if (!spotSample) {
+    spotStatsReadout.textContent = '—';
+    spotCtx.fillStyle = 'rgba(255,255,255,0.3)';
+    spotCtx.fillText('Fire several electrons to see the spot profile', 10, h / 2);
+    return;
+  }
+  if (spotSample.length === 0) {
+    spotStatsReadout.textContent = 'no electron reached the screen';
+    spotCtx.fillStyle = 'rgba(255,255,255,0.3)';
+    spotCtx.fillText('No electron reached the screen', 10, h / 2);
+    return;
+  }
+  const horizontal = CRTCathode.spotStatistics(spotSample.map(hit => hit.sx_m));
+  const vertical = CRTCathode.spotStatistics(spotSample.map(hit => hit.sy_m));
+  const halfRange = 4 * Math.max(horizontal.rms, vertical.rms, 1e-5);
+  const base = h - 18;
+  const toX = offset => w / 2 + offset / halfRange * (w / 2 - 10);
+  spotCtx.strokeStyle = 'rgba(255,255,255,0.15)';
+  spotCtx.beginPath();
+  spotCtx.moveTo(0, base);
+  spotCtx.lineTo(w, base);
+  spotCtx.moveTo(w / 2, base);
+  spotCtx.lineTo(w / 2, 8);
+  spotCtx.stroke();
+  [[horizontal, 'rgba(120,255,255,0.9)'], [vertical, 'rgba(255,200,120,0.9)']].forEach(([stats, color]) => {
+    const peak = Math.max(...stats.counts);
+    spotCtx.strokeStyle = color;
+    spotCtx.lineWidth = 1.5;
+    spotCtx.beginPath();
+    if (stats.binWidth === 0) {
+      // every electron hit the same point
+      spotCtx.moveTo(toX(0), base);
+      spotCtx.lineTo(toX(0), 10);
+    } else {
+      spotCtx.moveTo(toX(stats.start - stats.mean), base);
+      stats.counts.forEach((c, b) => {
+        const y = base - (base - 10) * c / peak;
+        spotCtx.lineTo(toX(stats.start - stats.mean + b * stats.binWidth), y);
+        spotCtx.lineTo(toX(stats.start - stats.mean + (b + 1) * stats.binWidth), y);
+      });
+      spotCtx.lineTo(toX(stats.start - stats.mean + stats.counts.length * stats.binWidth), base);
+    }
+    spotCtx.stroke();
+  });
+  const mm = v => (v * 1000).toFixed(2);
+  spotCtx.fillStyle = 'rgba(255,255,255,0.5)';
+  spotCtx.fillText(`−${mm(halfRange)} mm`, 4, h - 4);
+  spotCtx.fillText(`+${mm(halfRange)} mm`, w - 60, h - 4);
+  spotCtx.fillStyle = 'rgba(120,255,255,0.9)';
+  spotCtx.fillText('horizontal', 6, 14);
+  spotCtx.fillStyle = 'rgba(255,200,120,0.9)';
+  spotCtx.fillText('vertical', 6, 28);
+  spotStatsReadout.textContent = `${horizontal.count} electrons, center (${mm(horizontal.mean)}, ${mm(vertical.mean)}) mm, ` +
+    `RMS ${mm(horizontal.rms)} × ${mm(vertical.rms)} mm, FWHM ${mm(horizontal.fwhm)} × ${mm(vertical.fwhm)} mm (horizontal × vertical)`;
+}
+
+// --- Sensitivity analysis: sweep one setting from the current ones and plot an output against the textbook model ---
+let sweepResult = null; // {parameter, points} of the last sweep
+let sweepRunning = false;
+const sweepPointsPerChunk = 5;
+
+// Put the default range of the chosen sweep parameter into the from/to boxes
+function resetSweepRange() {
+  const spec = CRTAnalysis.SWEEP_PARAMETERS[sweepParameterSelect.value];
+  sweepFromInput.value = spec.range[0];
+  sweepToInput.value = spec.range[1];
+  sweepUnitLabel.textContent = spec.unit;
+}
+
+async function runSweep() {
+  if (sweepRunning || lessonPreviewHidden()) return;
+  sweepRunning = true;
+  sweepBtn.disabled = true;
+  const parameter = sweepParameterSelect.value;
+  const spec = CRTAnalysis.SWEEP_PARAMETERS[parameter];
+  const values = CRTAnalysis.sweepValues(Number(sweepFromInput.value), Number(sweepToInput.value), Number(sweepPointsSlider.value));
+  const params = getCurrentParams();
+  const geometry = Object.assign({}, scene);
+  // a geometry sweep with solved plate fields needs the field maps of each tube it traces
+  const options = spec.target === 'geometry' && fieldModelSelect.value === 'solved'
+    ? g => ({fieldMaps: CRTFieldSolver.solveGeometry(g)})
+    : trackOptions();
+  const points = [];
+  for (let i = 0; i < values.length; i++) {
+    points.push(CRTAnalysis.sweepPoint(geometry, params, parameter, values[i], options));
+    if ((i + 1) % sweepPointsPerChunk === 0 && i + 1 < values.length) {
+      linearRangeReadout.textContent = `sweeping ${i + 1} / ${values.length} points…`;
+      await new Promise(r => setTimeout(r, 0));
+    }
+  }
+  sweepResult = {parameter, points};
+  sweepRunning = false;
+  sweepBtn.disabled = lessonPreviewHidden();
+  drawSweepPlot();
+}
+
+// Where the swept output stops being linear, for the deflection inputs
+function updateLinearRange() {
+  const spec = CRTAnalysis.SWEEP_PARAMETERS[sweepResult.parameter];
+  if (!spec.deflection) { linearRangeReadout.textContent = `— (${spec.label} is not a deflection input)`; return; }
+  const onset = CRTAnalysis.nonlinearityOnset(sweepResult.points, sweepOutputSelect.value);
+  const side = (end, fallback) => (end
+    ? `${end.value.toFixed(0)} ${spec.unit} (${end.reason === 'nonlinear' ? 'over 1% off a straight line' : `clipped by the ${end.reason}`})`
+    : `${fallback.toFixed(0)} ${spec.unit} (end of sweep)`);
+  const points = sweepResult.points;
+  linearRangeReadout.textContent = `${side(onset.below, points[0].value)} to ${side(onset.above, points[points.length - 1].value)}`;
+}
+
+function drawSweepPlot() {
+  const w = analysisCanvas.width;
+  const h = analysisCanvas.height;
+  analysisCtx.clearRect(0, 0, w, h);
+  analysisCtx.fillStyle = '#061a26';
+  analysisCtx.fillRect(0, 0, w, h);
+  analysisCtx.font = '11px sans-serif';
+  if (!sweepResult) {
+    linearRangeReadout.textContent = '—';
+    analysisCtx.fillStyle = 'rgba(255,255,255,0.3)';
+    analysisCtx.fillText('Choose a setting to sweep and press "Run sweep"', 10, h / 2);
+    return;
+  }
+  const spec = CRTAnalysis.SWEEP_PARAMETERS[sweepResult.parameter];
+  const output = CRTAnalysis.OUTPUTS[sweepOutputSelect.value];
+  const points = sweepResult.points;
+  const simulated = points.map(p => (p.simulated[sweepOutputSelect.value] === null ? null : p.simulated[sweepOutputSelect.value] / output.scale));
+  const analytic = points.map(p => p.analytic[sweepOutputSelect.value] / output.scale);
+  const shown = simulated.filter(v => v !== null).concat(analytic).filter(Number.isFinite);
+  let yMin = Math.min(...shown);
+  let yMax = Math.max(...shown);
+  if (!(yMax > yMin)) { yMin -= 1; yMax += 1; }
+  const xMin = points[0].value;
+  const xMax = points[points.length - 1].value;
+  const left = 54;
+  const right = w - 10;
+  const top = 10;
+  const bottom = h - 24;
+  const toX = v => left + (v - xMin) / ((xMax - xMin) || 1) * (right - left);
+  const toY = v => bottom - (v - yMin) / (yMax - yMin) * (bottom - top);
+  analysisCtx.strokeStyle = 'rgba(255,255,255,0.15)';
+  analysisCtx.lineWidth = 1;
+  analysisCtx.beginPath();
+  analysisCtx.moveTo(left, top);
+  analysisCtx.lineTo(left, bottom);
+  analysisCtx.lineTo(right, bottom);
+  if (yMin < 0 && yMax > 0) {
+    analysisCtx.moveTo(left, toY(0));
+    analysisCtx.lineTo(right, toY(0));
+  }
+  analysisCtx.stroke();
+  // clipped points: a red tick along the bottom
+  analysisCtx.strokeStyle = 'rgba(255,90,90,0.8)';
+  analysisCtx.beginPath();
+  points.forEach(p => {
+    if (!p.blocked) return;
+    analysisCtx.moveTo(toX(p.value), bottom);
+    analysisCtx.lineTo(toX(p.value), bottom - 6);
+  });
+  analysisCtx.stroke();
+  const curve = (values, color, dash) => {
+    analysisCtx.strokeStyle = color;
+    analysisCtx.lineWidth = 1.5;
+    analysisCtx.setLineDash(dash);
+    analysisCtx.beginPath();
+    let pen = false;
+    values.forEach((v, i) => {
+      if (v === null || !Number.isFinite(v)) { pen = false; return; }
+      if (pen) analysisCtx.lineTo(toX(points[i].value), toY(v));
+      else analysisCtx.moveTo(toX(points[i].value), toY(v));
+      pen = true;
+    });
+    analysisCtx.stroke();
+    analysisCtx.setLineDash([]);
   };
+  curve(analytic, 'rgba(255,200,120,0.9)', [5, 4]);
+  curve(simulated, 'rgba(120,255,255,0.9)', []);
+  const label = v => (Math.abs(v) >= 100 ? v.toFixed(0) : Math.abs(v) >= 1 ? v.toFixed(2) : v.toPrecision(2));
+  analysisCtx.fillStyle = 'rgba(255,255,255,0.5)';
+  analysisCtx.fillText(label(yMax), 4, top + 8);
+  analysisCtx.fillText(label(yMin), 4, bottom);
+  analysisCtx.fillText(output.unit, 4, (top + bottom) / 2);
+  analysisCtx.fillText(`${label(xMin)} ${spec.unit}`, left, h - 8);
+  analysisCtx.fillText(`${spec.label}`, (left + right) / 2 - 40, h - 8);
+  analysisCtx.fillText(`${label(xMax)} ${spec.unit}`, right - 60, h - 8);
+  analysisCtx.fillStyle = 'rgba(120,255,255,0.9)';
+  analysisCtx.fillText('simulated', left + 8, top + 12);
+  analysisCtx.fillStyle = 'rgba(255,200,120,0.9)';
+  analysisCtx.fillText('textbook', left + 8, top + 26);
+  updateLinearRange();
 }
 
-// Reset simulation: clear hits, stop auto-fire, clear 3D and 2D previews
-function resetSimulation() {
-  hits = [];
-  clearInterval(autoFireIntervalId);
-  autoFireIntervalId = null;
-  autoFire.checked = false;
-  hitY.textContent = '—';
-  hitPx.textContent = '—';
-  v0Readout.textContent = '—';
-  ayReadout.textContent = '—';
-  // remove 3D path and dots
-  if (scene3d && pathLine3d) {
-    scene3d.remove(pathLine3d);
-    try { pathLine3d.geometry.dispose(); pathLine3d.material.dispose(); } catch(e){}
-    pathLine3d = null;
+// --- Phase-space and energy plots: the frame model's tracks as y against x, v_y against time, kinetic energy against x
+// and the y-v_y phase space, drawn up to the present moment of the flight (plots.js) ---
+let plotsPanel = null; // the last panel drawn, for the SVG export
+
+function drawPlots(model) {
+  const context = {
+    axisY: scene.height_m / 2,
+    relativistic: relativisticToggle.checked,
+    masses: model.tracks.map(track => (track.particle ? track.particle.mass : undefined)),
+  };
+  plotsPanel = CRTPlots.plotPanel(model.tracks.map(track => track.samples), model.t, context, plotsCanvas.width, plotsCanvas.height, model.electrons.length > 0);
+  plotsCtx.font = CRTPlots.FONT;
+  for (const p of plotsPanel.primitives) {
+    if (p.type === 'rect') {
+      plotsCtx.fillStyle = p.fill;
+      plotsCtx.fillRect(p.x, p.y, p.width, p.height);
+    } else if (p.type === 'text') {
+      plotsCtx.fillStyle = p.fill;
+      plotsCtx.textAlign = p.align;
+      plotsCtx.fillText(p.text, p.x, p.y);
+    } else if (p.type === 'dot') {
+      plotsCtx.fillStyle = p.fill;
+      plotsCtx.beginPath();
+      plotsCtx.arc(p.x, p.y, p.r, 0, 2 * Math.PI);
+      plotsCtx.fill();
+    } else {
+      plotsCtx.strokeStyle = p.stroke;
+      plotsCtx.lineWidth = p.lineWidth;
+      plotsCtx.setLineDash(p.dash || []);
+      plotsCtx.beginPath();
+      p.points.forEach((q, i) => (i === 0 ? plotsCtx.moveTo(q.x, q.y) : plotsCtx.lineTo(q.x, q.y)));
+      plotsCtx.stroke();
+    }
+  }
+  plotsCtx.setLineDash([]);
+  plotsCtx.textAlign = 'left';
+  updateEmittanceReadout(plotsPanel.spread);
+}
+
+function updateEmittanceReadout(spread) {
+  if (!spread) {
+    emittanceReadout.textContent = '— (fire a shot of several electrons from the thermionic cathode)';
+    return;
+  }
+  emittanceReadout.textContent = `${spread.count} electrons: RMS emittance ${(spread.emittance * 1e6).toFixed(3)} mm·mrad, ` +
+    `RMS size ${(Math.sqrt(spread.yy) * 1000).toFixed(3)} mm, RMS v_y ${(Math.sqrt(spread.vv) / 1000).toFixed(1)} km/s`;
+}
+
+function exportPlotsSVG() {
+  if (!plotsPanel) return;
+  downloadText('crt-plots.svg', CRTPlots.toSVG(plotsPanel.primitives, plotsCanvas.width, plotsCanvas.height), 'image/svg+xml');
+}
+
+// --- Thomson e/m measurement (thomson.js): balanced crossed-field readings, each giving e/m = E² / (2 V_acc B²), and
+// their combined estimate ---
+let thomsonReadings = []; // {reading, result, label}
+
+// Settings are read off the readouts, so each is known to half a unit of the last digit shown
+const thomsonResolution = {V_acc: 0.5, V_plate: 0.5, B_cross: 0.5e-6};
+
+function recordThomsonReading() {
+  const params = getCurrentParams();
+  if (!crossedBalance) { thomsonStatus.textContent = `nothing to record: ${crossedBalanceReadout.textContent}`; return; }
+  if (!crossedBalance.balanced) { thomsonStatus.textContent = 'not balanced yet: adjust the crossed B field until the spot returns'; return; }
+  const reading = {
+    V_acc: params.V_acc,
+    V_plate: params.V_plate,
+    B_cross: params.B_cross,
+    plateSpacing: scene.plate_spacing_m,
+    fraction: crossedBalance.fraction,
+  };
+  thomsonReadings.push({reading, result: CRTThomson.chargeToMass(reading, thomsonResolution), label: params.particle.label});
+  thomsonStatus.textContent = `reading ${thomsonReadings.length} recorded`;
+  updateThomsonPanel();
+}
+
+function clearThomsonReadings() {
+  thomsonReadings = [];
+  thomsonStatus.textContent = '—';
+  updateThomsonPanel();
+}
+
+function updateThomsonPanel() {
+  thomsonReadingsList.innerHTML = '';
+  thomsonReadings.forEach(({reading, result, label}) => {
+    const item = document.createElement('li');
+    item.textContent = `${label}, V_acc ${reading.V_acc} V, E ${(reading.V_plate / reading.plateSpacing).toFixed(0)} V/m, ` +
+      `B ${(reading.B_cross * 1000).toFixed(3)} mT: v ${result.v.toExponential(3)} m/s, ` +
+      `e/m ${result.qm.toExponential(4)} ± ${result.uncertainty.toExponential(1)} C/kg`;
+    thomsonReadingsList.appendChild(item);
+  });
+  const estimate = CRTThomson.estimate(thomsonReadings.map(r => r.result));
+  if (!estimate) { thomsonResultReadout.textContent = '— (record balanced readings)'; return; }
+  const particle = getCurrentParams().particle;
+  const accepted = Math.abs(particle.charge) / particle.mass;
+  const off = estimate.uncertainty > 0 ? ` (${(Math.abs(estimate.qm - accepted) / estimate.uncertainty).toFixed(1)} σ off)` : '';
+  thomsonResultReadout.textContent = `${estimate.qm.toExponential(4)} ± ${estimate.uncertainty.toExponential(1)} C/kg from ` +
+    `${estimate.count} reading${estimate.count === 1 ? '' : 's'}; ${particle.label.toLowerCase()} value ${accepted.toExponential(4)} C/kg${off}`;
+}
+
+// --- Experiment runner: trace a batch of electrons at every point of a parameter grid, without animation, and export
+// one record per electron (experiment.js) ---
+let experiment = null; // {format, version, created, geometry, settings, axes, electronsPerRun, ..., records}
+let experimentRunning = false;
+const maxExperimentElectrons = 20000;
+
+function resetGridAxisRange(axis) {
+  const spec = CRTAnalysis.SWEEP_PARAMETERS[axis.select.value];
+  axis.from.value = spec ? spec.range[0] : 0;
+  axis.to.value = spec ? spec.range[1] : 0;
+  axis.unit.textContent = spec ? spec.unit : '';
+}
+
+// Geometry and params of one grid point, starting from the present tube and settings. The focus electrode follows
+// the accelerating voltage as its slider does.
+function experimentSettings(point, params) {
+  let settings = {geometry: Object.assign({}, scene), params};
+  Object.keys(point).forEach(parameter => { settings = CRTAnalysis.applySweepValue(settings.geometry, settings.params, parameter, point[parameter]); });
+  if ('V_acc' in point) settings.params = Object.assign({}, settings.params, {V_focus: Number(focusSlider.value) / 100 * settings.params.V_acc});
+  return settings;
+}
+
+async function runExperiment() {
+  if (experimentRunning || lessonPreviewHidden()) return;
+  const axes = gridAxes.filter(axis => axis.select.value).map(axis => ({
+    parameter: axis.select.value,
+    unit: CRTAnalysis.SWEEP_PARAMETERS[axis.select.value].unit,
+    values: CRTAnalysis.sweepValues(Number(axis.from.value), Number(axis.to.value), Math.max(1, Math.round(Number(axis.points.value)))),
+  }));
+  const points = CRTExperiment.gridPoints(axes);
+  const electrons = Math.max(1, Math.round(Number(experimentElectronsInput.value)));
+  if (points.length * electrons > maxExperimentElectrons) {
+    experimentStatus.textContent = `${points.length} runs × ${electrons} electrons is more than ${maxExperimentElectrons} electrons; use fewer points or electrons`;
+    return;
+  }
+  experimentRunning = true;
+  experimentRunBtn.disabled = true;
+  const params = getCurrentParams();
+  const keepPaths = experimentPathsToggle.checked;
+  const records = [];
+  let traced = 0;
+  for (let run = 0; run < points.length; run++) {
+    const {geometry, params: runParams} = experimentSettings(points[run], params);
+    // the grid values, in SI units like the rest of the record
+    const gridValues = {};
+    Object.keys(points[run]).forEach(parameter => { gridValues[parameter] = points[run][parameter] * CRTAnalysis.SWEEP_PARAMETERS[parameter].scale; });
+    const labels = electron => Object.assign({run, electron}, gridValues);
+    const record = (track, electron) => {
+      const face = screenFaceCoords(track);
+      const r = CRTExperiment.shotRecord(geometry, runParams, track, labels(electron), track.blocked ? null : screenFacePixel(face.sx_m, face.sy_m));
+      if (!keepPaths) delete r.path;
+      records.push(r);
+    };
+    // without the thermionic cathode every electron follows the same axial track
+    const cathode = cathodeToggle.checked ? emittingCathode(runParams) : null;
+    if (!cathodeToggle.checked) {
+      const track = CRTPhysics.computeTrack(geometry, runParams, trackOptions({}, geometry));
+      for (let e = 0; e < electrons; e++) record(track, e);
+    } else if (cathode) {
+      for (let e = 0; e < electrons; e++) {
+        record(computeEmittedTrack(runParams, CRTCathode.sampleEmission(cathode), geometry), e);
+        if ((traced + e + 1) % tracesPerChunk === 0) {
+          experimentStatus.textContent = `run ${run + 1} / ${points.length}, ${traced + e + 1} / ${points.length * electrons} electrons…`;
+          await new Promise(r => setTimeout(r, 0));
+        }
+      }
+    }
+    traced += electrons;
+    experimentStatus.textContent = `run ${run + 1} / ${points.length}, ${traced} / ${points.length * electrons} electrons…`;
+    await new Promise(r => setTimeout(r, 0));
+  }
+  experiment = {
+    format: CRTExperiment.FORMAT,
+    version: CRTExperiment.FORMAT_VERSION,
+    created: new Date().toISOString(),
+    geometry: Object.assign({}, scene),
+    settings: params,
+    fieldModel: fieldModelSelect.value,
+    cathode: cathodeToggle.checked ? getCathode() : null,
+    gun: gunToggle.checked,
+    axes,
+    electronsPerRun: electrons,
+    records,
+  };
+  experimentRunning = false;
+  experimentRunBtn.disabled = lessonPreviewHidden();
+  [exportShotsBtn, exportJsonBtn].forEach(btn => { btn.disabled = false; });
+  exportPathsBtn.disabled = !keepPaths;
+  const hits = records.filter(r => !r.blocked).length;
+  experimentStatus.textContent = `${points.length} runs, ${records.length} electrons (${hits} reached the screen, ${records.length - hits} stopped)` +
+    (cathodeToggle.checked && records.length < points.length * electrons ? '; the grid cut off the beam in some runs' : '');
+}
+
+// Save text as a file through a temporary download link
+function downloadText(filename, text, type) {
+  downloadBlob(filename, new Blob([text], {type}));
+}
+
+// Save a blob (an image, a video or an archive) as a file the same way
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// --- Recording: a WebM video of the active view (MediaRecorder), PNG frame sequences stepped on the simulation clock
+// and packed in a ZIP (recording.js), and snapshots with a caption of the settings and readouts ---
+const recordFps = 30;
+const maxExportFrames = 1200;
+let mediaRecorder = null;
+let framesExporting = false;
+
+// The canvas that shows the active view
+function viewCanvas() {
+  return mode3DToggle.checked && renderer3d ? renderer3d.domElement : canvas;
+}
+
+function toggleRecording() {
+  if (mediaRecorder) { mediaRecorder.stop(); return; }
+  const source = viewCanvas();
+  const type = typeof MediaRecorder === 'undefined' || !source.captureStream ? null
+    : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+  if (!type) { recordStatus.textContent = 'this browser cannot record WebM video; export PNG frames instead'; return; }
+  const chunks = [];
+  const recorder = new MediaRecorder(source.captureStream(recordFps), {mimeType: type});
+  recorder.ondataavailable = e => { if (e.data.size > 0) chunks.push(e.data); };
+  recorder.onstop = () => {
+    mediaRecorder = null;
+    recordBtn.textContent = 'Record video';
+    downloadBlob('crt-recording.webm', new Blob(chunks, {type: 'video/webm'}));
+    recordStatus.textContent = 'video saved';
+  };
+  recorder.start(1000);
+  mediaRecorder = recorder;
+  recordBtn.textContent = 'Stop recording';
+  // the stream stays on the view it started on, so switching between 2D and 3D does not carry over
+  recordStatus.textContent = `recording the ${source === canvas ? '2D' : '3D'} view…`;
+}
+
+// Settings, readouts and HUD as caption lines
+function captionLines() {
+  const p = getCurrentParams();
+  const lines = [
+    `V_acc ${p.V_acc} V, Y plates ${p.V_plate.toFixed(1)} V, X plates ${p.V_hplate.toFixed(1)} V, coil ${(p.I_coil * 1000).toFixed(0)} mA, ${p.isRel ? 'relativistic' : 'classical'}, ${p.method} integrator`,
+    `Hit x ${hitX.textContent} m, y ${hitY.textContent} m; forward speed ${v0Readout.textContent} m/s; γ ${gammaReadout.textContent}; clipping: ${clipStatusReadout.textContent}`,
+  ];
+  if (flight && flight.tracks.length > 0) lines.push(`Flight ${flightRead.textContent}: ${flightPositionReadout.textContent}; v ${flightVelocityReadout.textContent}`);
+  hudDiv.innerHTML.split(/<br\s*\/?>/i).map(line => line.replace(/<[^>]*>/g, '').trim()).filter(Boolean).forEach(line => lines.push(line));
+  return lines;
+}
+
+// Copy of the active view, with the caption burned in below it if asked. It must be taken straight after the view was
+// drawn: WebGL clears its drawing buffer once the frame has been shown.
+function captureView(caption) {
+  const source = viewCanvas();
+  const lines = caption ? captionLines() : [];
+  const fontPx = Math.max(12, Math.round(source.width / 90));
+  const lineHeight = Math.round(fontPx * 1.4);
+  const out = document.createElement('canvas');
+  out.width = source.width;
+  out.height = source.height + (lines.length ? lines.length * lineHeight + fontPx : 0);
+  const c = out.getContext('2d');
+  c.fillStyle = '#02060a';
+  c.fillRect(0, 0, out.width, out.height);
+  c.drawImage(source, 0, 0);
+  c.fillStyle = '#cfe';
+  c.font = `${fontPx}px sans-serif`;
+  c.textBaseline = 'top';
+  lines.forEach((line, i) => c.fillText(line, fontPx / 2, source.height + fontPx / 2 + i * lineHeight));
+  return out;
+}
+
+function canvasToPng(source) {
+  return new Promise((resolve, reject) => source.toBlob(blob => (blob ? resolve(blob) : reject(new Error('the view could not be encoded as PNG'))), 'image/png'));
+}
+
+async function saveSnapshot() {
+  drawFrame();
+  const blob = await canvasToPng(captureView(true));
+  downloadBlob('crt-snapshot.png', blob);
+  recordStatus.textContent = 'snapshot saved';
+}
+
+// Draw the active view at width × height device pixels instead of its size on the page; resize() puts it back
+function setViewResolution(width, height) {
+  if (mode3DToggle.checked && renderer3d) {
+    renderer3d.setSize(width, height, false);
+    camera3d.aspect = width / height;
+    camera3d.updateProjectionMatrix();
+  } else {
+    canvas.width = width;
+    canvas.height = height;
+    canvasPixelRatio = 1;
+    scale = computeScale();
+  }
+}
+
+// PNG frames of the next stretch of simulation time, one every 1/fps seconds of display time, with the clock paused
+// and stepped by exactly that much between frames, so the same settings always give the same frames
+async function exportFrames() {
+  if (framesExporting) return;
+  const fps = Number(framesFpsSelect.value);
+  const count = CRTRecording.frameCount(Number(framesSecondsInput.value), fps);
+  if (count > maxExportFrames) {
+    recordStatus.textContent = `${count} frames is more than ${maxExportFrames}; export a shorter stretch or fewer frames per second`;
+    return;
+  }
+  framesExporting = true;
+  framesExportBtn.disabled = true;
+  const wasPaused = simClock.paused;
+  setClockPaused(true);
+  const view = viewCanvas();
+  const size = CRTRecording.frameSize(view.width, view.height, Number(framesWidthSelect.value));
+  const files = [];
+  try {
+    if (framesFireToggle.checked) await fireElectron();
+    for (let i = 0; i < count; i++) {
+      // keep the clock still between frames even if Resume is pressed meanwhile
+      setClockPaused(true);
+      if (i > 0) advanceSimulation(CRTClock.step(simClock, 1 / fps));
+      setViewResolution(size.width, size.height);
+      drawFrame();
+      const blob = await canvasToPng(captureView(false));
+      files.push({name: CRTRecording.frameName('crt', i, count), data: new Uint8Array(await blob.arrayBuffer())});
+      recordStatus.textContent = `frame ${i + 1} / ${count}…`;
+    }
+    downloadBlob('crt-frames.zip', new Blob([CRTRecording.zip(files)], {type: 'application/zip'}));
+    recordStatus.textContent = `${count} frames of ${size.width} × ${size.height} px saved`;
+  } catch (e) {
+    recordStatus.textContent = `frame export failed after ${files.length} of ${count} frames: ${e.message}`;
+  } finally {
+    resize();
+    setClockPaused(wasPaused);
+    framesExporting = false;
+    framesExportBtn.disabled = false;
+  }
+}
+
+// --- Scenarios (scenarios.js): every simulation control plus the 3D camera pose, saved as named presets in
+// localStorage, as JSON files and in the page URL hash ---
+const scenarioExcluded = new Set(['auto-fire', 'flight-slider', 'canvas-tool', 'preset-select', 'preset-name']);
+const presetStorageKey = 'crt-presets';
+let defaultControls = {};
+let pendingCameraPose = null; // pose to apply once the 3D scene exists
+let hashUpdateTimer = null;
+
+// The simulation controls: the inputs and selects of the control panel, apart from file pickers and the scenario
+// controls themselves. Auto-fire stays off so a shared link never starts firing by itself.
+function scenarioControls() {
+  return Array.from(document.querySelectorAll('.controls input[id], .controls select[id]'))
+    .filter(el => el.type !== 'file' && !scenarioExcluded.has(el.id));
+}
+
+function controlValue(el) {
+  if (el.type === 'checkbox') return el.checked;
+  if (el.type === 'range' || el.type === 'number') return Number(el.value);
+  return el.value;
+}
+
+// Values from the HTML attributes, which the browser may not show after it restores a form on reload
+function controlDefault(el) {
+  if (el.type === 'checkbox') return el.defaultChecked;
+  if (el.tagName === 'SELECT') return (Array.from(el.options).find(o => o.defaultSelected) || el.options[0]).value;
+  return el.type === 'range' || el.type === 'number' ? Number(el.defaultValue) : el.defaultValue;
+}
+
+function collectScenario() {
+  const controls = {};
+  scenarioControls().forEach(el => { controls[el.id] = controlValue(el); });
+  const camera = camera3d ? {
+    position: camera3d.position.toArray(),
+    quaternion: camera3d.quaternion.toArray(),
+    target: orbitControls ? orbitControls.target.toArray() : [0, scene.height_m / 2, 0],
+  } : null;
+  return CRTScenarios.createScenario(controls, camera);
+}
+
+// Set every control, then let each one's own listener bring the scene, readouts and modes up to date. The camera pose
+// goes last, since a tube change reframes the camera. Controls locked by a lesson step keep their values.
+function applyScenario(scenario) {
+  const controls = scenarioControls().filter(el => !el.disabled);
+  controls.forEach(el => {
+    if (!(el.id in scenario.controls)) return;
+    const value = scenario.controls[el.id];
+    if (el.type === 'checkbox') el.checked = value === true;
+    else el.value = String(value);
+  });
+  controls.forEach(el => el.dispatchEvent(new Event(el.type === 'checkbox' || el.tagName === 'SELECT' ? 'change' : 'input')));
+  if (scenario.camera) applyCameraPose(scenario.camera);
+}
+
+function applyCameraPose(pose) {
+  if (!camera3d) { pendingCameraPose = pose; return; }
+  camera3d.position.fromArray(pose.position);
+  camera3d.quaternion.fromArray(pose.quaternion);
+  if (orbitControls) {
+    orbitControls.target.fromArray(pose.target);
+    orbitControls.update();
+  }
+}
+
+function savedPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(presetStorageKey)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Built-in presets first, then the ones saved in this browser; option values are 'builtin:<name>' or 'saved:<name>'
+function populatePresetSelect(selected) {
+  presetSelect.innerHTML = '';
+  [['Built-in', Object.keys(CRTScenarios.PRESETS), 'builtin'], ['Saved', Object.keys(savedPresets()), 'saved']].forEach(([label, names, kind]) => {
+    if (names.length === 0) return;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = `${kind}:${name}`;
+      option.textContent = name;
+      if (kind === 'builtin') option.title = CRTScenarios.PRESETS[name].description;
+      group.appendChild(option);
+    });
+    presetSelect.appendChild(group);
+  });
+  if (selected) presetSelect.value = selected;
+}
+
+function selectedPreset() {
+  const [kind, ...rest] = presetSelect.value.split(':');
+  return {kind, name: rest.join(':')};
+}
+
+function loadSelectedPreset() {
+  const {kind, name} = selectedPreset();
+  try {
+    const scenario = kind === 'builtin'
+      ? CRTScenarios.presetScenario(name, defaultControls)
+      : CRTScenarios.parseScenario(savedPresets()[name]);
+    scenario.controls = Object.assign({}, defaultControls, scenario.controls);
+    applyScenario(scenario);
+    scenarioStatus.textContent = `loaded "${name}"`;
+  } catch (e) {
+    scenarioStatus.textContent = `could not load "${name}": ${e.message}`;
+  }
+}
+
+function savePreset() {
+  const name = presetNameInput.value.trim();
+  if (!name) { scenarioStatus.textContent = 'enter a name for the preset'; return; }
+  const presets = savedPresets();
+  presets[name] = collectScenario();
+  try {
+    localStorage.setItem(presetStorageKey, JSON.stringify(presets));
+  } catch (e) {
+    scenarioStatus.textContent = `could not save "${name}": ${e.message}`;
+    return;
+  }
+  populatePresetSelect(`saved:${name}`);
+  scenarioStatus.textContent = `saved "${name}" in this browser`;
+}
+
+function deleteSelectedPreset() {
+  const {kind, name} = selectedPreset();
+  if (kind !== 'saved') { scenarioStatus.textContent = 'built-in presets cannot be deleted'; return; }
+  const presets = savedPresets();
+  delete presets[name];
+  localStorage.setItem(presetStorageKey, JSON.stringify(presets));
+  populatePresetSelect();
+  scenarioStatus.textContent = `deleted "${name}"`;
+}
+
+async function loadScenarioFile(file) {
+  try {
+    const scenario = CRTScenarios.parseScenario(JSON.parse(await file.text()));
+    scenario.controls = Object.assign({}, defaultControls, scenario.controls);
+    applyScenario(scenario);
+    scenarioStatus.textContent = `loaded ${file.name}`;
+  } catch (e) {
+    scenarioStatus.textContent = `could not load ${file.name}: ${e.message}`;
+  }
+}
+
+// Keep the URL hash in step with the controls, so the address bar always holds a link to the present setup
+function updateScenarioHash() {
+  clearTimeout(hashUpdateTimer);
+  hashUpdateTimer = null;
+  history.replaceState(null, '', `#${CRTScenarios.encodeHash(collectScenario(), defaultControls)}`);
+}
+
+function scheduleScenarioHash() {
+  clearTimeout(hashUpdateTimer);
+  hashUpdateTimer = setTimeout(updateScenarioHash, 400);
+}
+
+async function copyScenarioLink() {
+  updateScenarioHash();
+  try {
+    await navigator.clipboard.writeText(location.href);
+    scenarioStatus.textContent = 'link copied';
+  } catch (e) {
+    scenarioStatus.textContent = 'copy the link from the address bar';
+  }
+}
+
+function loadScenarioFromHash() {
+  try {
+    const scenario = CRTScenarios.decodeHash(location.hash, defaultControls);
+    if (!scenario) return;
+    applyScenario(scenario);
+    scenarioStatus.textContent = 'loaded the scenario in the link';
+  } catch (e) {
+    scenarioStatus.textContent = `could not load the link: ${e.message}`;
+  }
+}
+
+// --- Lessons (lessons.js): step-by-step exercises that set and lock controls, mark targets on the screen face and
+// check the student's shots and settings against the simulation ---
+let lessonSession = null;
+let lessonShot = null; // the last shot fired in the present step: {hit, blocked, transitTime, prediction}
+let lessonHiddenElements = [];
+
+function populateLessonSelect() {
+  lessonSelect.innerHTML = '';
+  Object.keys(CRTLessons.LESSONS).forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    option.title = CRTLessons.LESSONS[name].description;
+    lessonSelect.appendChild(option);
+  });
+}
+
+function lessonStep() {
+  return lessonSession && !lessonSession.finished ? CRTLessons.currentStep(lessonSession) : null;
+}
+
+// The step hides the preview until the student has fired
+function lessonPreviewHidden() {
+  const step = lessonStep();
+  return Boolean(step && step.hidePreview && !lessonShot);
+}
+
+// Start a lesson from the page defaults with its own setup
+function startLesson(lesson) {
+  stopLesson();
+  lessonSession = CRTLessons.createSession(lesson);
+  applyScenario(CRTScenarios.createScenario(Object.assign({}, defaultControls, lesson.setup)));
+  startLessonStep();
+}
+
+function startLessonStep() {
+  const step = lessonStep();
+  lessonShot = null;
+  releaseLessonControls();
+  applyScenario(CRTScenarios.createScenario(Object.assign(collectScenario().controls, step.setup)));
+  CRTLessons.lockedControls(step, scenarioControls().map(el => el.id)).forEach(id => { document.getElementById(id).disabled = true; });
+  lessonHiddenElements = step.hidden.map(id => document.getElementById(id)).filter(Boolean);
+  lessonHiddenElements.forEach(el => { el.style.visibility = 'hidden'; });
+  lessonAnswerInput.value = '';
+  lessonHintsList.innerHTML = '';
+  updateLessonPanel('—');
+  preview();
+}
+
+// Unlock every control and show the hidden readouts again
+function releaseLessonControls() {
+  scenarioControls().forEach(el => { el.disabled = false; });
+  lessonHiddenElements.forEach(el => { el.style.visibility = ''; });
+  lessonHiddenElements = [];
+}
+
+function stopLesson() {
+  if (!lessonSession) return;
+  releaseLessonControls();
+  lessonSession = null;
+  lessonShot = null;
+  updateLessonPanel('—');
+  preview();
+}
+
+async function loadLessonFile(file) {
+  try {
+    const lesson = CRTLessons.parseLesson(JSON.parse(await file.text()));
+    startLesson(lesson);
+    lessonStatus.textContent = `loaded ${file.name}`;
+  } catch (e) {
+    lessonStatus.textContent = `could not load ${file.name}: ${e.message}`;
+  }
+}
+
+// The prediction typed in before firing, or NaN
+function lessonPrediction() {
+  return lessonAnswerInput.value.trim() === '' ? NaN : Number(lessonAnswerInput.value);
+}
+
+// Keep a landed shot for the step's check; shot checks run by themselves
+function recordLessonShot(shot) {
+  const step = lessonStep();
+  if (!step) return;
+  const mean = key => shot.hits.reduce((sum, h) => sum + h[key], 0) / shot.hits.length;
+  const first = shot.tracks[0];
+  lessonShot = {
+    hit: shot.hits.length > 0 ? {x: mean('sx_m'), y: mean('sy_m')} : null,
+    blocked: Object.keys(shot.blocked)[0] || null,
+    transitTime: first ? first.samples[first.samples.length - 1].t - first.samples[0].t : 0,
+    prediction: shot.prediction,
+  };
+  if (step.check.type === 'hit' || step.check.type === 'predict') checkLesson();
+}
+
+function checkLesson() {
+  if (!lessonStep()) return;
+  const controls = {};
+  scenarioControls().forEach(el => { controls[el.id] = controlValue(el); });
+  const outcome = CRTLessons.checkStep(lessonSession, {controls, shot: lessonShot, limits: {y: deflectionLimitCache.y, x: deflectionLimitCache.x}});
+  updateLessonPanel(`${outcome.passed ? '✓' : '✗'} ${outcome.message}`);
+}
+
+function showLessonHint() {
+  if (!lessonStep()) return;
+  const hint = CRTLessons.takeHint(lessonSession);
+  if (hint === null) return;
+  const item = document.createElement('li');
+  item.textContent = hint;
+  lessonHintsList.appendChild(item);
+  updateLessonPanel();
+}
+
+function nextLessonStep() {
+  if (!lessonSession) return;
+  if (CRTLessons.nextStep(lessonSession)) { startLessonStep(); return; }
+  if (!lessonSession.finished) return;
+  // the controls are the student's again once the lesson is done
+  releaseLessonControls();
+  updateLessonPanel('lesson complete');
+  preview();
+}
+
+// Step, instructions, buttons and score; `message` replaces the status line if given
+function updateLessonPanel(message) {
+  if (message !== undefined) lessonStatus.textContent = message;
+  const step = lessonStep();
+  lessonAnswerRow.style.display = step && step.check.type === 'predict' ? '' : 'none';
+  [lessonCheckBtn, lessonHintBtn, lessonNextBtn].forEach(btn => { btn.disabled = true; });
+  // a sweep or an experiment run would trace the hidden spot
+  sweepBtn.disabled = sweepRunning || lessonPreviewHidden();
+  experimentRunBtn.disabled = experimentRunning || lessonPreviewHidden();
+  if (!lessonSession) {
+    lessonStepTitle.textContent = '—';
+    lessonScoreReadout.textContent = '—';
+    lessonText.textContent = 'Pick a lesson and press Start, or load a lesson file.';
+    return;
   }
-  if (scene3d) {
-    // remove hit dots
-    try { scene3d.children.filter(c => c.userData && c.userData.isHitDot).forEach(dot => scene3d.remove(dot)); } catch(e){}
+  const {score, max, hints} = CRTLessons.sessionScore(lessonSession);
+  lessonScoreReadout.textContent = `${score} / ${max} points, ${hints} ${hints === 1 ? 'hint' : 'hints'} taken`;
+  if (!step) {
+    lessonStepTitle.textContent = `${lessonSession.lesson.title}: complete`;
+    lessonText.textContent = `You finished the lesson with ${score} of ${max} points.`;
+    return;
   }
-  // ensure 2D canvas is shown
-  document.getElementById('threejs-container').style.display = 'none';
-  document.getElementById('crt-canvas').style.display = 'block';
-  drawScene();
+  const state = lessonSession.steps[lessonSession.index];
+  const last = lessonSession.index === lessonSession.lesson.steps.length - 1;
+  lessonStepTitle.textContent = `${lessonSession.lesson.title}: step ${lessonSession.index + 1} of ${lessonSession.lesson.steps.length}, ${step.title}`;
+  lessonText.textContent = step.text;
+  if (step.check.type === 'predict') lessonAnswerUnit.textContent = CRTLessons.QUANTITIES[step.check.quantity].unit;
+  lessonCheckBtn.disabled = state.passed;
+  lessonHintBtn.disabled = state.passed || state.hints >= step.hints.length;
+  lessonNextBtn.disabled = !state.passed;
+  lessonNextBtn.textContent = last ? 'Finish' : 'Next step';
 }
 
-// Draw utilities
-function drawScene() {
-  ctx.clearRect(0,0,canvas.width,canvas.height);
-  // draw tube
-  ctx.fillStyle = '#061a26';
-  ctx.fillRect(0,0,canvas.width,canvas.height);
+// --- Raster TV mode ---
+// Sawtooths on the X (line) and Y (field) plates scan a raster while the picture sets the beam intensity; every sample
+// deposits the beam energy for its time step on the phosphor. As in oscilloscope mode, signal time runs at wall-clock
+// speed.
+const tvSamplesPerLine = 256;
+const tvRetraceIntensity = 0.15; // beam left on during blanking when "Show retrace" is checked
+const tvBlanking = {hBlank: 0.18, vBlank: 0.08}; // close to broadcast values
+const tvPictureSize = {w: 160, h: 120}; // loaded images are resampled to this many luminance samples
+let tv = {time: 0, lastFrame: null, vx: 0, vy: 0};
+let tvPicture = null; // {w, h, lum} from a loaded image; null shows the built-in test pattern
+
+function getTvTiming() {
+  return {
+    lines: Number(tvLinesSelect.value),
+    frameRate: Number(tvFrameRateSlider.value),
+    interlace: tvInterlaceToggle.checked,
+    hBlank: tvBlanking.hBlank,
+    vBlank: tvBlanking.vBlank,
+  };
+}
 
-  // draw centerline
-  ctx.strokeStyle = 'rgba(255,255,255,0.05)';
-  ctx.lineWidth = 1;
-  ctx.beginPath();
-  ctx.moveTo(0, canvas.height / 2);
-  ctx.lineTo(canvas.width, canvas.height / 2);
-  ctx.stroke();
+// Frequency errors of the free-running deflection oscillators; the hold sliders are in tenths of a percent
+function getTvHold() {
+  if (!tvSyncBreakToggle.checked) return {h: 0, v: 0};
+  return {h: Number(tvHholdSlider.value) / 1000, v: Number(tvVholdSlider.value) / 1000};
+}
 
-  // draw rulers / tick marks along tube (x axis in cm)
-  ctx.strokeStyle = 'rgba(255,255,255,0.06)';
-  ctx.lineWidth = 1;
-  const cmPerTick = 2; // tick every 2 cm
-  const ticks = Math.floor(scene.width_m * 100 / cmPerTick);
-  for (let i = 0; i <= ticks; i++) {
-    const x_m = i * (cmPerTick / 100);
-    const px = mToPxX(x_m);
-    ctx.beginPath();
-    ctx.moveTo(px, canvas.height - 8);
-    ctx.lineTo(px, canvas.height - 1);
-    ctx.stroke();
-    if (i % 5 === 0) {
-      ctx.fillStyle = 'rgba(255,255,255,0.06)';
-      ctx.fillText(`${(x_m*100).toFixed(0)}cm`, px+2, canvas.height - 10);
-    }
-  }
+function pictureLuminance(u, v) {
+  if (!tvPicture) return CRTSignals.testPattern(u, v);
+  const i = Math.min(tvPicture.w - 1, Math.floor(u * tvPicture.w));
+  const j = Math.min(tvPicture.h - 1, Math.floor(v * tvPicture.h));
+  return tvPicture.lum[j * tvPicture.w + i];
+}
 
-  // draw gun
-  ctx.fillStyle = '#f7c34a';
-  const gunXpx = mToPxX(scene.gun_x_m);
-  const gunYpx = mToPxY(scene.height_m / 2);
-  ctx.beginPath();
-  ctx.ellipse(gunXpx - 8, gunYpx, 8, 12, 0, 0, Math.PI*2);
-  ctx.fill();
+// Resample a user image (read locally, never uploaded) to luminance samples
+function loadTvPicture(file) {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => {
+    const {w, h} = tvPictureSize;
+    const work = document.createElement('canvas');
+    work.width = w;
+    work.height = h;
+    const workCtx = work.getContext('2d');
+    workCtx.drawImage(img, 0, 0, w, h);
+    const rgba = workCtx.getImageData(0, 0, w, h).data;
+    const lum = new Float32Array(w * h);
+    for (let k = 0; k < lum.length; k++) {
+      lum[k] = (0.299 * rgba[4 * k] + 0.587 * rgba[4 * k + 1] + 0.114 * rgba[4 * k + 2]) / 255;
+    }
+    tvPicture = {w, h, lum};
+    URL.revokeObjectURL(url);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    tvStatus.textContent = 'Could not read that image';
+  };
+  img.src = url;
+}
 
-  // draw plates
-  const plateStartPx = mToPxX(scene.plate_x_m);
-  const plateEndPx = mToPxX(scene.plate_x_m + scene.plate_length_m);
-  const centerY_m = scene.height_m / 2;
-  const spacing = scene.plate_spacing_m || 0.010;
-  const plateTopY = mToPxY(centerY_m + spacing/2);
-  const plateBottomY = mToPxY(centerY_m - spacing/2);
-  ctx.strokeStyle = '#66c2ff';
-  ctx.lineWidth = 4;
-  // top plate
-  ctx.beginPath();
-  ctx.moveTo(plateStartPx, plateTopY);
-  ctx.lineTo(plateEndPx, plateTopY);
-  ctx.stroke();
-  // bottom plate
-  ctx.beginPath();
-  ctx.moveTo(plateStartPx, plateBottomY);
-  ctx.lineTo(plateEndPx, plateBottomY);
-  ctx.stroke();
+function resetTv() {
+  tv = {time: 0, lastFrame: null, vx: 0, vy: 0};
+  clearPhosphor();
+}
 
-  // draw screen
-  ctx.fillStyle = '#091b1f';
-  const screenX = mToPxX(scene.screen_x_m);
-  ctx.fillRect(screenX-2, 0, 4, canvas.height);
-
-  // draw hits (persistent, fading)
-  const now = performance.now() / 1000.0;
-  for (let i = 0; i < hits.length; i++) {
-    const hit = hits[i];
-    const age = now - hit.t;
-    if (age > hitFadeSeconds) continue; // skip
-
-    const alpha = Math.max(0, 1.0 - age / hitFadeSeconds);
-    // radial glow
-    const radius = electronRadiusPx + 6 * alpha;
-    const gradient = ctx.createRadialGradient(hit.x, hit.y, 0, hit.x, hit.y, radius);
-    gradient.addColorStop(0, `rgba(255, 230, 120, ${0.7*alpha})`);
-    gradient.addColorStop(0.7, `rgba(255, 120, 30, ${0.25*alpha})`);
-    gradient.addColorStop(1, `rgba(0,0,0,0)`);
-    ctx.fillStyle = gradient;
-    ctx.beginPath();
-    ctx.arc(hit.x, hit.y, radius, 0, Math.PI*2);
-    ctx.fill();
+// Advance signal time to the current frame, scanning the beam and painting the phosphor
+function updateTv(nowSeconds) {
+  if (tv.lastFrame === null) tv.lastFrame = nowSeconds;
+  const dt = Math.min(0.1, Math.max(0, nowSeconds - tv.lastFrame));
+  tv.lastFrame = nowSeconds;
+  const timing = getTvTiming();
+  const hold = getTvHold();
+  const xPeak = Number(tvWidthSlider.value);
+  const yPeak = Number(tvHeightSlider.value);
+  const tables = getDeflectionTables(getCurrentParams(), yPeak, xPeak);
+  const corners = [lookupDeflection(tables.x, xPeak), lookupDeflection(tables.x, -xPeak), lookupDeflection(tables.y, yPeak), lookupDeflection(tables.y, -yPeak)];
+  const pictureW = Math.abs(corners[0] - corners[1]);
+  const pictureH = Math.abs(corners[2] - corners[3]);
+  const spotsPerSecond = CRTSignals.lineRate(timing) * tvSamplesPerLine;
+  const showRetrace = tvShowBlankingToggle.checked;
+  const step = 1 / spotsPerSecond;
+  const tEnd = tv.time + dt;
+  let t = tv.time;
+  for (; t < tEnd; t += step) {
+    // the video signal keeps its own timing; the deflection follows it only while the sync holds
+    const video = CRTSignals.videoCoords(CRTSignals.rasterPhases(t, timing), timing);
+    const beam = CRTSignals.rasterPhases(t, timing, hold);
+    tv.vx = CRTSignals.rasterDeflection(beam.h, timing.hBlank) * xPeak;
+    tv.vy = -CRTSignals.rasterDeflection(beam.v, timing.vBlank) * yPeak; // fields scan top to bottom
+    const intensity = video ? pictureLuminance(video.u, video.v) : (showRetrace ? tvRetraceIntensity : 0);
+    if (intensity > 0) depositSpot(lookupDeflection(tables.x, tv.vx), lookupDeflection(tables.y, tv.vy), beamPower(intensity) * step);
   }
+  tv.time = t;
+  const picture = !corners.includes(null)
+    ? `picture ${(pictureW * 100).toFixed(1)} × ${(pictureH * 100).toFixed(1)} cm` : 'raster clipped by the plates or walls';
+  tvStatus.textContent = `line rate ${formatHz(CRTSignals.lineRate(timing))}, field rate ${formatHz(CRTSignals.fieldRate(timing))}, ` +
+    `${picture}${tvSyncBreakToggle.checked ? ', sync broken' : ''}`;
 }
 
 // --- 3D Scene setup ---
@@ -400,8 +2262,6 @@ function init3D() {
   const width = document.getElementById('threejs-container').clientWidth;
   const height = 400; // fixed
   camera3d = new THREE.PerspectiveCamera(40, width / height, 0.01, 100);
-  camera3d.position.set(0.25, scene.height_m / 2, 0.7);
-  camera3d.lookAt(new THREE.Vector3(0.25, scene.height_m / 2, 0));
 
   renderer3d = new THREE.WebGLRenderer({antialias: true, alpha: true});
   renderer3d.setSize(width, height);
@@ -416,35 +2276,62 @@ function init3D() {
   scene3d.add(dir);
 
   // Add a simple room: screen plane and plates
-  const screenGeom = new THREE.PlaneGeometry(0.01, scene.height_m);
-  const screenMat = new THREE.MeshBasicMaterial({color: 0x0b1b1d});
-  screenMesh3d = new THREE.Mesh(screenGeom, screenMat);
-  screenMesh3d.position.set(scene.screen_x_m - scene.width_m/2, scene.height_m/2, 0);
+  // the screen geometry and position follow the tube geometry (updateTubeMeshes)
+  const screenMat = new THREE.MeshBasicMaterial({color: 0x0b1b1d, side: THREE.DoubleSide});
+  screenMesh3d = new THREE.Mesh(new THREE.BufferGeometry(), screenMat);
   screenMesh3d.rotateY(Math.PI/2);
   scene3d.add(screenMesh3d);
+  // glass envelope, faint so the electrodes inside stay visible
+  envelopeMesh3d = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshLambertMaterial({color: 0x9fd3e6, transparent: true, opacity: 0.12, side: THREE.DoubleSide, depthWrite: false}));
+  scene3d.add(envelopeMesh3d);
+  attachPhosphorTexture();
 
-  // plates
-  const plateThickness = 0.002;
-  const plateLength = scene.plate_length_m;
-  const plateTopGeom = new THREE.BoxGeometry(plateLength, plateThickness, 0.02);
+  // plates: Y pair (top/bottom) and X pair (left/right as seen from the front of the screen)
   const plateMat = new THREE.MeshLambertMaterial({color: 0x66c2ff});
-  plateTopMesh = new THREE.Mesh(plateTopGeom, plateMat);
-  scene3d.add(plateTopMesh);
-  plateBottomMesh = new THREE.Mesh(plateTopGeom, plateMat);
-  // 3D plate positions will be set after creation below based on spacing
-  // position based on spacing
-  const centerY = scene.height_m/2;
-  const spacing = scene.plate_spacing_m || 0.010;
-  plateTopMesh.position.set(scene.plate_x_m + plateLength/2 - scene.width_m/2, centerY + spacing/2, 0);
-  plateBottomMesh.position.set(scene.plate_x_m + plateLength/2 - scene.width_m/2, centerY - spacing/2, 0);
-  scene3d.add(plateBottomMesh);
+  const hplateMat = new THREE.MeshLambertMaterial({color: 0x9a8cff});
+  plateTopMesh = new THREE.Mesh(new THREE.BufferGeometry(), plateMat);
+  plateBottomMesh = new THREE.Mesh(new THREE.BufferGeometry(), plateMat);
+  hplateLeftMesh = new THREE.Mesh(new THREE.BufferGeometry(), hplateMat);
+  hplateRightMesh = new THREE.Mesh(new THREE.BufferGeometry(), hplateMat);
+  [plateTopMesh, plateBottomMesh, hplateLeftMesh, hplateRightMesh].forEach(m => scene3d.add(m));
+  // deflection coils: one loop on each side of the beam
+  const coilMat = new THREE.MeshLambertMaterial({color: 0xd98c4a});
+  coilLeftMesh = new THREE.Mesh(new THREE.BufferGeometry(), coilMat);
+  coilRightMesh = new THREE.Mesh(new THREE.BufferGeometry(), coilMat);
+  [coilLeftMesh, coilRightMesh].forEach(m => scene3d.add(m));
+  // electron gun lens tubes (open cylinders along the axis), the focus electrode in the middle
+  const gunLayout = CRTFieldSolver.DEFAULT_GUN;
+  const tubeMat = new THREE.MeshLambertMaterial({color: 0xbec8d2, side: THREE.DoubleSide});
+  const focusMat = new THREE.MeshLambertMaterial({color: 0x78e6c8, side: THREE.DoubleSide});
+  gunTubeMeshes = [
+    [gunLayout.anodeX, gunLayout.focusStart - gunLayout.lensGap, tubeMat],
+    [gunLayout.focusStart, gunLayout.focusEnd, focusMat],
+    [gunLayout.focusEnd + gunLayout.lensGap, gunLayout.lensEnd, tubeMat],
+  ].map(([start, end, mat]) => {
+    const mesh = new THREE.Mesh(new THREE.CylinderGeometry(gunLayout.lensRadius, gunLayout.lensRadius, end - start, 24, 1, true), mat);
+    mesh.rotateZ(Math.PI / 2);
+    mesh.userData.offset = (start + end) / 2; // from the cathode
+    scene3d.add(mesh);
+    return mesh;
+  });
 
   // gun
   const gunGeom = new THREE.SphereGeometry(0.008, 12, 12);
   const gunMat = new THREE.MeshLambertMaterial({color: 0xffc34a});
-  const gun = new THREE.Mesh(gunGeom, gunMat);
-  gun.position.set(scene.gun_x_m - scene.width_m/2, scene.height_m/2, 0);
-  scene3d.add(gun);
+  gunMesh3d = new THREE.Mesh(gunGeom, gunMat);
+  scene3d.add(gunMesh3d);
+  updatePlateMeshes();
+
+  // marker where the previewed track is absorbed
+  impactMesh3d = new THREE.Mesh(new THREE.SphereGeometry(0.004, 10, 10), new THREE.MeshBasicMaterial({color: 0xff6e5a}));
+  impactMesh3d.visible = false;
+  scene3d.add(impactMesh3d);
+
+  // envelope of the last multi-electron shot and the ring of its picked cross-section (updateBeamConeMeshes)
+  beamConeMesh3d = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshLambertMaterial({color: 0x7fe8ff, transparent: true, opacity: 0.25, side: THREE.DoubleSide, depthWrite: false}));
+  beamSectionMesh3d = new THREE.LineLoop(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({color: 0xffffff}));
+  [beamConeMesh3d, beamSectionMesh3d].forEach(m => { m.visible = false; scene3d.add(m); });
+  updateBeamConeMeshes();
 
   // electron sphere
   const electronGeom = new THREE.SphereGeometry(0.005, 8, 8);
@@ -455,11 +2342,14 @@ function init3D() {
   // orbit controls
   try {
     orbitControls = new THREE.OrbitControls(camera3d, renderer3d.domElement);
-    orbitControls.target.set(0, scene.height_m/2, 0);
-    orbitControls.update();
   } catch (e) {
     orbitControls = null;
   }
+  frameCamera3D();
+  if (pendingCameraPose) {
+    applyCameraPose(pendingCameraPose);
+    pendingCameraPose = null;
+  }
   // pointer lock for mouse-look when locomotion mode is enabled
   try {
     renderer3d.domElement.addEventListener('click', () => {
@@ -490,6 +2380,78 @@ function init3D() {
   }
 }
 
+// Rebuild plate geometry from the current scene values (plate_width_m across the beam, plate_thickness_m thick)
+function updatePlateMeshes() {
+  if (!plateTopMesh) return;
+  const plateThickness = scene.plate_thickness_m;
+  const plateWidth = scene.plate_width_m;
+  const centerY = scene.height_m/2;
+  const spacing = scene.plate_spacing_m || 0.010;
+  const plateLen = scene.plate_length_m;
+  const hspacing = scene.hplate_spacing_m || 0.010;
+  const hplateLen = scene.hplate_length_m;
+  [plateTopMesh, plateBottomMesh, hplateLeftMesh, hplateRightMesh].forEach(m => { try { m.geometry.dispose(); } catch(e) {} });
+  plateTopMesh.geometry = new THREE.BoxGeometry(plateLen, plateThickness, plateWidth);
+  plateBottomMesh.geometry = new THREE.BoxGeometry(plateLen, plateThickness, plateWidth);
+  hplateLeftMesh.geometry = new THREE.BoxGeometry(hplateLen, plateWidth, plateThickness);
+  hplateRightMesh.geometry = new THREE.BoxGeometry(hplateLen, plateWidth, plateThickness);
+  // the inner faces of the plates are spacing apart, as in the physics
+  plateTopMesh.position.set(scene.plate_x_m + plateLen/2 - scene.width_m/2, centerY + spacing/2 + plateThickness/2, 0);
+  plateBottomMesh.position.set(scene.plate_x_m + plateLen/2 - scene.width_m/2, centerY - spacing/2 - plateThickness/2, 0);
+  // the viewer's left (seen from the front of the screen) is +z
+  hplateLeftMesh.position.set(scene.hplate_x_m + hplateLen/2 - scene.width_m/2, centerY, hspacing/2 + plateThickness/2);
+  hplateRightMesh.position.set(scene.hplate_x_m + hplateLen/2 - scene.width_m/2, centerY, -hspacing/2 - plateThickness/2);
+  // coil loops lie in the x-y plane (the torus default), one coil radius apart along z
+  [coilLeftMesh, coilRightMesh].forEach(m => { try { m.geometry.dispose(); } catch(e) {} });
+  coilLeftMesh.geometry = new THREE.TorusGeometry(scene.coil_radius_m, 0.003, 8, 48);
+  coilRightMesh.geometry = new THREE.TorusGeometry(scene.coil_radius_m, 0.003, 8, 48);
+  coilLeftMesh.position.set(scene.coil_x_m - scene.width_m/2, centerY, scene.coil_radius_m/2);
+  coilRightMesh.position.set(scene.coil_x_m - scene.width_m/2, centerY, -scene.coil_radius_m/2);
+  coilLeftMesh.visible = coilRightMesh.visible = magneticToggle.checked;
+  gunTubeMeshes.forEach(m => { m.visible = gunToggle.checked; });
+  updateTubeMeshes();
+}
+
+// Screen, envelope and gun meshes for the current tube geometry. The screen is a plane, or for a curved screen a plane
+// bent onto its sphere, so the phosphor texture keeps mapping straight onto screen-face coordinates.
+function updateTubeMeshes() {
+  if (!screenMesh3d) return;
+  const h = scene.height_m;
+  const axis = h / 2;
+  const screenGeom = new THREE.PlaneGeometry(h, h, 32, 32);
+  const position = screenGeom.attributes.position;
+  for (let i = 0; i < position.count; i++) {
+    const r = Math.hypot(position.getX(i), position.getY(i));
+    position.setZ(i, CRTPhysics.screenSurfaceX(scene, r) - scene.screen_x_m);
+  }
+  screenGeom.computeVertexNormals();
+  screenMesh3d.geometry.dispose();
+  screenMesh3d.geometry = screenGeom;
+  screenMesh3d.position.set(scene.screen_x_m - scene.width_m/2, axis, 0);
+  // the envelope profile (radius against x) turned about the tube axis
+  const rimX = CRTPhysics.screenSurfaceX(scene, axis);
+  const funnelX = Math.min(scene.funnel_x_m, rimX);
+  const profile = [[0, 0.001], [0, CRTPhysics.envelopeRadius(scene, 0)], [funnelX, CRTPhysics.envelopeRadius(scene, funnelX)], [rimX, axis]];
+  const envelopeGeom = new THREE.LatheGeometry(profile.map(([x, r]) => new THREE.Vector2(r, x - scene.width_m/2)), 48);
+  envelopeGeom.rotateZ(-Math.PI / 2);
+  envelopeGeom.translate(0, axis, 0);
+  envelopeMesh3d.geometry.dispose();
+  envelopeMesh3d.geometry = envelopeGeom;
+  gunMesh3d.position.set(scene.gun_x_m - scene.width_m/2, axis, 0);
+  gunTubeMeshes.forEach(m => m.position.set(scene.gun_x_m + m.userData.offset - scene.width_m/2, axis, 0));
+}
+
+// Point the 3D camera at the middle of the tube from far enough to the side to see all of it
+function frameCamera3D() {
+  if (!camera3d) return;
+  camera3d.position.set(scene.width_m / 2, scene.height_m / 2, 1.4 * Math.max(scene.width_m, scene.height_m));
+  camera3d.lookAt(new THREE.Vector3(0, scene.height_m / 2, 0));
+  if (orbitControls) {
+    orbitControls.target.set(0, scene.height_m / 2, 0);
+    orbitControls.update();
+  }
+}
+
 function draw3DPath(track) {
   if (!scene3d) init3D();
   if (pathLine3d) {
@@ -497,13 +2459,14 @@ function draw3DPath(track) {
     try { pathLine3d.geometry.dispose(); pathLine3d.material.dispose(); } catch(e){}
     pathLine3d = null;
   }
-  const points = track.path.map(p => {
-    // center around origin for camera convenience
-    return new THREE.Vector3(p.x - scene.width_m/2, p.y, 0);
-  });
+  const points = track.path.map(toVector3);
+  if (impactMesh3d) {
+    impactMesh3d.visible = Boolean(track.blocked);
+    if (track.blocked) impactMesh3d.position.copy(points[points.length - 1]);
+  }
   // build a tube so the ray shows a more volumetric beam
   const curve = new THREE.CatmullRomCurve3(points);
-  const beamRadius_m = (Number(beamWidthSlider.value) / 2) / scale.pxPerMeterY; // convert px to meters
+  const beamRadius_m = (Number(beamWidthSlider.value) / 2) / (scale.pxPerMeterY / sideView.zoom); // convert px to meters
   // validate points (avoid NaN or infinite values)
   const goodPoints = points.filter(p => Number.isFinite(p.x) && Number.isFinite(p.y) && Number.isFinite(p.z));
   if (goodPoints.length < 2) {
@@ -542,40 +2505,6 @@ function draw3DPath(track) {
   }
 }
 
-async function animateTrack3D(track) {
-  if (!track || !scene3d) return;
-  // animate sphere along path
-  const path = track.path.map(p => new THREE.Vector3(p.x - scene.width_m/2, p.y, 0));
-  // validate path
-  if (!path || path.length < 2 || path.some(v => !Number.isFinite(v.x) || !Number.isFinite(v.y) || !Number.isFinite(v.z))) {
-    console.warn('animateTrack3D: invalid path - aborting');
-    return;
-  }
-  const steps = Math.max(60, path.length*3);
-  for (let i=0;i<=steps;i++) {
-    const frac = i/steps;
-    const idxFloat = frac * (path.length - 1);
-    const idx = Math.floor(idxFloat);
-    const nextIdx = Math.min(idx + 1, path.length - 1);
-    const localFrac = idxFloat - idx;
-    const v = new THREE.Vector3().lerpVectors(path[idx], path[nextIdx], localFrac);
-    electronMesh3d.position.copy(v);
-    renderer3d.render(scene3d, camera3d);
-    await new Promise(r => setTimeout(r, 1000/steps));
-  }
-  // record hit by creating a small sprite on the screen
-  const hx = scene.screen_x_m - scene.width_m/2;
-  const hy = track.y_screen_m;
-  const dotGeom = new THREE.CircleGeometry(0.008, 16);
-  const dotMat = new THREE.MeshBasicMaterial({color: 0xffd46b});
-  const dot = new THREE.Mesh(dotGeom, dotMat);
-  dot.userData = { isHitDot: true };
-  dot.position.set(hx, hy, 0.011);
-  scene3d.add(dot);
-  // fade and remove later
-  setTimeout(() => { scene3d.remove(dot); }, hitFadeSeconds*1000);
-}
-
 function drawPath(track) {
   if (!track || !track.path) return;
   // draw path
@@ -608,6 +2537,24 @@ function drawPath(track) {
   ctx.stroke();
   // clear shadow for other draws
   ctx.shadowBlur = 0;
+  if (track.blocked) drawImpactMarker(track.path[track.path.length - 1]);
+}
+
+// Cross in a ring where an electron was absorbed by a plate, an electrode or the wall
+function drawImpactMarker(p) {
+  const x = mToPxX(p.x);
+  const y = mToPxY(p.y);
+  ctx.save();
+  ctx.strokeStyle = 'rgba(255,110,90,0.95)';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(x, y, 6, 0, Math.PI * 2);
+  ctx.moveTo(x - 4, y - 4);
+  ctx.lineTo(x + 4, y + 4);
+  ctx.moveTo(x + 4, y - 4);
+  ctx.lineTo(x - 4, y + 4);
+  ctx.stroke();
+  ctx.restore();
 }
 
 function drawVectors(track) {
@@ -641,192 +2588,689 @@ function drawVectorsForTracks(tracks) {
   tracks.forEach(t => drawVectors(t));
 }
 
-// Animate a single electron following a computed track
-async function animateTrack(track) {
-  if (!track) return;
-  // We'll animate by stepping along track.path and drawing an electron moving along it, leaving a short trail
-  let t0 = performance.now();
-  const path = track.path;
-  const duration = 1.0; // seconds to animate from gun to screen (scaled for visibility)
-  const steps = 120;
-  for (let i = 0; i <= steps; i++) {
-    // show scene and path
-    drawScene();
-    drawPath(track);
-
-    // find position along path using linear interpolation
-    const frac = i / steps;
-    const idxFloat = frac * (path.length - 1);
-    const idx = Math.floor(idxFloat);
-    const nextIdx = Math.min(idx + 1, path.length - 1);
-    const localFrac = idxFloat - idx;
-    const x = path[idx].x * (1 - localFrac) + path[nextIdx].x * localFrac;
-    const y = path[idx].y * (1 - localFrac) + path[nextIdx].y * localFrac;
-
-    // draw electron
-    const px = mToPxX(x);
-    const py = mToPxY(y);
-    ctx.fillStyle = '#ffeb6b';
-    ctx.beginPath();
-    ctx.arc(px, py, electronRadiusPx, 0, Math.PI*2);
-    ctx.fill();
+// --- Electrons in flight ---
+// A fired shot plays out on the simulation clock: the render loop moves its electrons along their tracks by their real
+// transit times at the slow-motion rate, and the shot lands on the phosphor once the slowest of them has stopped. The
+// last flight stays scrubbable after it has landed.
+let flight = null; // CRTClock flight plus {shot, recorded, showing}
+const flightTailSeconds = 0.08; // display time of the fading tail behind each electron
+
+function startFlight(shot) {
+  hideFlight();
+  flight = Object.assign(CRTClock.createFlight(shot.tracks), {shot, recorded: false, showing: true});
+  if (flight.arrived) finishFlight();
+}
 
-    // small tail - draw a few faded points behind
-    ctx.strokeStyle = 'rgba(255,255,255,0.05)';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    for (let j = Math.max(0, idx - 6); j < idx; j++) {
-      const tpx = mToPxX(path[j].x);
-      const tpy = mToPxY(path[j].y);
-      if (j === Math.max(0, idx - 6)) ctx.moveTo(tpx, tpy);
-      else ctx.lineTo(tpx, tpy);
+// Deposit the flight's shot on the phosphor, once
+function finishFlight() {
+  if (!flight || flight.recorded) return;
+  flight.recorded = true;
+  const shot = flight.shot;
+  recordShot(shot);
+  updateBeamLoss(shot);
+  recordLessonShot(shot);
+  if (shot.count > 1) {
+    spotSample = shot.hits;
+    drawSpotProfile();
+    beamSections = shot.envelope;
+    updateBeamConeMeshes();
+  }
+  const track = shot.tracks[0];
+  if (track && !track.blocked) {
+    hitX.textContent = screenFaceCoords(track).sx_m.toFixed(4);
+    hitY.textContent = track.y_screen_m.toFixed(4);
+    hitPx.textContent = Math.round(track.y_screen_px);
+  }
+}
+
+// Hand the views back to the preview path
+function hideFlight() {
+  if (flight) flight.showing = false;
+}
+
+// Show the last flight at physical time t (seconds from its start), pausing the clock to look at it
+function seekFlight(t) {
+  if (!flight) return;
+  setClockPaused(true);
+  flight.showing = true;
+  if (CRTClock.seekFlight(flight, t)) finishFlight();
+}
+
+// Move the flight on by dt seconds of display time; a flight that has played to the end on a running clock goes back
+// to the preview, while a paused one stays up to be scrubbed
+function advanceFlight(dt) {
+  if (!flight || !flight.showing) return;
+  if (CRTClock.advanceFlight(flight, dt, simClock.rate)) finishFlight();
+  if (flight.t >= flight.duration && !simClock.paused) hideFlight();
+}
+
+function setClockPaused(paused) {
+  simClock.paused = paused;
+  clockPauseBtn.textContent = paused ? 'Resume' : 'Pause';
+}
+
+// Run the simulation on by dt seconds of display time
+function advanceSimulation(dt) {
+  const now = simClock.time;
+  if (scopeToggle.checked) updateScope(now);
+  advancePhosphor(now);
+  if (tvToggle.checked) updateTv(now);
+  advanceFlight(dt);
+  // auto-fire waits for each shot to land before firing the next
+  if (autoFire.checked && !simClock.paused && !shotInProgress && !(flight && flight.showing)) fireElectron();
+}
+
+// One frame forward with the clock paused
+function stepSimulation() {
+  setClockPaused(true);
+  advanceSimulation(CRTClock.step(simClock));
+}
+
+// Timeline and readouts of the first electron at the flight's present moment
+function updateFlightReadouts() {
+  if (!flight || flight.tracks.length === 0) {
+    flightRead.textContent = '—';
+    flightPositionReadout.textContent = '—';
+    flightVelocityReadout.textContent = '—';
+    return;
+  }
+  flightSlider.value = flight.duration > 0 ? Math.round(1000 * flight.t / flight.duration) : 0;
+  flightRead.textContent = `${(flight.t * 1e9).toFixed(2)} / ${(flight.duration * 1e9).toFixed(2)} ns`;
+  const s = CRTClock.sampleAt(flight.tracks[0].samples, flight.t);
+  // along the tube from its back end, and off the axis in the side view's y and the 3D view's z
+  flightPositionReadout.textContent = `x ${(s.x * 100).toFixed(2)} cm, y ${((s.y - scene.height_m / 2) * 1000).toFixed(2)} mm, z ${(s.z * 1000).toFixed(2)} mm`;
+  const speed = Math.hypot(s.vx, s.vy, s.vz);
+  flightVelocityReadout.textContent = `(${[s.vx, s.vy, s.vz].map(v => v.toExponential(2)).join(', ')}) m/s, |v| ${speed.toExponential(3)} m/s`;
+}
+
+// --- Frame model: what the views show ---
+// One model per frame holds the tracks to draw (the flight's while one is up, else the preview of the present
+// settings), the moment of the flight shown (Infinity for the whole preview) and, during a flight, each electron's last
+// few positions ending at that moment. The side, top and 3D views and the plots all draw this same model.
+const flightTailPoints = 6;
+function frameModel(preview = computeTrack(getCurrentParams())) {
+  if (!flight || !flight.showing) return {preview, tracks: lessonPreviewHidden() ? [] : [preview], t: Infinity, electrons: []};
+  const tail = flightTailSeconds * simClock.rate;
+  return {
+    preview,
+    tracks: flight.tracks,
+    t: flight.t,
+    electrons: flight.tracks.map(track => Array.from({length: flightTailPoints + 1}, (_, k) =>
+      CRTClock.sampleAt(track.samples, flight.t - tail * (flightTailPoints - k) / flightTailPoints))),
+  };
+}
+
+// Draw the model in every view that is on screen
+function drawViews(model) {
+  if (viewShown('side')) drawSideView(model);
+  if (viewShown('top')) drawTopView(model);
+  if (viewShown('3d') && scene3d) draw3DView(model);
+}
+
+// Electrons of the model with their fading tails, on a 2D view given its projection to pixels
+function drawElectrons(c, electrons, toPx) {
+  electrons.forEach(tail => {
+    c.strokeStyle = 'rgba(255,235,107,0.35)';
+    c.lineWidth = 1.5;
+    c.beginPath();
+    tail.forEach((p, k) => {
+      const {x, y} = toPx(p);
+      if (k === 0) c.moveTo(x, y);
+      else c.lineTo(x, y);
+    });
+    c.stroke();
+    const {x, y} = toPx(tail[tail.length - 1]);
+    c.fillStyle = '#ffeb6b';
+    c.beginPath();
+    c.arc(x, y, electronRadiusPx, 0, Math.PI * 2);
+    c.fill();
+  });
+}
+
+function drawSideView(model) {
+  drawScene();
+  model.tracks.forEach(track => { drawPath(track); drawVectors(track); });
+  drawElectrons(ctx, model.electrons, p => ({x: mToPxX(p.x), y: mToPxY(p.y)}));
+  drawSideTools(model);
+}
+
+// Top view: x along the tube as in the side view, z across it with +z (the viewer's left, seen from the front of the
+// screen) down. The Y plates show their faces, the X plates and the coil loops are seen edge-on.
+function topPxX(x_m) { return x_m * topCanvas.width / scene.width_m; }
+function topPxZ(z_m) { return topCanvas.height / 2 + z_m * topCanvas.height / scene.height_m; }
+
+function drawTopView(model) {
+  const w = topCanvas.width;
+  const h = topCanvas.height;
+  const c = topCtx;
+  c.fillStyle = '#061a26';
+  c.fillRect(0, 0, w, h);
+  c.strokeStyle = 'rgba(255,255,255,0.05)';
+  c.lineWidth = 1;
+  c.beginPath();
+  c.moveTo(0, h / 2);
+  c.lineTo(w, h / 2);
+  c.stroke();
+  // the envelope is round, so from above it has the same outline as from the side
+  const rimX = CRTPhysics.screenSurfaceX(scene, scene.height_m / 2);
+  const profile = [0, Math.min(scene.funnel_x_m, rimX), rimX].map(x => ({x, r: CRTPhysics.envelopeRadius(scene, x)}));
+  c.strokeStyle = 'rgba(170,210,230,0.3)';
+  c.lineWidth = 2;
+  c.beginPath();
+  [1, -1].forEach(side => profile.forEach((p, i) => {
+    if (i === 0) c.moveTo(topPxX(p.x), topPxZ(side * p.r));
+    else c.lineTo(topPxX(p.x), topPxZ(side * p.r));
+  }));
+  c.moveTo(topPxX(0), topPxZ(profile[0].r));
+  c.lineTo(topPxX(0), topPxZ(-profile[0].r));
+  c.stroke();
+  // Y plates from above: the top plate's face, plate_width_m across
+  c.fillStyle = 'rgba(102,194,255,0.25)';
+  c.fillRect(topPxX(scene.plate_x_m), topPxZ(-scene.plate_width_m / 2), topPxX(scene.plate_length_m), topPxZ(scene.plate_width_m / 2) - topPxZ(-scene.plate_width_m / 2));
+  // X plates edge-on
+  const hspacing = scene.hplate_spacing_m || 0.010;
+  c.strokeStyle = '#9a8cff';
+  c.lineWidth = 4;
+  c.beginPath();
+  [1, -1].forEach(side => {
+    c.moveTo(topPxX(scene.hplate_x_m), topPxZ(side * hspacing / 2));
+    c.lineTo(topPxX(scene.hplate_x_m + scene.hplate_length_m), topPxZ(side * hspacing / 2));
+  });
+  c.stroke();
+  // coil loops edge-on, one coil radius apart across the tube
+  if (magneticToggle.checked) {
+    c.strokeStyle = 'rgba(217,140,74,0.8)';
+    c.lineWidth = 3;
+    c.beginPath();
+    [1, -1].forEach(side => {
+      c.moveTo(topPxX(scene.coil_x_m - scene.coil_radius_m), topPxZ(side * scene.coil_radius_m / 2));
+      c.lineTo(topPxX(scene.coil_x_m + scene.coil_radius_m), topPxZ(side * scene.coil_radius_m / 2));
+    });
+    c.stroke();
+  }
+  // gun
+  c.fillStyle = '#f7c34a';
+  c.beginPath();
+  c.ellipse(topPxX(scene.gun_x_m) - 8, h / 2, 8, 12, 0, 0, Math.PI * 2);
+  c.fill();
+  // screen edge-on, curved if the screen is
+  c.strokeStyle = '#1d4a52';
+  c.lineWidth = 4;
+  c.beginPath();
+  for (let k = 0; k <= screenEdgeStrips; k++) {
+    const z = scene.height_m * (k / screenEdgeStrips - 0.5);
+    const x = topPxX(CRTPhysics.screenSurfaceX(scene, Math.abs(z)));
+    if (k === 0) c.moveTo(x, topPxZ(z));
+    else c.lineTo(x, topPxZ(z));
+  }
+  c.stroke();
+  // tracks, with a ring where a clipped one ends
+  const beamPx = Math.max(1, Number(beamWidthSlider.value || 6) / 2);
+  model.tracks.forEach(track => {
+    c.strokeStyle = `rgba(200, 255, 210, ${trackAlpha})`;
+    c.lineWidth = beamPx;
+    c.beginPath();
+    track.path.forEach((p, i) => {
+      if (i === 0) c.moveTo(topPxX(p.x), topPxZ(p.z));
+      else c.lineTo(topPxX(p.x), topPxZ(p.z));
+    });
+    c.stroke();
+    if (track.blocked) {
+      const end = track.path[track.path.length - 1];
+      c.strokeStyle = 'rgba(255,110,90,0.95)';
+      c.lineWidth = 2;
+      c.beginPath();
+      c.arc(topPxX(end.x), topPxZ(end.z), 6, 0, Math.PI * 2);
+      c.stroke();
     }
-    ctx.stroke();
-    // draw vectors overlay for this track
-    drawVectors(track);
+  });
+  drawElectrons(c, model.electrons, p => ({x: topPxX(p.x), y: topPxZ(p.z)}));
+}
+
+// Spheres for the electrons of the model: the preview electron first, then as many more as the flight has
+let electronMeshes3d = [];
+function draw3DView(model) {
+  if (model.tracks.length > 0) draw3DPath(model.tracks[0]);
+  else if (pathLine3d) pathLine3d.visible = false;
+  const count = Math.max(1, model.electrons.length);
+  if (electronMeshes3d[0] !== electronMesh3d) electronMeshes3d = [electronMesh3d];
+  while (electronMeshes3d.length > count) scene3d.remove(electronMeshes3d.pop());
+  while (electronMeshes3d.length < count) {
+    const m = new THREE.Mesh(new THREE.SphereGeometry(0.004, 8, 8), new THREE.MeshBasicMaterial({color: 0xffeb6b}));
+    scene3d.add(m);
+    electronMeshes3d.push(m);
+  }
+  model.electrons.forEach((tail, k) => electronMeshes3d[k].position.copy(toVector3(tail[tail.length - 1])));
+  if (orbitControls) orbitControls.update();
+  renderer3d.render(scene3d, camera3d);
+}
+
+// --- Beam envelope ---
+// Every electron of a thermionic-cathode shot is followed through planes across the tube envelopeStepM apart; at each
+// plane the spread of its electrons' crossing points gives the two-sigma ellipse of the beam's cross-section. The 3D
+// view joins the ellipses into a translucent tube, widened across the beam by the envelope scale so a beam a fraction
+// of a millimeter wide can be seen along a tube half a meter long.
+const envelopeStepM = 4e-3;
+const envelopeRingPoints = 24;
+let beamSections = null; // CRTPhysics.beamEnvelope cross-sections of the last multi-electron shot
+let beamConeMesh3d = null;
+let beamSectionMesh3d = null;
+
+// Planes from the cathode to the center of the screen
+function envelopeStations() {
+  const stations = [];
+  for (let x = scene.gun_x_m; x <= scene.screen_x_m; x += envelopeStepM) stations.push(x);
+  return stations;
+}
+
+// Point of a cross-section's ellipse at parametric angle theta, with the half-axes multiplied by magnify
+function sectionPoint(section, theta, magnify) {
+  const u = section.a * Math.cos(theta) * magnify;
+  const v = section.b * Math.sin(theta) * magnify;
+  const c = Math.cos(section.angle);
+  const s = Math.sin(section.angle);
+  return toVector3({x: section.x, y: section.y + u * c - v * s, z: section.z + u * s + v * c});
+}
+
+// The cross-section picked with the slider, from the cathode (0) to the screen (1000)
+function selectedSection() {
+  if (!beamSections || beamSections.length === 0) return null;
+  return beamSections[Math.round(Number(beamSectionSlider.value) / 1000 * (beamSections.length - 1))];
+}
 
-    await new Promise(r => setTimeout(r, duration*1000/steps));
+function updateBeamSectionReadout() {
+  const section = selectedSection();
+  if (!section) {
+    beamSectionRead.textContent = '—';
+    beamSectionStats.textContent = '—';
+    return;
   }
+  const mm = v => (v * 1000).toFixed(3);
+  beamSectionRead.textContent = `${(section.x * 100).toFixed(1)} cm`;
+  // the major axis measured from vertical towards the viewer's left (+z)
+  beamSectionStats.textContent = `${mm(2 * section.a)} × ${mm(2 * section.b)} mm (2σ), major axis ${(section.angle * 180 / Math.PI).toFixed(0)}° from vertical, ` +
+    `centered at y ${mm(section.y - scene.height_m / 2)} mm, z ${mm(section.z)} mm, ${section.count} electrons`;
+}
 
-  // final: record a hit on screen
-  const hx = mToPxX(scene.screen_x_m);
-  const hy = track.y_screen_px;
-  hits.push({x: hx, y: hy, t: performance.now() / 1000});
-  // cleanup old hits
-  const now = performance.now() / 1000;
-  hits = hits.filter(h => now - h.t < hitFadeSeconds);
-
-  // update numeric display
-  hitY.textContent = (track.y_screen_m).toFixed(4);
-  hitPx.textContent = Math.round(track.y_screen_px);
-}
-
-// Animate multiple 2d tracks at once
-async function animateTracks2D(tracks) {
-  if (!tracks || tracks.length === 0) return;
-  const paths = tracks.map(t => t.path);
-  const maxLen = Math.max(...paths.map(p => p.length));
-  const duration = 1.0; // seconds total
-  const steps = Math.max(60, maxLen * 3);
-  for (let i = 0; i <= steps; i++) {
-    drawScene();
-    // draw all paths
-    tracks.forEach(t => drawPath(t));
-    // draw vectors if enabled
-    tracks.forEach(t => drawVectors(t));
-    // draw vectors if enabled
-    tracks.forEach(t => drawVectors(t));
-    // draw all electrons moving
-    const frac = i / steps;
-    for (let k=0;k<tracks.length;k++) {
-      const path = paths[k];
-      const idxFloat = frac * (path.length - 1);
-      const idx = Math.floor(idxFloat);
-      const nextIdx = Math.min(idx + 1, path.length - 1);
-      const localFrac = idxFloat - idx;
-      const x = path[idx].x * (1 - localFrac) + path[nextIdx].x * localFrac;
-      const y = path[idx].y * (1 - localFrac) + path[nextIdx].y * localFrac;
-      const px = mToPxX(x);
-      const py = mToPxY(y);
-      ctx.fillStyle = '#ffeb6b';
-      ctx.beginPath();
-      ctx.arc(px, py, electronRadiusPx, 0, Math.PI*2);
-      ctx.fill();
+// Rebuild the envelope tube and the picked cross-section's ring from beamSections
+function updateBeamConeMeshes() {
+  updateBeamSectionReadout();
+  if (!beamConeMesh3d) return;
+  const sections = beamConeToggle.checked && beamSections ? beamSections : [];
+  beamConeMesh3d.visible = beamSectionMesh3d.visible = sections.length >= 2;
+  if (sections.length < 2) return;
+  const magnify = Number(beamConeScaleSelect.value);
+  const ring = section => Array.from({length: envelopeRingPoints}, (_, k) => sectionPoint(section, 2 * Math.PI * k / envelopeRingPoints, magnify));
+  const positions = [];
+  sections.forEach(section => ring(section).forEach(p => positions.push(p.x, p.y, p.z)));
+  // two triangles between neighboring points of neighboring rings
+  const index = [];
+  for (let i = 0; i + 1 < sections.length; i++) {
+    for (let k = 0; k < envelopeRingPoints; k++) {
+      const a = i * envelopeRingPoints + k;
+      const b = i * envelopeRingPoints + (k + 1) % envelopeRingPoints;
+      index.push(a, b, a + envelopeRingPoints, b, b + envelopeRingPoints, a + envelopeRingPoints);
     }
-    // also draw vectors for moving electrons if enabled
-    tracks.forEach(t => drawVectors(t));
-    await new Promise(r => setTimeout(r, duration*1000/steps));
-  }
-}
-
-// Animate multiple 3D tracks at once
-async function animateTracks3D(tracks) {
-  if (!tracks || tracks.length === 0 || !scene3d) return;
-  // convert to 3D paths
-  const paths = tracks.map(t => t.path.map(p => new THREE.Vector3(p.x - scene.width_m/2, p.y, 0)));
-  const maxLen = Math.max(...paths.map(p => p.length));
-  const steps = Math.max(60, maxLen * 3);
-  // create a mesh per electron
-  const tempMeshes = tracks.map(() => new THREE.Mesh(new THREE.SphereGeometry(0.004, 8, 8), new THREE.MeshBasicMaterial({color: 0xffeb6b})));
-  try { tempMeshes.forEach(m => scene3d.add(m)); } catch(e) {}
-  for (let i=0;i<=steps;i++) {
-    const frac = i/steps;
-    for (let k=0;k<paths.length;k++) {
-      const path = paths[k];
-      const idxFloat = frac * (path.length - 1);
-      const idx = Math.floor(idxFloat);
-      const nextIdx = Math.min(idx + 1, path.length - 1);
-      const localFrac = idxFloat - idx;
-      const v = new THREE.Vector3().lerpVectors(path[idx], path[nextIdx], localFrac);
-      // update a temporary mesh for each electron if desired; for now, reuse electronMesh3d and just render one at a time: we'll draw the first path as electron
-      tempMeshes[k].position.copy(v);
-      // optionally add small particles: skipping for simplicity
+  }
+  const coneGeom = new THREE.BufferGeometry();
+  coneGeom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  coneGeom.setIndex(index);
+  coneGeom.computeVertexNormals();
+  beamConeMesh3d.geometry.dispose();
+  beamConeMesh3d.geometry = coneGeom;
+  beamSectionMesh3d.geometry.dispose();
+  beamSectionMesh3d.geometry = new THREE.BufferGeometry().setFromPoints(ring(selectedSection()));
+}
+
+// --- Side view tools (probe.js) ---
+// The probe reads the fields, the potential and the nearest track under the cursor, in the plane of the axis (z = 0);
+// the ruler and the angle tool measure in meters whatever the zoom and aspect. The mouse wheel zooms about the cursor
+// and dragging with the probe pans.
+const wheelZoomRate = 0.002; // per wheel delta unit
+let probePoint = null; // {x, y} in meters under the cursor
+let measurement = null; // {tool: 'ruler', points: [a, b]} or {tool: 'angle', points: [vertex, arm, arm]}, with done
+let canvasDrag = null; // {pan: true, x, y} while panning, {pan: false} while drawing a measurement
+
+// Position of a pointer event in the side view's drawing units
+function canvasPixel(e) {
+  const rect = canvas.getBoundingClientRect();
+  return {x: (e.clientX - rect.left) * scale.width / rect.width, y: (e.clientY - rect.top) * scale.height / rect.height};
+}
+
+function formatLength(m) {
+  return `${(m * 1000).toFixed(2)} mm`;
+}
+
+// Point of the model's tracks nearest the probe on the canvas
+function nearestTrackPoint(tracks) {
+  let best = null;
+  tracks.forEach(track => {
+    const p = CRTProbe.nearestPoint(track.samples, probePoint, scale);
+    if (p && (!best || p.distancePx < best.distancePx)) best = p;
+  });
+  return best;
+}
+
+// Fields, potential and nearest track at the probe; returns that track point, or null
+function updateProbeReadouts(model) {
+  if (!probePoint) {
+    probeReadout.textContent = '—';
+    probeTrackReadout.textContent = '—';
+    return null;
+  }
+  const params = getCurrentParams();
+  const options = trackOptions(gunToggle.checked ? {gun: getGunMaps()} : {});
+  const {x, y} = probePoint;
+  const axis = scene.height_m / 2;
+  const f = CRTPhysics.trackFields(scene, params, options)(x, y, 0, 0);
+  const vector = (v, k) => `(${v.map(c => (c * k).toExponential(2)).join(', ')})`;
+  probeReadout.textContent = `x ${(x * 100).toFixed(2)} cm, y ${((y - axis) * 1000).toFixed(2)} mm: E ${vector(f.E, 1)} V/m, ` +
+    `B ${vector(f.B, 1000)} mT, potential ${CRTPhysics.potentialAt(scene, params, options, x, y, 0).toFixed(1)} V`;
+  const near = nearestTrackPoint(model.tracks);
+  if (!near) {
+    probeTrackReadout.textContent = '—';
+    return null;
+  }
+  probeTrackReadout.textContent = `x ${(near.x * 100).toFixed(2)} cm, y ${((near.y - axis) * 1000).toFixed(2)} mm, z ${(near.z * 1000).toFixed(2)} mm, ` +
+    `|v| ${Math.hypot(near.vx, near.vy, near.vz).toExponential(3)} m/s, t ${(near.t * 1e9).toFixed(3)} ns (${Math.round(near.distancePx)} px away)`;
+  return near;
+}
+
+// Readout of the measurement; returns its short label for the canvas, or null
+function updateMeasureReadout() {
+  if (!measurement) {
+    measureReadout.textContent = '—';
+    return null;
+  }
+  const [a, b, c] = measurement.points;
+  if (measurement.tool === 'ruler') {
+    const m = CRTProbe.measure(a, b);
+    measureReadout.textContent = `${formatLength(m.length)} (Δx ${formatLength(m.dx)}, Δy ${formatLength(m.dy)}), ${m.angle.toFixed(2)}° to the tube axis`;
+    return formatLength(m.length);
+  }
+  const end = c || probePoint || b;
+  const angle = `${CRTProbe.angleBetween(a, b, end).toFixed(2)}°`;
+  measureReadout.textContent = `${angle} between arms of ${formatLength(CRTProbe.measure(a, b).length)} and ` +
+    `${formatLength(CRTProbe.measure(a, end).length)}${measurement.done ? '' : ' (click to set the second arm)'}`;
+  return angle;
+}
+
+// Probe crosshair with the nearest track point, and the ruler or angle being measured
+function drawSideTools(model) {
+  const near = updateProbeReadouts(model);
+  const label = updateMeasureReadout();
+  const px = p => CRTProbe.toPixels(scale, p.x, p.y);
+  ctx.save();
+  ctx.lineWidth = 1;
+  if (probePoint && canvasToolSelect.value === 'probe') {
+    const p = px(probePoint);
+    ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+    ctx.beginPath();
+    ctx.moveTo(p.x - 10, p.y);
+    ctx.lineTo(p.x + 10, p.y);
+    ctx.moveTo(p.x, p.y - 10);
+    ctx.lineTo(p.x, p.y + 10);
+    ctx.stroke();
+    if (near) {
+      const q = px(near);
+      ctx.strokeStyle = 'rgba(255,235,107,0.9)';
+      ctx.beginPath();
+      ctx.arc(q.x, q.y, 5, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(q.x, q.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
     }
-    if (orbitControls) orbitControls.update();
-    renderer3d && renderer3d.render(scene3d, camera3d);
-    await new Promise(r => setTimeout(r, 1000/steps));
   }
-  try { tempMeshes.forEach(m => scene3d.remove(m)); } catch(e) {}
+  if (measurement) {
+    const [a, b, c] = measurement.points.map(px);
+    const end = measurement.tool === 'angle' && !c && probePoint ? px(probePoint) : c;
+    ctx.strokeStyle = 'rgba(255,200,120,0.95)';
+    ctx.fillStyle = 'rgba(255,200,120,0.95)';
+    ctx.beginPath();
+    ctx.moveTo(b.x, b.y);
+    ctx.lineTo(a.x, a.y);
+    if (end) ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+    [a, b, end].forEach(p => { if (p) ctx.fillRect(p.x - 2, p.y - 2, 4, 4); });
+    ctx.fillText(label, (end || b).x + 6, (end || b).y - 6);
+  }
+  ctx.restore();
+}
+
+function startCanvasPointer(e) {
+  const p = canvasPixel(e);
+  const point = CRTProbe.toMeters(scale, p.x, p.y);
+  const tool = canvasToolSelect.value;
+  canvas.setPointerCapture(e.pointerId);
+  if (tool === 'probe') {
+    canvasDrag = {pan: true, x: p.x, y: p.y};
+  } else if (tool === 'angle' && measurement && measurement.tool === 'angle' && !measurement.done) {
+    // the click that ends the second arm
+    measurement.points.push(point);
+    measurement.done = true;
+  } else {
+    measurement = {tool, points: [point, point], done: false};
+    canvasDrag = {pan: false};
+  }
+}
+
+function moveCanvasPointer(e) {
+  const p = canvasPixel(e);
+  if (canvasDrag && canvasDrag.pan) {
+    CRTProbe.pan(sideView, scale, p.x - canvasDrag.x, p.y - canvasDrag.y);
+    scale = computeScale();
+    canvasDrag.x = p.x;
+    canvasDrag.y = p.y;
+  }
+  probePoint = CRTProbe.toMeters(scale, p.x, p.y);
+  if (canvasDrag && !canvasDrag.pan) measurement.points[1] = probePoint;
+}
+
+function endCanvasPointer() {
+  if (canvasDrag && !canvasDrag.pan && measurement.tool === 'ruler') measurement.done = true;
+  canvasDrag = null;
+}
+
+function zoomSideView(e) {
+  e.preventDefault();
+  const p = canvasPixel(e);
+  CRTProbe.zoomAt(sideView, scale, Math.exp(-e.deltaY * wheelZoomRate), p.x, p.y);
+  scale = computeScale();
+  probePoint = CRTProbe.toMeters(scale, p.x, p.y);
+  updateZoomReadout();
+}
+
+function updateZoomReadout() {
+  zoomRead.textContent = `${sideView.zoom.toFixed(sideView.zoom < 10 ? 1 : 0)}×`;
+}
+
+function resetZoom() {
+  Object.assign(sideView, CRTProbe.createView({width: scene.width_m, height: scene.height_m}));
+  scale = computeScale();
+  updateZoomReadout();
+  preview();
+}
+
+// --- View layout (layout.js): the side view or the 3D view alone, picked by "3D Mode", or every view at once in
+// resizable split panes ---
+const viewLayout = CRTLayout.createLayout();
+const viewWrapPaddingPx = 12;
+const sideViewAspect = 400 / 900; // height over width of the side view shown alone
+const screenFaceSizePx = 320;
+let splitDrag = null; // 'column' or 'row' while a splitter is being dragged
+
+function splitViews() { return layoutSelect.value === 'split'; }
+
+// Whether a view ('side', 'top', '3d' or 'screen') is on screen; in the single layout the screen face sits below
+function viewShown(view) {
+  if (splitViews()) return true;
+  if (view === 'side') return !mode3DToggle.checked;
+  if (view === '3d') return mode3DToggle.checked;
+  return view === 'screen';
+}
+
+// Pixel size of a pane in the split layout
+function paneSize(pane) {
+  return CRTLayout.paneRect(viewLayout, pane, viewWrap.clientWidth - 2 * viewWrapPaddingPx, viewWrap.clientHeight - 2 * viewWrapPaddingPx);
+}
+
+function applyLayout() {
+  const split = splitViews();
+  viewWrap.classList.toggle('split', split);
+  viewWrap.style.gridTemplateColumns = split ? CRTLayout.gridTracks(viewLayout.column) : '';
+  viewWrap.style.gridTemplateRows = split ? CRTLayout.gridTracks(viewLayout.row) : '';
+  sidePane.style.display = viewShown('side') ? '' : 'none';
+  threePane.style.display = viewShown('3d') ? '' : 'none';
+  document.getElementById('threejs-container').style.display = viewShown('3d') ? 'block' : 'none';
+  topPane.style.display = split ? '' : 'none';
+  screenPane.style.display = split ? '' : 'none';
+  // the screen face moves into its pane, and back under its heading below the views
+  if (split && screenCanvas.parentNode !== screenPane) screenPane.appendChild(screenCanvas);
+  if (!split && screenCanvas.parentNode === screenPane) screenFaceTitle.after(screenCanvas);
+  screenFaceTitle.style.display = split ? 'none' : '';
+  if (viewShown('3d')) init3D();
+  resize();
+}
+
+function startSplitDrag(e, axis) {
+  splitDrag = axis;
+  e.target.setPointerCapture(e.pointerId);
+  e.preventDefault();
+}
+
+function dragSplit(e) {
+  if (!splitDrag) return;
+  const rect = viewWrap.getBoundingClientRect();
+  if (splitDrag === 'column') viewLayout.column = CRTLayout.splitFraction(e.clientX - rect.left - viewWrapPaddingPx, rect.width - 2 * viewWrapPaddingPx);
+  else viewLayout.row = CRTLayout.splitFraction(e.clientY - rect.top - viewWrapPaddingPx, rect.height - 2 * viewWrapPaddingPx);
+  applyLayout();
 }
 
 // UI Wiring
 function getCurrentParams() {
   const V_acc = Number(accelSlider.value);
   const V_plate = Number(deflectSlider.value);
-  const isMag = magneticToggle.checked;
-  return {V_acc, V_plate, isMag};
+  const V_hplate = Number(hdeflectSlider.value);
+  // coil current slider is in mA; the coils carry no current while they are switched off
+  const I_coil = magneticToggle.checked ? Number(coilCurrentSlider.value) / 1000 : 0;
+  // crossed field slider is in µT
+  const B_cross = crossedToggle.checked ? Number(crossedBSlider.value) / 1e6 : 0;
+  const isRel = relativisticToggle.checked;
+  const method = integratorSelect.value;
+  // electron gun: grid bias in volts, focus electrode slider in percent of V_acc
+  const V_grid = Number(gridBiasSlider.value);
+  const V_focus = Number(focusSlider.value) / 100 * V_acc;
+  // in oscilloscope and TV modes the signal generators, not the sliders, set the plate voltages
+  const particle = selectedParticle(particleSelect.value);
+  if (scopeToggle.checked) return {V_acc, V_plate: scope.vy, V_hplate: scope.vx, I_coil, B_cross, isRel, method, V_grid, V_focus, particle};
+  if (tvToggle.checked) return {V_acc, V_plate: tv.vy, V_hplate: tv.vx, I_coil, B_cross, isRel, method, V_grid, V_focus, particle};
+  return {V_acc, V_plate, V_hplate, I_coil, B_cross, isRel, method, V_grid, V_focus, particle};
+}
+
+// Species {label, charge, mass} for a particle menu entry; a custom one takes its charge in e and mass in u from the
+// inputs, and a charge of 0 counts as +1 e since a neutral particle could not be accelerated or steered
+function selectedParticle(key) {
+  if (key !== 'custom') return CRTPhysics.PARTICLES[key] || CRTPhysics.PARTICLES.electron;
+  const charge = Number(particleChargeInput.value) || 1;
+  const mass = Math.max(1e-4, Number(particleMassInput.value) || 1);
+  return {label: `Custom (${charge} e, ${mass} u)`, charge: charge * CRTPhysics.E_CHARGE, mass: mass * CRTPhysics.AMU};
+}
+
+// Params for the second species of a mixed beam, or null when the beam is a single species
+function mixedBeamParams(params) {
+  if (!particleMixSelect.value) return null;
+  return Object.assign({}, params, {particle: selectedParticle(particleMixSelect.value)});
+}
+
+// Charge-to-mass ratio of the species being fired
+function updateParticleReadout(params) {
+  const qm = p => `${(p.charge / p.mass).toExponential(4)} C/kg`;
+  const mix = mixedBeamParams(params);
+  particleQmReadout.textContent = mix ? `${qm(params.particle)} and ${qm(mix.particle)}` : qm(params.particle);
 }
 
 function updateReadouts() {
   accelReadout.textContent = `${accelSlider.value} V`;
   deflectReadout.textContent = `${deflectSlider.value} V`;
+  hdeflectReadout.textContent = `${hdeflectSlider.value} V`;
   beamWidthRead.textContent = beamWidthSlider.value;
   plateSpacingRead.textContent = plateSpacingSlider.value;
   plateLengthRead.textContent = plateLengthSlider.value;
   platePosRead.textContent = platePosSlider.value;
+  hplateSpacingRead.textContent = hplateSpacingSlider.value;
+  hplateLengthRead.textContent = hplateLengthSlider.value;
+  hplatePosRead.textContent = hplatePosSlider.value;
+  coilCurrentRead.textContent = `${coilCurrentSlider.value} mA`;
+  coilTurnsRead.textContent = coilTurnsSlider.value;
+  coilRadiusRead.textContent = coilRadiusSlider.value;
+  coilPosRead.textContent = coilPosSlider.value;
+  crossedBRead.textContent = `${(Number(crossedBSlider.value) / 1000).toFixed(3)} mT`;
+  tubeLengthRead.textContent = tubeLengthSlider.value;
+  screenDistanceRead.textContent = screenDistanceSlider.value;
+  screenHeightRead.textContent = screenHeightSlider.value;
+  screenRadiusRead.textContent = screenRadiusSlider.value;
+  neckRadiusRead.textContent = neckRadiusSlider.value;
+  funnelStartRead.textContent = funnelStartSlider.value;
+  cathodeTempRead.textContent = cathodeTempSlider.value;
+  cathodeRadiusRead.textContent = cathodeRadiusSlider.value;
+  gridBiasRead.textContent = `${gridBiasSlider.value} V`;
+  focusRead.textContent = `${focusSlider.value}% (${(Number(focusSlider.value) / 100 * Number(accelSlider.value)).toFixed(0)} V)`;
   multiCountRead.textContent = multiCountSlider.value;
+  beamCurrentRead.textContent = (Number(beamCurrentSlider.value) / 10).toFixed(1);
+  genFreqRead.textContent = formatHz(getGenerator().frequency);
+  genAmpRead.textContent = `${genAmpSlider.value} V`;
+  genOffsetRead.textContent = `${genOffsetSlider.value} V`;
+  triggerLevelRead.textContent = `${triggerLevelSlider.value} V`;
+  tvFrameRateRead.textContent = tvFrameRateSlider.value;
+  tvWidthRead.textContent = `${tvWidthSlider.value} V`;
+  tvHeightRead.textContent = `${tvHeightSlider.value} V`;
+  tvHholdRead.textContent = `${(Number(tvHholdSlider.value) / 10).toFixed(1)}%`;
+  tvVholdRead.textContent = `${(Number(tvVholdSlider.value) / 10).toFixed(1)}%`;
 }
 
 // Recompute & preview path, but don't animate
 function preview() {
-  const {V_acc, V_plate, isMag} = getCurrentParams();
-  const track = computeTrack(Number(V_acc), Number(V_plate), isMag);
-  // draw either 2D or 3D preview
-  if (mode3DToggle.checked) {
-    // hide 2d canvas and show 3d
-    document.getElementById('crt-canvas').style.display = 'none';
-    document.getElementById('threejs-container').style.display = 'block';
-    init3D();
-    try {
-      if (plateTopMesh && plateBottomMesh) {
-        const centerY = scene.height_m/2;
-        const spacing = scene.plate_spacing_m || 0.010;
-        const newPlateLen = scene.plate_length_m;
-        // Dispose and recreate geometries
-        try { plateTopMesh.geometry.dispose(); } catch(e) {}
-        try { plateBottomMesh.geometry.dispose(); } catch(e) {}
-        plateTopMesh.geometry = new THREE.BoxGeometry(newPlateLen, 0.002, 0.02);
-        plateBottomMesh.geometry = new THREE.BoxGeometry(newPlateLen, 0.002, 0.02);
-        plateTopMesh.position.set(scene.plate_x_m + newPlateLen/2 - scene.width_m/2, centerY + spacing/2, 0);
-        plateBottomMesh.position.set(scene.plate_x_m + newPlateLen/2 - scene.width_m/2, centerY - spacing/2, 0);
-      }
-    } catch (e) {}
-    draw3DPath(track);
-    renderer3d.render(scene3d, camera3d);
-  } else {
-    document.getElementById('threejs-container').style.display = 'none';
-    document.getElementById('crt-canvas').style.display = 'block';
-    drawScene();
-    drawPath(track);
+  const params = getCurrentParams();
+  const {V_acc, V_plate, isRel} = params;
+  const track = computeTrack(params);
+  // every view on screen draws the same track (or the flight, while one is up)
+  if (scene3d) {
+    try { updatePlateMeshes(); } catch (e) {}
   }
+  const model = frameModel(track);
+  drawViews(model);
+  drawPlots(model);
+  drawScreenFace(track);
   // update predicted hit readout in real-time
   if (track) {
+    hitX.textContent = screenFaceCoords(track).sx_m.toFixed(4);
     hitY.textContent = track.y_screen_m.toFixed(4);
     hitPx.textContent = Math.round(track.y_screen_px);
     v0Readout.textContent = (track.v0x).toExponential(3);
     // compute a_plate using the slider and sign
-    const a_plate = computePlateVerticalAccel(Number(V_plate));
+    const a_plate = CRTPhysics.computePlateVerticalAccel(Number(V_plate), scene, track.gamma, params.particle);
     ayReadout.textContent = a_plate.toExponential(3);
+    // gamma/beta are shown for the chosen voltage even in classical mode so students can judge when the correction matters
+    const gamma = computeLorentzFactor(Number(V_acc), params.particle);
+    gammaReadout.textContent = gamma.toFixed(5);
+    betaReadout.textContent = (computeInitialSpeed(Number(V_acc), true, params.particle) / C_LIGHT).toFixed(4);
+    const classical = isRel ? computeTrack(Object.assign({}, params, {isRel: false})) : track;
+    const relativistic = isRel ? track : computeTrack(Object.assign({}, params, {isRel: true}));
+    relDiffReadout.textContent = ((classical.y_screen_m - relativistic.y_screen_m) * 1000).toFixed(3);
+    updateDiagnostics(track);
+    updateFringeReadout(params, track);
+    updateCoilReadouts(params);
+    updateCrossedReadout(params, track);
+    updateGunReadout(params);
+    updateParticleReadout(params);
+    updateClipReadouts(params, track);
+    updateSensitivityReadout(params);
+    // a step that hides the preview also blanks the readouts that would give the spot away
+    if (lessonPreviewHidden()) CRTLessons.PREVIEW_READOUTS.forEach(id => { document.getElementById(id).textContent = '—'; });
   }
   // Update HUD
   try {
@@ -836,133 +3280,290 @@ function preview() {
                          `Mode: 3D ${enableLocomotion ? '(locomotion)' : '(orbit)'}<br>` +
                          `Multi: ${multiCountSlider.value} Accum: ${accumulateHitsToggle.checked ? 'on' : 'off'}`;
     } else {
-      hudDiv.innerHTML = `Mode: 2D<br>V_acc=${accelSlider.value} V; V_plate=${deflectSlider.value} V; Beam ${beamWidthSlider.value}px`;
+      hudDiv.innerHTML = `Mode: 2D ${isRel ? '(relativistic)' : '(classical)'}<br>V_acc=${accelSlider.value} V; V_plate=${deflectSlider.value} V; V_x=${hdeflectSlider.value} V; Beam ${beamWidthSlider.value}px`;
     }
   } catch(e) {}
 }
 
-// Fire electron (compute track and animate)
+// Fire electron: trace the shot and set it flying on the simulation clock
 async function fireElectron() {
-  const {V_acc, V_plate, isMag} = getCurrentParams();
+  // auto-fire must not pile up shots while a large one is still being traced
+  if (shotInProgress) return;
+  // a shot still in flight lands before the next one
+  finishFlight();
+  const params = getCurrentParams();
   // handle accumulation
   if (!accumulateHitsToggle.checked) {
-    hits = [];
+    clearPhosphor();
   }
   const count = Number(multiCountSlider.value || 1);
-  const tracks = [];
-  for (let i=0;i<count;i++) {
-    // distribute small offsets across the beam height; convert mm to meters.
-    const span = 0.002; // 2 mm total spread
-    const offset = span * (i - (count-1)/2) / Math.max(1, count-1);
-    const tr = computeTrackWithOffset(Number(V_acc), Number(V_plate), isMag, offset, 0);
-    tracks.push(tr);
-  }
-  if (tracks.length === 1) {
-    if (mode3DToggle && mode3DToggle.checked) {
-      await animateTrack3D(tracks[0]);
-      const hx = mToPxX(scene.screen_x_m);
-      const hy = tracks[0].y_screen_px;
-      hits.push({x:hx, y:hy, t: performance.now()/1000});
-    } else {
-      await animateTrack(tracks[0]);
-    }
-  } else {
-    // animate many tracks simultaneously
-    if (mode3DToggle && mode3DToggle.checked) {
-      await animateTracks3D(tracks);
-      // record hits
-      tracks.forEach(tr => hits.push({x: mToPxX(scene.screen_x_m), y: tr.y_screen_px, t: performance.now()/1000}));
-    } else {
-      await animateTracks2D(tracks);
-      tracks.forEach(tr => hits.push({x: mToPxX(scene.screen_x_m), y: tr.y_screen_px, t: performance.now()/1000}));
-    }
+  // a lesson's prediction counts only if it was entered before firing
+  const prediction = lessonPrediction();
+  shotInProgress = true;
+  let shot;
+  try {
+    shot = await traceShot(params, count);
+  } finally {
+    shotInProgress = false;
+  }
+  shot.prediction = prediction;
+  startFlight(shot);
+}
+
+// Tube geometry. The screen sits at least tubeScreenMargin in front of the end wall and the X plates; moving the screen
+// past the end of the tube lengthens the tube, and shortening the tube pulls the screen back with it.
+const tubeScreenMargin = 0.02;
+function readTubeGeometry(changed) {
+  const xPlatesEnd = scene.hplate_x_m + scene.hplate_length_m;
+  let width = Number(tubeLengthSlider.value) / 100.0;
+  let screenX = xPlatesEnd + Number(screenDistanceSlider.value) / 100.0;
+  if (changed === tubeLengthSlider) screenX = Math.min(screenX, width - tubeScreenMargin);
+  else width = Math.max(width, screenX + tubeScreenMargin);
+  scene.width_m = width;
+  scene.screen_x_m = Math.max(screenX, xPlatesEnd + tubeScreenMargin);
+  scene.height_m = Number(screenHeightSlider.value) / 100.0;
+  scene.screen_radius_m = curvedScreenToggle.checked ? Number(screenRadiusSlider.value) / 100.0 : 0;
+  scene.neck_radius_m = Number(neckRadiusSlider.value) / 1000.0;
+  scene.funnel_x_m = Number(funnelStartSlider.value) / 100.0;
+  syncTubeSliders();
+}
+
+// Show the length and screen distance the tube actually has, e.g. after the X plates moved under a fixed screen
+function syncTubeSliders() {
+  tubeLengthSlider.value = Math.round(scene.width_m * 100);
+  screenDistanceSlider.value = Math.round((scene.screen_x_m - scene.hplate_x_m - scene.hplate_length_m) * 100);
+  updateReadouts();
+}
+
+// Apply a tube geometry change: the canvas scale, the meshes and the 3D camera all follow the tube's size. A new
+// screen height changes the screen face scale, so the phosphor is cleared.
+function applyTubeGeometry(changed) {
+  const height = scene.height_m;
+  readTubeGeometry(changed);
+  if (scene.height_m !== height) clearPhosphor();
+  scale = computeScale();
+  if (scene3d) {
+    updatePlateMeshes();
+    frameCamera3D();
   }
+  preview();
 }
 
 // Window & events
 function resize() {
   // keep high DPI scaling in mind
   const devicePixelRatio = window.devicePixelRatio || 1;
-  const rect = canvas.getBoundingClientRect();
+  const split = splitViews();
+  // alone, the side view is as wide as the page and keeps its shape; split, each view fills its pane
+  canvas.style.width = '';
+  const rect = split ? paneSize('side') : {width: canvas.getBoundingClientRect().width};
+  if (!split) rect.height = rect.width * sideViewAspect;
   canvas.width = Math.floor(rect.width * devicePixelRatio);
   canvas.height = Math.floor(rect.height * devicePixelRatio);
   canvas.style.width = rect.width + 'px';
   canvas.style.height = rect.height + 'px';
   ctx.setTransform(devicePixelRatio, 0, 0, devicePixelRatio, 0, 0);
+  canvasPixelRatio = devicePixelRatio;
   scale = computeScale();
-  preview();
+  if (split) {
+    const top = paneSize('top');
+    topCanvas.width = Math.max(1, Math.floor(top.width));
+    topCanvas.height = Math.max(1, Math.floor(top.height));
+    topCanvas.style.width = top.width + 'px';
+    topCanvas.style.height = top.height + 'px';
+    // the screen face keeps its phosphor resolution and is only drawn larger or smaller
+    const face = paneSize('screen');
+    const size = Math.max(120, Math.min(face.width, face.height) - 8);
+    screenCanvas.style.width = size + 'px';
+    screenCanvas.style.height = size + 'px';
+  } else {
+    screenCanvas.style.width = screenFaceSizePx + 'px';
+    screenCanvas.style.height = screenFaceSizePx + 'px';
+  }
   // also resize 3d renderer if active
   if (renderer3d) {
     const container = document.getElementById('threejs-container');
-    const width = container.clientWidth;
-    const height = 400;
-    renderer3d.setSize(width, height);
-    camera3d.aspect = width / height;
+    const pane = split ? paneSize('3d') : {width: container.clientWidth, height: 400};
+    renderer3d.setSize(pane.width, pane.height);
+    camera3d.aspect = pane.width / pane.height;
     camera3d.updateProjectionMatrix();
   }
+  preview();
 }
 
 window.addEventListener('resize', resize);
 
 accelSlider.addEventListener('input', () => { updateReadouts(); preview(); });
 deflectSlider.addEventListener('input', () => { updateReadouts(); preview(); });
+hdeflectSlider.addEventListener('input', () => { updateReadouts(); preview(); });
 magneticToggle.addEventListener('change', () => { preview(); });
+crossedToggle.addEventListener('change', () => { preview(); });
+crossedBSlider.addEventListener('input', () => { updateReadouts(); preview(); });
+relativisticToggle.addEventListener('change', () => { preview(); });
+integratorSelect.addEventListener('change', () => { preview(); });
+particleSelect.addEventListener('change', () => { preview(); });
+particleChargeInput.addEventListener('input', () => { preview(); });
+particleMassInput.addEventListener('input', () => { preview(); });
+particleMixSelect.addEventListener('change', () => { preview(); });
+fieldModelSelect.addEventListener('change', () => { preview(); });
+equipotentialToggle.addEventListener('change', () => { preview(); });
+fieldArrowsToggle.addEventListener('change', () => { preview(); });
 beamWidthSlider.addEventListener('input', () => { beamWidthRead.textContent = beamWidthSlider.value; preview(); });
+beamConeToggle.addEventListener('change', updateBeamConeMeshes);
+beamConeScaleSelect.addEventListener('change', updateBeamConeMeshes);
+beamSectionSlider.addEventListener('input', updateBeamConeMeshes);
 locomotionToggle.addEventListener('change', (e) => { enableLocomotion = locomotionToggle.checked && mode3DToggle.checked; if (orbitControls) orbitControls.enabled = !enableLocomotion; });
 mode3DToggle.addEventListener('change', () => { enableLocomotion = locomotionToggle.checked && mode3DToggle.checked; if (orbitControls) orbitControls.enabled = !enableLocomotion; });
-clearHitsBtn.addEventListener('click', () => { hits = []; if (scene3d) { scene3d.children.filter(c => c.userData && c.userData.isHitDot).forEach(dot => scene3d.remove(dot)); } preview(); });
+clearHitsBtn.addEventListener('click', () => { clearPhosphor(); spotSample = null; drawSpotProfile(); beamSections = null; updateBeamConeMeshes(); preview(); });
 accumulateHitsToggle.addEventListener('change', () => { /* nothing special; pre-fire behavior clears if unchecked */ });
 vectorToggle.addEventListener('change', () => { preview(); });
 plateSpacingSlider.addEventListener('input', () => { const mm = Number(plateSpacingSlider.value); plateSpacingRead.textContent = mm; scene.plate_spacing_m = mm / 1000.0; preview(); });
 plateLengthSlider.addEventListener('input', () => { const cm = Number(plateLengthSlider.value); plateLengthRead.textContent = cm; scene.plate_length_m = cm / 100.0; preview(); });
 platePosSlider.addEventListener('input', () => { const cm = Number(platePosSlider.value); platePosRead.textContent = cm; scene.plate_x_m = cm / 100.0; preview(); });
+hplateSpacingSlider.addEventListener('input', () => { const mm = Number(hplateSpacingSlider.value); hplateSpacingRead.textContent = mm; scene.hplate_spacing_m = mm / 1000.0; preview(); });
+hplateLengthSlider.addEventListener('input', () => { const cm = Number(hplateLengthSlider.value); hplateLengthRead.textContent = cm; scene.hplate_length_m = cm / 100.0; applyTubeGeometry(); });
+hplatePosSlider.addEventListener('input', () => { const cm = Number(hplatePosSlider.value); hplatePosRead.textContent = cm; scene.hplate_x_m = cm / 100.0; applyTubeGeometry(); });
+coilCurrentSlider.addEventListener('input', () => { updateReadouts(); preview(); });
+coilTurnsSlider.addEventListener('input', () => { coilTurnsRead.textContent = coilTurnsSlider.value; scene.coil_turns = Number(coilTurnsSlider.value); preview(); });
+coilRadiusSlider.addEventListener('input', () => { const cm = Number(coilRadiusSlider.value); coilRadiusRead.textContent = cm; scene.coil_radius_m = cm / 100.0; preview(); });
+coilPosSlider.addEventListener('input', () => { const cm = Number(coilPosSlider.value); coilPosRead.textContent = cm; scene.coil_x_m = cm / 100.0; preview(); });
+tubeLengthSlider.addEventListener('input', () => { applyTubeGeometry(tubeLengthSlider); });
+screenDistanceSlider.addEventListener('input', () => { applyTubeGeometry(screenDistanceSlider); });
+screenHeightSlider.addEventListener('input', () => { applyTubeGeometry(); });
+curvedScreenToggle.addEventListener('change', () => { applyTubeGeometry(); });
+screenRadiusSlider.addEventListener('input', () => { applyTubeGeometry(); });
+neckRadiusSlider.addEventListener('input', () => { applyTubeGeometry(); });
+funnelStartSlider.addEventListener('input', () => { applyTubeGeometry(); });
+sweepParameterSelect.addEventListener('change', () => { resetSweepRange(); });
+sweepOutputSelect.addEventListener('change', () => { drawSweepPlot(); });
+sweepPointsSlider.addEventListener('input', () => { sweepPointsRead.textContent = sweepPointsSlider.value; });
+sweepBtn.addEventListener('click', () => { runSweep(); });
+plotsSvgBtn.addEventListener('click', () => { exportPlotsSVG(); });
+thomsonRecordBtn.addEventListener('click', () => { recordThomsonReading(); });
+thomsonClearBtn.addEventListener('click', () => { clearThomsonReadings(); });
+presetLoadBtn.addEventListener('click', () => { loadSelectedPreset(); });
+presetDeleteBtn.addEventListener('click', () => { deleteSelectedPreset(); });
+presetSaveBtn.addEventListener('click', () => { savePreset(); });
+scenarioSaveFileBtn.addEventListener('click', () => { downloadText('crt-scenario.json', JSON.stringify(collectScenario(), null, 2), 'application/json'); });
+scenarioFileInput.addEventListener('change', () => { if (scenarioFileInput.files && scenarioFileInput.files[0]) loadScenarioFile(scenarioFileInput.files[0]); });
+scenarioCopyLinkBtn.addEventListener('click', () => { copyScenarioLink(); });
+lessonStartBtn.addEventListener('click', () => { startLesson(CRTLessons.parseLesson(CRTLessons.LESSONS[lessonSelect.value])); });
+lessonFileInput.addEventListener('change', () => { if (lessonFileInput.files && lessonFileInput.files[0]) loadLessonFile(lessonFileInput.files[0]); });
+lessonStopBtn.addEventListener('click', () => { stopLesson(); });
+lessonCheckBtn.addEventListener('click', () => { checkLesson(); });
+lessonHintBtn.addEventListener('click', () => { showLessonHint(); });
+lessonNextBtn.addEventListener('click', () => { nextLessonStep(); });
+document.querySelector('.controls').addEventListener('input', () => { scheduleScenarioHash(); });
+document.querySelector('.controls').addEventListener('change', () => { scheduleScenarioHash(); });
+deferredSliders.forEach(el => el.addEventListener('pointerdown', () => { sliderDragging = true; }));
+deferredSliders.forEach(el => el.addEventListener('change', () => { sliderDragging = false; preview(); }));
+window.addEventListener('pointerup', () => { sliderDragging = false; });
+window.addEventListener('hashchange', () => { loadScenarioFromHash(); });
+gridAxes.forEach(axis => axis.select.addEventListener('change', () => { resetGridAxisRange(axis); }));
+experimentRunBtn.addEventListener('click', () => { runExperiment(); });
+exportShotsBtn.addEventListener('click', () => { downloadText('crt-experiment-shots.csv', CRTExperiment.shotsToCSV(experiment.records), 'text/csv'); });
+exportPathsBtn.addEventListener('click', () => { downloadText('crt-experiment-paths.csv', CRTExperiment.pathsToCSV(experiment.records), 'text/csv'); });
+exportJsonBtn.addEventListener('click', () => { downloadText('crt-experiment.json', JSON.stringify(experiment), 'application/json'); });
+recordBtn.addEventListener('click', () => { toggleRecording(); });
+snapshotBtn.addEventListener('click', () => { saveSnapshot(); });
+framesExportBtn.addEventListener('click', () => { exportFrames(); });
 multiCountSlider.addEventListener('input', () => { multiCountRead.textContent = multiCountSlider.value; });
+cathodeTempSlider.addEventListener('input', () => { cathodeTempRead.textContent = cathodeTempSlider.value; });
+cathodeRadiusSlider.addEventListener('input', () => { cathodeRadiusRead.textContent = cathodeRadiusSlider.value; });
+gunToggle.addEventListener('change', () => { updatePlateMeshes(); preview(); });
+gridBiasSlider.addEventListener('input', () => { updateReadouts(); preview(); });
+focusSlider.addEventListener('input', () => { updateReadouts(); preview(); });
+beamCurrentSlider.addEventListener('input', () => { updateReadouts(); });
+phosphorSelect.addEventListener('change', () => { getPhosphor(); preview(); });
+
+scopeToggle.addEventListener('change', () => { resetScope(); if (scopeToggle.checked) { tvToggle.checked = false; resetTv(); tvStatus.textContent = '—'; } else scopeStatus.textContent = '—'; preview(); });
+genWaveSelect.addEventListener('change', () => { updateReadouts(); });
+genFreqSlider.addEventListener('input', () => { updateReadouts(); });
+genAmpSlider.addEventListener('input', () => { updateReadouts(); });
+genOffsetSlider.addEventListener('input', () => { updateReadouts(); });
+timebaseSelect.addEventListener('change', () => { resetScope(); });
+triggerSlopeSelect.addEventListener('change', () => { updateReadouts(); });
+triggerLevelSlider.addEventListener('input', () => { updateReadouts(); });
+
+tvToggle.addEventListener('change', () => { resetTv(); if (tvToggle.checked) { scopeToggle.checked = false; resetScope(); scopeStatus.textContent = '—'; } else tvStatus.textContent = '—'; preview(); });
+tvFrameRateSlider.addEventListener('input', () => { updateReadouts(); });
+tvWidthSlider.addEventListener('input', () => { updateReadouts(); });
+tvHeightSlider.addEventListener('input', () => { updateReadouts(); });
+tvHholdSlider.addEventListener('input', () => { updateReadouts(); });
+tvVholdSlider.addEventListener('input', () => { updateReadouts(); });
+tvImageInput.addEventListener('change', () => { if (tvImageInput.files && tvImageInput.files[0]) loadTvPicture(tvImageInput.files[0]); });
+tvPatternBtn.addEventListener('click', () => { tvPicture = null; tvImageInput.value = ''; });
 
 fireBtn.addEventListener('click', async () => { await fireElectron(); });
 resetBtn.addEventListener('click', () => { resetSimulation(); });
-mode3DToggle.addEventListener('change', () => { preview(); });
-
-autoFire.addEventListener('change', () => {
-  if (autoFire.checked) {
-    lastFire = 0;
-    autoFireIntervalId = setInterval(() => { fireElectron(); }, 700);
-  } else {
-    clearInterval(autoFireIntervalId);
-    autoFireIntervalId = null;
-  }
-})
+mode3DToggle.addEventListener('change', () => { applyLayout(); });
+layoutSelect.addEventListener('change', () => { applyLayout(); });
+canvas.addEventListener('pointerdown', startCanvasPointer);
+canvas.addEventListener('pointermove', moveCanvasPointer);
+canvas.addEventListener('pointerup', endCanvasPointer);
+canvas.addEventListener('pointerleave', () => { probePoint = null; });
+canvas.addEventListener('wheel', zoomSideView, {passive: false});
+canvasToolSelect.addEventListener('change', () => { measurement = null; });
+aspectToggle.addEventListener('change', () => { scale = computeScale(); preview(); });
+zoomResetBtn.addEventListener('click', resetZoom);
+splitColumn.addEventListener('pointerdown', e => { startSplitDrag(e, 'column'); });
+splitRow.addEventListener('pointerdown', e => { startSplitDrag(e, 'row'); });
+splitColumn.addEventListener('pointermove', e => { dragSplit(e); });
+splitRow.addEventListener('pointermove', e => { dragSplit(e); });
+splitColumn.addEventListener('pointerup', () => { splitDrag = null; });
+splitRow.addEventListener('pointerup', () => { splitDrag = null; });
+
+clockPauseBtn.addEventListener('click', () => { setClockPaused(!simClock.paused); });
+clockStepBtn.addEventListener('click', () => { stepSimulation(); });
+slowMotionSelect.addEventListener('change', () => { simClock.rate = Number(slowMotionSelect.value); });
+flightSlider.addEventListener('input', () => { if (flight) seekFlight(Number(flightSlider.value) / 1000 * flight.duration); });
 
 // Start rendering
 updateReadouts();
-resize();
+applyLayout();
 // initialize scene parameters from sliders
 scene.plate_spacing_m = Number(plateSpacingSlider.value || 10) / 1000.0;
 scene.plate_length_m = Number(plateLengthSlider.value || 6) / 100.0;
 scene.plate_x_m = Number(platePosSlider.value || 18) / 100.0;
+scene.hplate_spacing_m = Number(hplateSpacingSlider.value || 12) / 1000.0;
+scene.hplate_length_m = Number(hplateLengthSlider.value || 5) / 100.0;
+scene.hplate_x_m = Number(hplatePosSlider.value || 26) / 100.0;
+scene.coil_turns = Number(coilTurnsSlider.value || 100);
+scene.coil_radius_m = Number(coilRadiusSlider.value || 4) / 100.0;
+scene.coil_x_m = Number(coilPosSlider.value || 36) / 100.0;
+readTubeGeometry();
+scale = computeScale();
+drawSpotProfile();
+drawSweepPlot();
+// the page defaults are the HTML's own values; a scenario in the URL hash replaces them
+scenarioControls().forEach(el => { defaultControls[el.id] = controlDefault(el); });
+populatePresetSelect();
+populateLessonSelect();
+updateLessonPanel();
+updateThomsonPanel();
+loadScenarioFromHash();
+
+// Draw the present moment in every view: the electrons in flight or else the preview path, then the screen face and
+// the flight readouts
+function drawFrame() {
+  const model = frameModel();
+  drawViews(model);
+  drawPlots(model);
+  drawScreenFace(model.preview);
+  updateFlightReadouts();
+}
 
-// Continuous update loop to draw hits fading and preview if no animation
+// Continuous update loop: runs the simulation clock, which lets the phosphor glow and fade and moves the electrons in
+// flight, and draws each frame
 (function renderLoop() {
-  drawScene();
-  // if not animating, show current preview path
-  const {V_acc, V_plate, isMag} = getCurrentParams();
-  const track = computeTrack(Number(V_acc), Number(V_plate), isMag);
-  // draw correct view
-  if (mode3DToggle && mode3DToggle.checked) {
-    if (scene3d) {
-      // update 3d preview electron and path
-      draw3DPath(track);
-      if (orbitControls) orbitControls.update();
-      renderer3d && renderer3d.render(scene3d, camera3d);
-    }
-    } else {
-    drawPath(track);
-    drawVectors(track);
-  }
-  // process locomotion updates if enabled
   const now = performance.now() / 1000;
   if (!renderLoop._lastTime) renderLoop._lastTime = now;
-  const dt = Math.max(0.001, Math.min(0.1, now - renderLoop._lastTime));
+  const frameSeconds = now - renderLoop._lastTime;
   renderLoop._lastTime = now;
+  advanceSimulation(CRTClock.tick(simClock, frameSeconds));
+  drawFrame();
+  // process locomotion updates if enabled
+  const dt = Math.max(0.001, Math.min(0.1, frameSeconds));
   if (enableLocomotion && camera3d) updateLocomotion(dt);
   // update HUD each frame
   try {
@@ -0,0 +1,183 @@
+// CRT simulation - phosphor.js
+// DOM-free phosphor screen model: per-pixel stored energy that the phosphor re-emits as light with the decay curves of
+// real screen types. Runs in the browser (window.CRTPhosphor) and in Node (require('./phosphor.js')).
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CRTPhosphor = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Decay laws, normalised to 1 at t = 0:
+  //   {type: 'exp', tau}: exp(-t / tau)
+  //   {type: 'power', t0, n}: (1 + t / t0)^-n, the slow hyperbolic afterglow of long-persistence phosphors
+  // Each component takes `weight` of the deposited energy and emits it in `color`. Time constants are rounded from the
+  // published persistence figures (time to fall to 10 %) for each type.
+  const PHOSPHORS = {
+    P1: {
+      name: 'P1 (green, medium persistence)',
+      components: [{color: [80, 255, 60], weight: 1, decay: {type: 'exp', tau: 0.0104}}],
+    },
+    P4: {
+      name: 'P4 (white, television)',
+      components: [
+        {color: [110, 140, 255], weight: 0.45, decay: {type: 'exp', tau: 20e-6}},
+        {color: [255, 230, 120], weight: 0.55, decay: {type: 'power', t0: 15e-6, n: 1.3}},
+      ],
+    },
+    P7: {
+      name: 'P7 (blue flash, long yellow afterglow)',
+      components: [
+        {color: [90, 120, 255], weight: 0.5, decay: {type: 'exp', tau: 40e-6}},
+        {color: [200, 255, 70], weight: 0.5, decay: {type: 'power', t0: 0.25, n: 1.3}},
+      ],
+    },
+    P31: {
+      name: 'P31 (green, short persistence)',
+      components: [
+        {color: [60, 255, 110], weight: 0.9, decay: {type: 'exp', tau: 16e-6}},
+        {color: [60, 255, 110], weight: 0.1, decay: {type: 'power', t0: 50e-6, n: 1.1}},
+      ],
+    },
+  };
+
+  function decayValue(decay, t) {
+    return decay.type === 'power' ? Math.pow(1 + t / decay.t0, -decay.n) : Math.exp(-t / decay.tau);
+  }
+
+  // Write a decay law as a sum of exponentials [{tau, amplitude}] with amplitudes summing to 1, so the screen state can
+  // be advanced frame by frame. A power law is the Laplace transform
+  //   (1 + t/t0)^-n = (1 / Gamma(n)) * integral of s^(n-1) exp(-s) exp(-s t / t0) ds,
+  // discretised on a logarithmic grid in s (one term per e-fold) down to time constants of `maxTau`. That matches the
+  // power law to better than 1 % out to t = 100 t0.
+  function expandDecay(decay, maxTau = 1000) {
+    if (decay.type !== 'power') return [{tau: decay.tau, amplitude: 1}];
+    const xMin = Math.log(decay.t0 / Math.min(1e4 * decay.t0, maxTau));
+    const xMax = Math.log(30);
+    const terms = [];
+    let total = 0;
+    for (let x = xMin; x <= xMax; x += 1) {
+      const s = Math.exp(x);
+      const amplitude = Math.exp(decay.n * x - s);
+      terms.push({tau: decay.t0 / s, amplitude});
+      total += amplitude;
+    }
+    terms.forEach(term => { term.amplitude /= total; });
+    return terms;
+  }
+
+  // Screen buffer of width x height pixels for one phosphor type. Each exponential term keeps the energy it has still to
+  // emit per pixel; `fresh` collects energy deposited since the last advance().
+  function createScreen(width, height, type = 'P7') {
+    const phosphor = PHOSPHORS[type] || PHOSPHORS.P7;
+    const size = width * height;
+    const terms = [];
+    phosphor.components.forEach((component, c) => {
+      const expanded = expandDecay(component.decay);
+      // the energy a term emits is amplitude * tau, so that sets its share of the component's energy
+      const norm = expanded.reduce((sum, term) => sum + term.amplitude * term.tau, 0);
+      expanded.forEach(term => {
+        terms.push({tau: term.tau, share: component.weight * term.amplitude * term.tau / norm, component: c, stored: new Float32Array(size)});
+      });
+    });
+    return {
+      width,
+      height,
+      type: PHOSPHORS[type] ? type : 'P7',
+      phosphor,
+      terms,
+      fresh: new Float32Array(size),
+      light: phosphor.components.map(() => new Float32Array(size)), // mean emitted power over the last advance()
+      lit: false,
+    };
+  }
+
+  // Add `energy` (joules) at pixel (i, j)
+  function deposit(screen, i, j, energy) {
+    if (!(energy > 0) || i < 0 || j < 0 || i >= screen.width || j >= screen.height) return;
+    screen.fresh[j * screen.width + i] += energy;
+    screen.lit = true;
+  }
+
+  // Advance the screen by dt seconds. Energy deposited during the interval is taken as spread evenly over it, and
+  // screen.light gets the mean power each colour component emitted. Returns the largest total emitted power of any pixel.
+  function advance(screen, dt) {
+    const size = screen.width * screen.height;
+    screen.light.forEach(layer => layer.fill(0));
+    if (!screen.lit) return 0;
+    let anyStored = false;
+    screen.terms.forEach(term => {
+      const keep = dt > 0 ? Math.exp(-dt / term.tau) : 1;
+      // fraction of energy deposited uniformly over dt that is still stored at the end of it
+      const freshKeep = dt > 0 ? (term.tau / dt) * (1 - keep) : 1;
+      const stored = term.stored;
+      const light = screen.light[term.component];
+      const fresh = screen.fresh;
+      const share = term.share;
+      for (let k = 0; k < size; k++) {
+        const s = stored[k];
+        const f = fresh[k] * share;
+        if (s === 0 && f === 0) continue;
+        light[k] += s * (1 - keep) + f * (1 - freshKeep);
+        const next = s * keep + f * freshKeep;
+        // drop energy far below anything visible so the screen can go dark
+        stored[k] = next > 1e-30 ? next : 0;
+        if (stored[k] > 0) anyStored = true;
+      }
+    });
+    screen.fresh.fill(0);
+    let maxPower = 0;
+    const scale = dt > 0 ? 1 / dt : 0;
+    for (let k = 0; k < size; k++) {
+      let total = 0;
+      for (let c = 0; c < screen.light.length; c++) {
+        screen.light[c][k] *= scale;
+        total += screen.light[c][k];
+      }
+      if (total > maxPower) maxPower = total;
+    }
+    screen.lit = anyStored;
+    return maxPower;
+  }
+
+  // Fill an RGBA byte array with the emitted light on a background colour. `exposure` converts watts per pixel to
+  // display units; each channel saturates as 1 - exp(-x), so repeated hits brighten a spot until it burns out white.
+  function toRGBA(screen, exposure, background, out) {
+    const size = screen.width * screen.height;
+    const colors = screen.phosphor.components.map(component => component.color.map(v => v / 255));
+    for (let k = 0; k < size; k++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let c = 0; c < colors.length; c++) {
+        const x = screen.light[c][k] * exposure;
+        if (x === 0) continue;
+        r += colors[c][0] * x;
+        g += colors[c][1] * x;
+        b += colors[c][2] * x;
+      }
+      out[4 * k] = background[0] + (255 - background[0]) * (1 - Math.exp(-r));
+      out[4 * k + 1] = background[1] + (255 - background[1]) * (1 - Math.exp(-g));
+      out[4 * k + 2] = background[2] + (255 - background[2]) * (1 - Math.exp(-b));
+      out[4 * k + 3] = 255;
+    }
+    return out;
+  }
+
+  function clear(screen) {
+    screen.terms.forEach(term => term.stored.fill(0));
+    screen.fresh.fill(0);
+    screen.light.forEach(layer => layer.fill(0));
+    screen.lit = false;
+  }
+
+  return {
+    PHOSPHORS,
+    decayValue,
+    expandDecay,
+    createScreen,
+    deposit,
+    advance,
+    toRGBA,
+    clear,
+  };
+});
@@ -0,0 +1,825 @@
+// CRT simulation - physics.js
+// DOM-free physics core. Every function takes an explicit geometry object (same fields as `scene` in main.js)
+// and returns tracks in meters only, so it runs in the browser (window.CRTPhysics) and in Node (require('./physics.js')).
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CRTPhysics = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Physical constants
+  const E_CHARGE = 1.602e-19; // magnitude of Coulombs
+  const ELECTRON_CHARGE = -E_CHARGE; // electron charge is negative
+  const E_MASS = 9.109e-31; // kg
+  const C_LIGHT = 2.998e8; // m/s
+  const MU_0 = 4e-7 * Math.PI; // vacuum permeability, T m / A
+
+  // Default tube geometry in meters (x along the tube from the back wall, y up from the tube floor,
+  // z across the tube with z = 0 on the axis; seen from the front of the screen, +z is on the left)
+  const DEFAULT_GEOMETRY = {
+    width_m: 0.5, // 50 cm long tube (meter)
+    height_m: 0.25, // 25 cm tall
+    gun_x_m: 0.02, // electron gun at 2 cm inside
+    plate_x_m: 0.18, // start of deflection plate
+    plate_length_m: 0.06, // plate region length 6 cm
+    plate_spacing_m: 0.010,
+    hplate_x_m: 0.26, // start of the horizontal-deflection (X) plates
+    hplate_length_m: 0.05,
+    hplate_spacing_m: 0.012,
+    plate_width_m: 0.02, // extent of every deflection plate across the beam
+    plate_thickness_m: 0.002,
+    screen_x_m: 0.46, // screen at 46 cm (the center of the screen face)
+    screen_radius_m: 0, // radius of curvature of the spherical screen face, bulging towards the viewer; 0 for flat
+    neck_radius_m: 0.025, // inner radius of the glass neck around the gun and plates
+    funnel_x_m: 0.32, // where the neck widens into the funnel, which reaches the screen at height_m / 2
+    coil_x_m: 0.36, // center of the magnetic deflection coils
+    coil_radius_m: 0.04, // Helmholtz pair: two loops of this radius, one radius apart, on either side of the beam
+    coil_turns: 100, // turns per coil
+  };
+
+  // Particle species the tube can fire: charge in C (with its sign) and rest mass in kg. A track's species is
+  // params.particle ({charge, mass}), an electron if not given.
+  const AMU = 1.6605e-27; // kg, atomic mass unit
+  const PARTICLES = {
+    electron: {label: 'Electron', charge: ELECTRON_CHARGE, mass: E_MASS},
+    positron: {label: 'Positron', charge: E_CHARGE, mass: E_MASS},
+    proton: {label: 'Proton', charge: E_CHARGE, mass: 1.6726e-27},
+    alpha: {label: 'Alpha particle', charge: 2 * E_CHARGE, mass: 6.6447e-27},
+    muon: {label: 'Muon', charge: ELECTRON_CHARGE, mass: 1.8835e-28},
+  };
+
+  function particleOf(params) {
+    return (params && params.particle) || PARTICLES.electron;
+  }
+
+  // Lorentz factor after acceleration through V_acc: gamma = 1 + |q| V / (m c^2)
+  function computeLorentzFactor(V_acc, particle = PARTICLES.electron) {
+    return 1 + (Math.abs(particle.charge) * V_acc) / (particle.mass * C_LIGHT * C_LIGHT);
+  }
+
+  // Initial forward speed v0 from accelerating voltage V_acc. The gun is wired for the species, so every particle
+  // gains |q| V_acc of kinetic energy whatever the sign of its charge.
+  function computeInitialSpeed(V_acc, relativistic = false, particle = PARTICLES.electron) {
+    if (relativistic) {
+      // v = beta * c with beta = sqrt(1 - 1/gamma^2)
+      const gamma = computeLorentzFactor(V_acc, particle);
+      return C_LIGHT * Math.sqrt(1 - 1 / (gamma * gamma));
+    }
+    // kinetic energy = |q| V_acc = 0.5 * m * v^2
+    return Math.sqrt((2 * Math.abs(particle.charge) * V_acc) / particle.mass);
+  }
+
+  // Vertical acceleration inside the plate region due to the uniform field between ideal plates, a_y = q E_y / m.
+  // The top plate is at +V_plate relative to the bottom one, so E_y = -V_plate / d: a positive voltage pulls negative
+  // particles up and pushes positive ones down. gamma > 1 uses relativistic momentum: the force is transverse, so
+  // dp_y/dt = qE with p_y = gamma m v_y.
+  function computePlateVerticalAccel(V_plate, geometry = DEFAULT_GEOMETRY, gamma = 1, particle = PARTICLES.electron) {
+    const d = (geometry.plate_spacing_m || 0.010);
+    const E_y = -V_plate / d; // V/m
+    return (particle.charge * E_y) / (gamma * particle.mass); // m/s^2
+  }
+
+  // Complete elliptic integrals K(k) and E(k) for modulus k (0 <= k < 1) by the arithmetic-geometric mean
+  function ellipticKE(k) {
+    let a = 1;
+    let b = Math.sqrt(1 - k * k);
+    let c = k;
+    let power = 0.5;
+    let sum = power * c * c;
+    while (Math.abs(c) > 1e-15) {
+      c = (a - b) / 2;
+      [a, b] = [(a + b) / 2, Math.sqrt(a * b)];
+      power *= 2;
+      sum += power * c * c;
+    }
+    const K = Math.PI / (2 * a);
+    return {K, E: K * (1 - sum)};
+  }
+
+  // Field of a circular current loop (radius a, ampere-turns NI) at radial distance rho from its axis and axial distance
+  // h from its plane: [B_rho, B_axial] in tesla. Exact off-axis form with elliptic integrals; positive NI circulates
+  // so that B_axial > 0 at the center.
+  function loopField(a, NI, rho, h) {
+    const sumSq = (a + rho) * (a + rho) + h * h;
+    const diffSq = (a - rho) * (a - rho) + h * h;
+    const k = Math.sqrt(4 * a * rho / sumSq);
+    const {K, E} = ellipticKE(Math.min(k, 1 - 1e-12)); // k = 1 only on the wire itself
+    const scale = MU_0 * NI / (2 * Math.PI * Math.sqrt(sumSq));
+    const axial = scale * (K + (a * a - rho * rho - h * h) / diffSq * E);
+    // B_rho vanishes on the axis
+    const radial = rho < 1e-12 * a ? 0 : scale * (h / rho) * (-K + (a * a + rho * rho + h * h) / diffSq * E);
+    return [radial, axial];
+  }
+
+  // Magnetic field [Bx, By, Bz] (T) of the deflection coils carrying I_coil amperes: a Helmholtz pair with its common
+  // axis along z through (coil_x_m, tube axis), the loops at z = ±coil_radius_m / 2. The field is uniform near the center
+  // and falls off smoothly outside the coils. Positive current gives B along +z, which bends electrons upwards.
+  function coilField(geometry, I_coil, x, y, z) {
+    const a = geometry.coil_radius_m;
+    const NI = geometry.coil_turns * I_coil;
+    const dx = x - geometry.coil_x_m;
+    const dy = y - geometry.height_m / 2;
+    const rho = Math.hypot(dx, dy);
+    const B = [0, 0, 0];
+    for (const zc of [a / 2, -a / 2]) {
+      const [radial, axial] = loopField(a, NI, rho, z - zc);
+      if (radial !== 0) {
+        B[0] += radial * dx / rho;
+        B[1] += radial * dy / rho;
+      }
+      B[2] += axial;
+    }
+    return B;
+  }
+
+  const ZERO_VECTOR = [0, 0, 0];
+  const GUN_START_ENERGY = 1e-3; // eV; an electron leaving the cathode needs some speed for the step-size control
+  const NO_FIELD = {E: ZERO_VECTOR, B: ZERO_VECTOR};
+
+  // Add the crossed magnetic field B_cross (T) of a Wien filter to B inside the gap of the Y plates. It points along -z
+  // (into the side view), at right angles to the plates' E, so for a positive V_plate and B_cross the two forces on any
+  // particle oppose each other and cancel at the speed v = E / B_cross. Like the ideal plate field it fills the plates'
+  // length and width and stops at their edges.
+  function addCrossedField(geometry, B_cross, B, x, z) {
+    if (!B_cross || x < geometry.plate_x_m || x > geometry.plate_x_m + geometry.plate_length_m) return B;
+    if (Math.abs(z) > (geometry.plate_width_m || 0.02) / 2) return B;
+    return [B[0], B[1], B[2] - B_cross];
+  }
+
+  // Field function for both plate pairs and the deflection coils: uniform E between the vertical-deflection (Y) plates
+  // and between the horizontal-deflection (X) plates, plus the coils' B wherever I_coil is not zero and the crossed
+  // field B_cross between the Y plates (addCrossedField). The plates are
+  // plate_width_m wide across the beam, so an electron passing a pair further off axis than that feels no field.
+  // V_plate is the potential of the top plate relative to the bottom one, so E points down (-y) for V_plate > 0.
+  // V_hplate is the potential of the right-hand plate (seen from the front, the -z side) relative to the left one,
+  // so E points along +z and electrons move to the viewer's right for V_hplate > 0.
+  function plateFields(geometry, params) {
+    const {V_plate, V_hplate = 0, I_coil = 0, B_cross = 0} = params;
+    const plateStart = geometry.plate_x_m;
+    const plateEnd = geometry.plate_x_m + geometry.plate_length_m;
+    const E_y = -V_plate / (geometry.plate_spacing_m || 0.010);
+    const hplateStart = geometry.hplate_x_m;
+    const hplateEnd = geometry.hplate_x_m + geometry.hplate_length_m;
+    const E_h = V_hplate / (geometry.hplate_spacing_m || 0.010);
+    const axisY = geometry.height_m / 2;
+    const halfWidth = (geometry.plate_width_m || 0.02) / 2;
+    return (x, y, z) => {
+      const inY = x >= plateStart && x <= plateEnd && Math.abs(z) <= halfWidth;
+      const inX = x >= hplateStart && x <= hplateEnd && Math.abs(y - axisY) <= halfWidth;
+      if (!inY && !inX && !I_coil) return NO_FIELD;
+      const B = addCrossedField(geometry, B_cross, I_coil ? coilField(geometry, I_coil, x, y, z) : ZERO_VECTOR, x, z);
+      return {E: [0, inY ? E_y : 0, inX ? E_h : 0], B};
+    };
+  }
+
+  // Bilinear interpolation of a CRTFieldSolver map: [E_x, E_t] per volt across the plates at (x, t), zero outside the map
+  function sampleFieldMap(map, x, t) {
+    const fx = (x - map.x0) / map.hx;
+    const ft = (t - map.t0) / map.ht;
+    if (!(fx >= 0 && ft >= 0 && fx < map.nx - 1 && ft < map.nt - 1)) return [0, 0];
+    const i = Math.floor(fx);
+    const j = Math.floor(ft);
+    const a = fx - i;
+    const b = ft - j;
+    const k = j * map.nx + i;
+    const n = map.nx;
+    const w00 = (1 - a) * (1 - b);
+    const w10 = a * (1 - b);
+    const w01 = (1 - a) * b;
+    const w11 = a * b;
+    return [
+      w00 * map.Ex[k] + w10 * map.Ex[k + 1] + w01 * map.Ex[k + n] + w11 * map.Ex[k + n + 1],
+      w00 * map.Et[k] + w10 * map.Et[k + 1] + w01 * map.Et[k + n] + w11 * map.Et[k + n + 1],
+    ];
+  }
+
+  // Potential of a field map at (x, t) by bilinear interpolation, or null outside the map
+  function sampleMapPotential(map, x, t) {
+    const fx = (x - map.x0) / map.hx;
+    const ft = (t - map.t0) / map.ht;
+    if (!(fx >= 0 && ft >= 0 && fx <= map.nx - 1 && ft <= map.nt - 1)) return null;
+    const i = Math.min(Math.floor(fx), map.nx - 2);
+    const j = Math.min(Math.floor(ft), map.nt - 2);
+    const a = fx - i;
+    const b = ft - j;
+    const k = j * map.nx + i;
+    const n = map.nx;
+    return (1 - a) * (1 - b) * map.phi[k] + a * (1 - b) * map.phi[k + 1] + (1 - a) * b * map.phi[k + n] + a * b * map.phi[k + n + 1];
+  }
+
+  // Like plateFields, but the electric fields come from finite-difference maps {y, x} (CRTFieldSolver.solveGeometry) and
+  // include the fringing field around the plate ends. The map's transverse coordinate t points towards the positive
+  // plate: the top plate for the Y pair (t = y - axis) and the -z plate for the X pair (t = -z). The maps are solved
+  // across the plates, so like plateFields they stop at the plates' side edges. The crossed field stays hard-edged, so
+  // the fringing E field near the plate ends is not balanced by it.
+  function solvedPlateFields(geometry, params, maps) {
+    const {V_plate, V_hplate = 0, I_coil = 0, B_cross = 0} = params;
+    const axisY = geometry.height_m / 2;
+    const halfWidth = (geometry.plate_width_m || 0.02) / 2;
+    const none = [0, 0];
+    return (x, y, z) => {
+      const ey = Math.abs(z) <= halfWidth ? sampleFieldMap(maps.y, x, y - axisY) : none;
+      const ex = Math.abs(y - axisY) <= halfWidth ? sampleFieldMap(maps.x, x, -z) : none;
+      return {
+        E: [V_plate * ey[0] + V_hplate * ex[0], V_plate * ey[1], -V_hplate * ex[1]],
+        B: addCrossedField(geometry, B_cross, I_coil ? coilField(geometry, I_coil, x, y, z) : ZERO_VECTOR, x, z),
+      };
+    };
+  }
+
+  // Electric field [Ex, Ey, Ez] of the electron gun from CRTFieldSolver.solveGun maps, for grid voltage V_grid and focus
+  // electrode voltage V_focus relative to the cathode and the anode at V_acc. Zero beyond the solved region, where the
+  // beam drifts at anode potential.
+  function gunFields(geometry, params, gun) {
+    const {V_acc, V_grid = 0, V_focus = V_acc} = params;
+    const axisY = geometry.height_m / 2;
+    const {grid, anode} = gun.triode;
+    const focus = gun.lens.focus;
+    const lensScale = V_focus - V_acc;
+    return (x, y, z) => {
+      const dy = y - axisY;
+      const r = Math.hypot(dy, z);
+      const g = sampleFieldMap(grid, x, r);
+      const a = sampleFieldMap(anode, x, r);
+      const f = sampleFieldMap(focus, x, r);
+      const ex = V_grid * g[0] + V_acc * a[0] + lensScale * f[0];
+      const er = V_grid * g[1] + V_acc * a[1] + lensScale * f[1];
+      return r > 0 ? [ex, er * dy / r, er * z / r] : [ex, 0, 0];
+    };
+  }
+
+  // Relative cathode current density at radius r: the field pulling electrons off the cathode face to the power 3/2
+  // (Child's law for a space-charge-limited emitter), zero where the grid field pushes them back
+  function cathodeCurrentDensity(params, gun, r) {
+    const {V_acc, V_grid = 0} = params;
+    const pull = -(V_grid * sampleFieldMap(gun.triode.grid, gun.cathodeX, r)[0] + V_acc * sampleFieldMap(gun.triode.anode, gun.cathodeX, r)[0]);
+    return pull > 0 ? Math.pow(pull, 1.5) : 0;
+  }
+
+  // Emission from a cathode disk of the given radius: total relative current (current density integrated over the disk)
+  // and the peak density, for scaling the beam current and sampling emission points
+  function cathodeEmission(params, gun, radius, samples = 64) {
+    let current = 0;
+    let peak = 0;
+    for (let n = 0; n < samples; n++) {
+      const r = radius * (n + 0.5) / samples;
+      const J = cathodeCurrentDensity(params, gun, r);
+      current += J * 2 * Math.PI * r * radius / samples;
+      peak = Math.max(peak, J);
+    }
+    return {current, peak};
+  }
+
+  // Grid voltage at which the field at the center of the cathode vanishes and the beam is cut off
+  function gridCutoffVoltage(params, gun) {
+    return -params.V_acc * gun.triode.anode.Ex[0] / gun.triode.grid.Ex[0];
+  }
+
+  // Surfaces where plateFields switches on or off, for pushParticle's `edges` option: the plate ends and their side edges
+  function plateEdges(geometry) {
+    const axisY = geometry.height_m / 2;
+    const halfWidth = (geometry.plate_width_m || 0.02) / 2;
+    return [geometry.plate_x_m, geometry.plate_x_m + geometry.plate_length_m, geometry.hplate_x_m, geometry.hplate_x_m + geometry.hplate_length_m]
+      .map(edgeX => s => s.x - edgeX)
+      .concat([s => Math.abs(s.z) - halfWidth, s => Math.abs(s.y - axisY) - halfWidth]);
+  }
+
+  // Axial position of the screen face at distance r from the axis. A curved face is a spherical cap whose center of
+  // curvature lies on the axis behind the screen, so its edge is nearer the gun; the radius is at least the screen's
+  // half-height.
+  function screenSurfaceX(geometry, r) {
+    const R = geometry.screen_radius_m || 0;
+    if (!(R > 0)) return geometry.screen_x_m;
+    const radius = Math.max(R, geometry.height_m / 2);
+    return geometry.screen_x_m - radius + Math.sqrt(radius * radius - Math.min(r * r, radius * radius));
+  }
+
+  // Inner radius of the glass envelope at x: the neck up to funnel_x_m, then a cone out to the edge of the screen face
+  function envelopeRadius(geometry, x) {
+    const neck = geometry.neck_radius_m || geometry.height_m / 2;
+    const funnelStart = geometry.funnel_x_m === undefined ? 0 : geometry.funnel_x_m;
+    const rim = geometry.height_m / 2;
+    const rimX = screenSurfaceX(geometry, rim);
+    if (x <= funnelStart) return neck;
+    if (x >= rimX || rimX <= funnelStart) return rim;
+    return neck + (rim - neck) * (x - funnelStart) / (rimX - funnelStart);
+  }
+
+  // Surfaces that absorb electrons, as pushParticle boundaries: the inner face and the front edge of each plate of both
+  // pairs (plate_thickness_m thick and plate_width_m wide across the beam), and the back wall and glass envelope of the
+  // tube. An electron that passes a plate pair further off axis than the plates reach flies past them.
+  function obstacleBoundaries(geometry) {
+    const axisY = geometry.height_m / 2;
+    const halfWidth = (geometry.plate_width_m || 0.02) / 2;
+    const thickness = geometry.plate_thickness_m || 0.002;
+    const platePair = (name, start, length, spacing, gap, across) => {
+      const onPlate = s => Math.abs(across(s)) <= halfWidth;
+      return [
+        {name, f: s => Math.abs(gap(s)) - spacing / 2, within: s => s.x >= start && s.x <= start + length && onPlate(s)},
+        {name, f: s => s.x - start, within: s => Math.abs(gap(s)) >= spacing / 2 && Math.abs(gap(s)) <= spacing / 2 + thickness && onPlate(s)},
+      ];
+    };
+    return [].concat(
+      platePair('Y plates', geometry.plate_x_m, geometry.plate_length_m, geometry.plate_spacing_m || 0.010, s => s.y - axisY, s => s.z),
+      platePair('X plates', geometry.hplate_x_m, geometry.hplate_length_m, geometry.hplate_spacing_m || 0.010, s => s.z, s => s.y - axisY),
+      [{name: 'wall', f: s => Math.max(-s.x, Math.hypot(s.y - axisY, s.z) - envelopeRadius(geometry, s.x))}],
+    );
+  }
+
+  // --- General-purpose particle pusher ---
+  // The state is position r and u = gamma v (u = v in classical mode); fields(x, y, z, t) returns {E: [Ex, Ey, Ez], B: [Bx, By, Bz]}.
+
+  function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  }
+
+  function gammaFromU(u, relativistic) {
+    if (!relativistic) return 1;
+    return Math.sqrt(1 + (u[0] * u[0] + u[1] * u[1] + u[2] * u[2]) / (C_LIGHT * C_LIGHT));
+  }
+
+  function velocityOf(state, relativistic) {
+    const g = gammaFromU(state.u, relativistic);
+    return [state.u[0] / g, state.u[1] / g, state.u[2] / g];
+  }
+
+  function kineticEnergy(u, mass, relativistic) {
+    const u2 = u[0] * u[0] + u[1] * u[1] + u[2] * u[2];
+    if (!relativistic) return 0.5 * mass * u2;
+    // (gamma - 1) m c^2, written to avoid cancellation at low speed
+    return mass * u2 / (gammaFromU(u, true) + 1);
+  }
+
+  // Classic fourth-order Runge-Kutta on (r, u)
+  function rk4Step(state, dt, ctx) {
+    const deriv = (t, r, u) => {
+      const g = gammaFromU(u, ctx.relativistic);
+      const v = [u[0] / g, u[1] / g, u[2] / g];
+      const f = ctx.fields(r[0], r[1], r[2], t);
+      const vxB = cross(v, f.B);
+      return {dr: v, du: [ctx.qm * (f.E[0] + vxB[0]), ctx.qm * (f.E[1] + vxB[1]), ctx.qm * (f.E[2] + vxB[2])]};
+    };
+    const add = (a, b, h) => [a[0] + b[0] * h, a[1] + b[1] * h, a[2] + b[2] * h];
+    const k1 = deriv(state.t, state.r, state.u);
+    const k2 = deriv(state.t + dt / 2, add(state.r, k1.dr, dt / 2), add(state.u, k1.du, dt / 2));
+    const k3 = deriv(state.t + dt / 2, add(state.r, k2.dr, dt / 2), add(state.u, k2.du, dt / 2));
+    const k4 = deriv(state.t + dt, add(state.r, k3.dr, dt), add(state.u, k3.du, dt));
+    const combine = (a, key) => [0, 1, 2].map(i => a[i] + (dt / 6) * (k1[key][i] + 2 * k2[key][i] + 2 * k3[key][i] + k4[key][i]));
+    return {t: state.t + dt, r: combine(state.r, 'dr'), u: combine(state.u, 'du')};
+  }
+
+  // Relativistic Boris push (drift, half kick, magnetic rotation, half kick, drift); conserves speed exactly in a pure B field
+  function borisStep(state, dt, ctx) {
+    const v0 = velocityOf(state, ctx.relativistic);
+    const rHalf = [state.r[0] + v0[0] * dt / 2, state.r[1] + v0[1] * dt / 2, state.r[2] + v0[2] * dt / 2];
+    const f = ctx.fields(rHalf[0], rHalf[1], rHalf[2], state.t + dt / 2);
+    const h = ctx.qm * dt / 2;
+    const uMinus = [state.u[0] + h * f.E[0], state.u[1] + h * f.E[1], state.u[2] + h * f.E[2]];
+    const gMinus = gammaFromU(uMinus, ctx.relativistic);
+    const tv = [h * f.B[0] / gMinus, h * f.B[1] / gMinus, h * f.B[2] / gMinus];
+    const t2 = tv[0] * tv[0] + tv[1] * tv[1] + tv[2] * tv[2];
+    const c1 = cross(uMinus, tv);
+    const uPrime = [uMinus[0] + c1[0], uMinus[1] + c1[1], uMinus[2] + c1[2]];
+    const sv = [2 * tv[0] / (1 + t2), 2 * tv[1] / (1 + t2), 2 * tv[2] / (1 + t2)];
+    const c2 = cross(uPrime, sv);
+    const u = [uMinus[0] + c2[0] + h * f.E[0], uMinus[1] + c2[1] + h * f.E[1], uMinus[2] + c2[2] + h * f.E[2]];
+    const next = {t: state.t + dt, r: rHalf, u};
+    const v1 = velocityOf(next, ctx.relativistic);
+    next.r = [rHalf[0] + v1[0] * dt / 2, rHalf[1] + v1[1] * dt / 2, rHalf[2] + v1[2] * dt / 2];
+    return next;
+  }
+
+  const STEPPERS = {
+    boris: {step: borisStep, order: 2},
+    rk4: {step: rk4Step, order: 4},
+  };
+
+  // pushParticle's error control: the default local error allowed per step, and how far past an edge or boundary, as a
+  // fraction of the step, a step may end once it has been shortened to land on it
+  const STEP_TOLERANCE = 1e-7;
+  const LANDING_TOLERANCE = 1e-6;
+
+  function lerpPosition(a, b, frac) {
+    return {x: a.x + (b.x - a.x) * frac, y: a.y + (b.y - a.y) * frac, z: a.z + (b.z - a.z) * frac};
+  }
+
+  function toSample(state, relativistic) {
+    const v = velocityOf(state, relativistic);
+    return {t: state.t, x: state.r[0], y: state.r[1], z: state.r[2], vx: v[0], vy: v[1], vz: v[2]};
+  }
+
+  // Integrate one particle through arbitrary E and B fields with adaptive step size (step doubling).
+  // options:
+  //   fields(x, y, z, t)   field function (see above)
+  //   position, velocity   initial [x, y, z] in m and [vx, vy, vz] in m/s
+  //   charge, mass         defaults to an electron
+  //   relativistic         push gamma v instead of v
+  //   method               'boris' (default) or 'rk4'
+  //   tolerance            allowed local error per step, relative to lengthScale for position and |u| for momentum
+  //   maxStepLength        upper bound on the distance covered in one step so thin field regions are never skipped
+  //   edges                [f(sample)]: field discontinuities; steps are shortened to land on them instead of jumping over
+  //   boundaries           [{name, f(sample), within(sample)}]: the track ends where f first changes sign from <= 0 to
+  //                        > 0 at a point where the optional `within` holds, e.g. on the part of a plane that is metal
+  // Steps are shortened to end (within LANDING_TOLERANCE of the step) just past each edge or boundary they would cross.
+  // Returns {samples: [{t, x, y, z, vx, vy, vz}], boundary, steps, rejected, energyError}; energyError is |ΔKE − W| / KE
+  // with W the work done by E along the track, relative to the larger of the initial and final kinetic energy.
+  function pushParticle(options) {
+    const {
+      fields,
+      position,
+      velocity,
+      charge = ELECTRON_CHARGE,
+      mass = E_MASS,
+      relativistic = false,
+      method = 'boris',
+      tolerance = STEP_TOLERANCE,
+      maxStepLength = 2e-3,
+      lengthScale = 0.5,
+      edges = [],
+      boundaries = [],
+      maxSteps = 20000,
+    } = options;
+    const stepper = STEPPERS[method] || STEPPERS.boris;
+    const ctx = {fields, qm: charge / mass, relativistic};
+
+    const speed0 = Math.hypot(velocity[0], velocity[1], velocity[2]);
+    const g0 = relativistic ? 1 / Math.sqrt(1 - (speed0 * speed0) / (C_LIGHT * C_LIGHT)) : 1;
+    let state = {t: 0, r: position.slice(), u: velocity.map(c => c * g0)};
+    const ke0 = kineticEnergy(state.u, mass, relativistic);
+    const samples = [toSample(state, relativistic)];
+
+    let dt = maxStepLength / Math.max(speed0, 1e-12) / 4;
+    let work = 0;
+    let steps = 0;
+    let rejected = 0;
+    let boundary = null;
+
+    while (steps < maxSteps) {
+      const v = velocityOf(state, relativistic);
+      const speed = Math.max(Math.hypot(v[0], v[1], v[2]), 1e-12);
+      const maxDt = maxStepLength / speed;
+      const minDt = maxDt * 1e-9;
+      dt = Math.min(dt, maxDt);
+
+      // land on the nearest field discontinuity or boundary rather than stepping across it
+      const full = stepper.step(state, dt, ctx);
+      const before = toSample(state, relativistic);
+      const fullSample = toSample(full, relativistic);
+      let landFrac = 1;
+      const crossingFrac = (f0, f1) => ((f0 < 0) !== (f1 < 0) && f0 !== 0) ? f0 / (f0 - f1) : 1;
+      for (const f of edges) landFrac = Math.min(landFrac, crossingFrac(f(before), f(fullSample)));
+      for (const b of boundaries) {
+        const frac = crossingFrac(b.f(before), b.f(fullSample));
+        if (frac < 1 && b.within && !b.within(lerpPosition(before, fullSample, frac))) continue;
+        landFrac = Math.min(landFrac, frac);
+      }
+      if (landFrac < 1 - LANDING_TOLERANCE && dt > minDt) {
+        dt *= landFrac * (1 + 1e-7);
+        continue;
+      }
+
+      // compare the full step against two half steps; the two half steps are kept
+      const half = stepper.step(stepper.step(state, dt / 2, ctx), dt / 2, ctx);
+      const uScale = Math.max(Math.hypot(state.u[0], state.u[1], state.u[2]), 1e-12);
+      let err = 0;
+      for (let i = 0; i < 3; i++) {
+        err = Math.max(err, Math.abs(full.r[i] - half.r[i]) / lengthScale, Math.abs(full.u[i] - half.u[i]) / uScale);
+      }
+      err /= tolerance;
+      const factor = err > 0 ? 0.9 * Math.pow(err, -1 / (stepper.order + 1)) : 5;
+      if (err > 1 && dt > minDt) {
+        rejected++;
+        dt *= Math.max(0.2, factor);
+        continue;
+      }
+      steps++;
+      const next = half;
+      const after = toSample(next, relativistic);
+      // the step ends (just) past the first boundary it crossed
+      for (const b of boundaries) {
+        if (!boundary && b.f(before) <= 0 && b.f(after) > 0 && (!b.within || b.within(after))) boundary = b.name;
+      }
+
+      // work done by the fields over the step (midpoint rule) for the energy-conservation diagnostic
+      const h = next.t - state.t;
+      const mid = [0, 1, 2].map(i => (state.r[i] + next.r[i]) / 2);
+      const fMid = fields(mid[0], mid[1], mid[2], state.t + h / 2);
+      const v1 = velocityOf(next, relativistic);
+      work += charge * h * (fMid.E[0] * (v[0] + v1[0]) + fMid.E[1] * (v[1] + v1[1]) + fMid.E[2] * (v[2] + v1[2])) / 2;
+
+      state = next;
+      samples.push(toSample(state, relativistic));
+      if (boundary) break;
+      dt *= Math.min(5, factor);
+    }
+
+    const ke1 = kineticEnergy(state.u, mass, relativistic);
+    return {
+      samples,
+      boundary,
+      steps,
+      rejected,
+      energyError: Math.abs(ke1 - ke0 - work) / Math.max(ke0, ke1, 1e-300),
+    };
+  }
+
+  // Linear interpolation of a sampled track at a given x (first crossing); falls back to the nearest end
+  function interpolateAtX(samples, x) {
+    if (x <= samples[0].x) return samples[0];
+    for (let i = 1; i < samples.length; i++) {
+      const a = samples[i - 1];
+      const b = samples[i];
+      if (b.x >= x) {
+        const frac = (b.x === a.x) ? 0 : (x - a.x) / (b.x - a.x);
+        const out = {};
+        for (const key of Object.keys(a)) out[key] = a[key] + (b[key] - a[key]) * frac;
+        return out;
+      }
+    }
+    return samples[samples.length - 1];
+  }
+
+  // End of the solved gun region, beyond which the beam drifts at anode potential
+  function gunExitX(gun) {
+    return gun.lens.focus.x0 + (gun.lens.focus.nx - 1) * gun.lens.focus.hx;
+  }
+
+  // Field function computeTrack pushes its electrons through, for the same params and options (fieldMaps, gun): both
+  // plate pairs, ideal or solved, the coils and the electron gun
+  function trackFields(geometry, params, options = {}) {
+    const {fieldMaps = null, gun = null} = options;
+    const plates = fieldMaps ? solvedPlateFields(geometry, params, fieldMaps) : plateFields(geometry, params);
+    if (!gun) return plates;
+    const gunE = gunFields(geometry, params, gun);
+    const gunEnd = gunExitX(gun);
+    const polarity = gunPolarity(params);
+    return (x, y, z, t) => {
+      const f = plates(x, y, z, t);
+      if (x > gunEnd) return f;
+      const e = gunE(x, y, z);
+      return {E: [f.E[0] + polarity * e[0], f.E[1] + polarity * e[1], f.E[2] + polarity * e[2]], B: f.B};
+    };
+  }
+
+  // The gun's electrode voltages are given for electrons; for a positive species every one of them changes sign, so
+  // the gun accelerates and focuses it in the same way
+  function gunPolarity(params) {
+    return particleOf(params).charge > 0 ? -1 : 1;
+  }
+
+  // Electrostatic potential (V) relative to the cathode at (x, y, z) for the fields of trackFields. Past the gun the
+  // beam drifts at the anode potential V_acc (-V_acc for a positive species), raised or lowered between the plates by
+  // their voltage; ideal plates have no field outside their gap, so the potential only changes inside it. Inside the
+  // gun it comes from the solved gun maps (V_grid, V_focus).
+  function potentialAt(geometry, params, options, x, y, z) {
+    const {V_acc, V_plate, V_hplate = 0, V_grid = 0, V_focus = V_acc} = params;
+    const {fieldMaps = null, gun = null} = options;
+    const axisY = geometry.height_m / 2;
+    const polarity = gunPolarity(params);
+    if (gun && x <= gunExitX(gun)) {
+      const r = Math.hypot(y - axisY, z);
+      const grid = sampleMapPotential(gun.triode.grid, x, r);
+      if (grid !== null) return polarity * (V_grid * grid + V_acc * sampleMapPotential(gun.triode.anode, x, r));
+      const focus = sampleMapPotential(gun.lens.focus, x, r);
+      if (focus !== null) return polarity * (V_acc + (V_focus - V_acc) * focus);
+      return polarity * V_acc;
+    }
+    const halfWidth = (geometry.plate_width_m || 0.02) / 2;
+    let phi = polarity * V_acc;
+    if (fieldMaps) {
+      if (Math.abs(z) <= halfWidth) phi += V_plate * (sampleMapPotential(fieldMaps.y, x, y - axisY) || 0);
+      if (Math.abs(y - axisY) <= halfWidth) phi += V_hplate * (sampleMapPotential(fieldMaps.x, x, -z) || 0);
+      return phi;
+    }
+    const between = (start, length, spacing, gap, across) =>
+      x >= start && x <= start + length && Math.abs(gap) <= spacing / 2 && Math.abs(across) <= halfWidth;
+    const spacing = geometry.plate_spacing_m || 0.010;
+    const hspacing = geometry.hplate_spacing_m || 0.010;
+    if (between(geometry.plate_x_m, geometry.plate_length_m, spacing, y - axisY, z)) phi += V_plate * (y - axisY) / spacing;
+    if (between(geometry.hplate_x_m, geometry.hplate_length_m, hspacing, z, y - axisY)) phi -= V_hplate * z / hspacing;
+    return phi;
+  }
+
+  // Name of the gun electrode a track that passed the apertures ran into, or null if it got through: the cathode if it
+  // turned back or a lens tube if it strayed outside the bore
+  function gunBlockage(geometry, gun, samples, boundary) {
+    if (boundary === 'cathode') return 'cathode';
+    const axisY = geometry.height_m / 2;
+    const radius = s => Math.hypot(s.y - axisY, s.z);
+    for (const tube of gun.tubes) {
+      if (samples.some(s => s.x >= tube.start && s.x <= tube.end && radius(s) > tube.radius)) return tube.name;
+    }
+    return boundary === 'screen' ? null : 'tube';
+  }
+
+  // Track from the gun to the screen through the deflection region, integrated with pushParticle.
+  // params: {V_acc, V_plate, V_hplate, I_coil, B_cross, isRel, method, particle}; I_coil is the deflection coil current
+  // in amperes, B_cross the crossed field between the Y plates in tesla (addCrossedField), isRel uses relativistic
+  // momentum throughout and particle ({charge, mass}, see PARTICLES) is the species, an electron if not given;
+  // track.particle is the species it was traced for.
+  // The track ends where the electron is absorbed: track.blocked names what stopped it ('Y plates', 'X plates', 'wall'
+  // or a gun electrode), and x_screen_m, y_screen_m and z_screen_m are then the impact point; it is null for a track
+  // that reached the screen, where they give the point the track met the (possibly curved) screen face.
+  // options.yOffset and options.zOffset start the electron off the centerline, e.g. for multiple-electron beams.
+  // options.gun: maps from CRTFieldSolver.solveGun. The electron then leaves the cathode face at gun_x_m with only its
+  // emission energy and is accelerated and focused by the gun (params V_grid and V_focus); track.blocked names the
+  // electrode that stopped it ('cathode' when the grid turns it back).
+  // options.emission: {energy (eV), theta, phi} launches it with the kinetic energy it left the cathode with, at angle
+  // theta to the tube axis and azimuth phi (0 = up, pi/2 = +z). The accelerating field is along the axis, so the
+  // transverse momentum survives the gun while the emission energy adds to e V_acc.
+  function computeTrack(geometry, params, options = {}) {
+    const {V_acc, isRel = false, method = 'boris'} = params;
+    const particle = particleOf(params);
+    // options.fieldMaps: finite-difference plate fields {y, x} from CRTFieldSolver; without them the plates are ideal
+    const {yOffset = 0, zOffset = 0, emission = null, gun = null} = options;
+    // geometry: electron starts at gun_x_m on the centerline (half the tube height)
+    const x0 = geometry.gun_x_m;
+    const y0 = geometry.height_m / 2 + yOffset;
+
+    // initial speed, split into forward and transverse parts; with a gun the electron starts from the cathode with
+    // (at least a token amount of) its emission energy. Energies go in as the voltage that gives them to this species.
+    const eV = E_CHARGE / Math.abs(particle.charge);
+    const energy = emission ? emission.energy * eV : 0;
+    const launchEnergy = gun ? Math.max(energy, GUN_START_ENERGY * eV) : V_acc + energy;
+    const gamma = isRel ? computeLorentzFactor(V_acc + energy, particle) : 1;
+    const launchGamma = isRel ? computeLorentzFactor(launchEnergy, particle) : 1;
+    const speed = computeInitialSpeed(launchEnergy, isRel, particle); // m/s
+    const vPerp = emission ? Math.min(speed, Math.sqrt(2 * Math.abs(particle.charge) * energy / particle.mass) * Math.sin(emission.theta) / launchGamma) : 0;
+    let v0x = Math.sqrt(speed * speed - vPerp * vPerp);
+    if (!Number.isFinite(v0x) || v0x <= 1e-12) v0x = 1e-12; // fallback to avoid division by zero
+    const v0y = emission ? vPerp * Math.cos(emission.phi) : 0;
+    const v0z = emission ? vPerp * Math.sin(emission.phi) : 0;
+
+    const fields = trackFields(geometry, params, options);
+    const gunEnd = gun ? gunExitX(gun) : 0;
+    const radius = s => Math.hypot(s.y - geometry.height_m / 2, s.z);
+    const obstacles = obstacleBoundaries(geometry);
+    const boundaries = [{name: 'screen', f: s => s.x - screenSurfaceX(geometry, radius(s))}].concat(obstacles);
+    if (gun) boundaries.push({name: 'cathode', f: s => x0 - s.x});
+    // the push stops at each gun aperture and only carries on if the electron went through the hole, so the many
+    // electrons a real gun throws away cost little
+    const apertures = gun ? gun.apertures.slice() : [];
+    const samples = [];
+    const result = {steps: 0, rejected: 0, energyError: 0, boundary: null};
+    let position = [x0, y0, zOffset];
+    let velocity = [v0x, v0y, v0z];
+    let blocked = null;
+    while (true) {
+      const segment = pushParticle({
+        fields,
+        position,
+        velocity,
+        relativistic: isRel,
+        method,
+        charge: particle.charge,
+        mass: particle.mass,
+        lengthScale: geometry.width_m,
+        maxStepLength: Math.min(2e-3, geometry.plate_length_m / 10, geometry.hplate_length_m / 10),
+        edges: plateEdges(geometry),
+        boundaries: boundaries.concat(apertures.map(a => ({name: a.name, f: s => s.x - a.x}))),
+      });
+      samples.push(...(samples.length ? segment.samples.slice(1) : segment.samples));
+      result.steps += segment.steps;
+      result.rejected += segment.rejected;
+      result.energyError = Math.max(result.energyError, segment.energyError);
+      result.boundary = segment.boundary;
+      const aperture = apertures.find(a => a.name === segment.boundary);
+      if (!aperture) break;
+      const end = samples[samples.length - 1];
+      if (radius(end) > aperture.radius) { blocked = aperture.name; break; }
+      apertures.splice(apertures.indexOf(aperture), 1);
+      position = [end.x, end.y, end.z];
+      velocity = [end.vx, end.vy, end.vz];
+    }
+    const last = samples[samples.length - 1];
+    if (!blocked && obstacles.some(o => o.name === result.boundary)) blocked = result.boundary;
+    if (gun && !blocked) blocked = gunBlockage(geometry, gun, samples, result.boundary);
+    // with a gun the speed that matters is the one the beam leaves it with
+    if (gun && !blocked) v0x = interpolateAtX(samples, gunEnd).vx;
+
+    const hplateExit = interpolateAtX(samples, geometry.hplate_x_m + geometry.hplate_length_m);
+
+    return {
+      path: samples.map(p => ({x: p.x, y: p.y, z: p.z})),
+      samples,
+      v0x,
+      gamma,
+      beta: v0x / C_LIGHT,
+      v_entry_y: interpolateAtX(samples, geometry.plate_x_m).vy,
+      v_exit_y: interpolateAtX(samples, geometry.plate_x_m + geometry.plate_length_m).vy,
+      v_exit_z: hplateExit.vz,
+      x_screen_m: last.x,
+      y_screen_m: last.y,
+      z_screen_m: last.z,
+      blocked,
+      particle,
+      diagnostics: {method: STEPPERS[method] ? method : 'boris', steps: result.steps, rejected: result.rejected, energyError: result.energyError},
+    };
+  }
+
+  // Where a track first crosses each of the planes x = stations[i] (in increasing order): {y, z}, or null for a plane
+  // the track never reached
+  function trackCrossings(samples, stations) {
+    let i = 1;
+    return stations.map(x => {
+      while (i < samples.length && samples[i].x < x) i++;
+      if (i >= samples.length || samples[0].x > x) return null;
+      const a = samples[i - 1];
+      const b = samples[i];
+      const frac = b.x === a.x ? 0 : (x - a.x) / (b.x - a.x);
+      return {y: a.y + (b.y - a.y) * frac, z: a.z + (b.z - a.z) * frac};
+    });
+  }
+
+  // Cross-sections of a beam from the trackCrossings of its electrons: at every station crossed by at least two of
+  // them, the centroid {y, z} and the ellipse of `sigmas` standard deviations around it, with half-axes a >= b and the
+  // major axis at `angle` radians from +y towards +z. Returns [{x, count, y, z, a, b, angle}].
+  function beamEnvelope(crossings, stations, sigmas = 2) {
+    const sections = [];
+    stations.forEach((x, k) => {
+      const points = crossings.map(c => c[k]).filter(Boolean);
+      const count = points.length;
+      if (count < 2) return;
+      const y = points.reduce((sum, p) => sum + p.y, 0) / count;
+      const z = points.reduce((sum, p) => sum + p.z, 0) / count;
+      let syy = 0;
+      let szz = 0;
+      let syz = 0;
+      points.forEach(p => {
+        syy += (p.y - y) * (p.y - y) / count;
+        szz += (p.z - z) * (p.z - z) / count;
+        syz += (p.y - y) * (p.z - z) / count;
+      });
+      // principal axes of the covariance matrix
+      const mean = (syy + szz) / 2;
+      const root = Math.hypot((syy - szz) / 2, syz);
+      sections.push({
+        x,
+        count,
+        y,
+        z,
+        a: sigmas * Math.sqrt(mean + root),
+        b: sigmas * Math.sqrt(Math.max(0, mean - root)),
+        angle: Math.atan2(2 * syz, syy - szz) / 2,
+      });
+    });
+    return sections;
+  }
+
+  // Range of voltages {min, max} on one plate pair (axis 'y' or 'x', the other pair at 0 V) over which the track still
+  // reaches the screen, found by bisection to within `resolution` volts and searched out to ±vLimit; null if the track
+  // is stopped even at 0 V. Other params and options are passed on to computeTrack.
+  function deflectionLimits(geometry, params, axis, options = {}, vLimit = 2000, resolution = 0.5) {
+    const clear = V => !computeTrack(geometry, Object.assign({}, params, axis === 'y' ? {V_plate: V, V_hplate: 0} : {V_plate: 0, V_hplate: V}), options).blocked;
+    if (!clear(0)) return null;
+    const search = sign => {
+      if (clear(sign * vLimit)) return sign * vLimit;
+      let good = 0;
+      let bad = vLimit;
+      while (bad - good > resolution) {
+        const mid = (good + bad) / 2;
+        if (clear(sign * mid)) good = mid; else bad = mid;
+      }
+      return sign * good;
+    };
+    return {min: search(-1), max: search(1)};
+  }
+
+  return {
+    E_CHARGE,
+    ELECTRON_CHARGE,
+    E_MASS,
+    C_LIGHT,
+    MU_0,
+    AMU,
+    PARTICLES,
+    DEFAULT_GEOMETRY,
+    STEP_TOLERANCE,
+    LANDING_TOLERANCE,
+    particleOf,
+    computeLorentzFactor,
+    computeInitialSpeed,
+    computePlateVerticalAccel,
+    loopField,
+    coilField,
+    plateFields,
+    plateEdges,
+    sampleFieldMap,
+    solvedPlateFields,
+    gunFields,
+    cathodeCurrentDensity,
+    cathodeEmission,
+    gridCutoffVoltage,
+    pushParticle,
+    interpolateAtX,
+    computeTrack,
+    trackFields,
+    potentialAt,
+    deflectionLimits,
+    trackCrossings,
+    beamEnvelope,
+    obstacleBoundaries,
+    screenSurfaceX,
+    envelopeRadius,
+  };
+});
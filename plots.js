@@ -0,0 +1,252 @@
+// CRT simulation - plots.js
+// DOM-free phase-space and energy plots of sampled tracks: y against x, v_y against time, kinetic energy against x
+// and the y-v_y phase space with the beam's RMS ellipse and emittance, laid out as drawing primitives that the page
+// paints on a canvas or saves as SVG. Runs in the browser (window.CRTPlots, after physics.js and clock.js) and in Node
+// (require('./plots.js')).
+
+(function (root, factory) {
+  const node = typeof module === 'object' && module.exports;
+  const api = factory(node ? require('./physics.js') : root.CRTPhysics, node ? require('./clock.js') : root.CRTClock);
+  if (node) module.exports = api;
+  else root.CRTPlots = api;
+})(typeof self !== 'undefined' ? self : this, function (CRTPhysics, CRTClock) {
+  // The four plots. Each axis maps a sample {t, x, y, z, vx, vy, vz} (t from the start of its track) to a value in its
+  // unit; `context` carries the height of the tube axis, whether the tracks are relativistic and the particles' mass
+  // (an electron's if not given).
+  const PLOTS = [
+    {
+      id: 'trajectory',
+      title: 'Trajectory',
+      x: {label: 'x', unit: 'cm', value: s => s.x * 100},
+      y: {label: 'y', unit: 'mm', value: (s, context) => (s.y - context.axisY) * 1000},
+    },
+    {
+      id: 'velocity',
+      title: 'Transverse velocity',
+      x: {label: 't', unit: 'ns', value: s => s.t * 1e9},
+      y: {label: 'v_y', unit: 'km/s', value: s => s.vy / 1000},
+    },
+    {
+      id: 'energy',
+      title: 'Kinetic energy',
+      x: {label: 'x', unit: 'cm', value: s => s.x * 100},
+      y: {label: 'KE', unit: 'eV', value: (s, context) => kineticEnergy(s, context.relativistic, context.mass)},
+    },
+    {
+      id: 'phase',
+      title: 'Phase space',
+      x: {label: 'y', unit: 'mm', value: (s, context) => (s.y - context.axisY) * 1000},
+      y: {label: 'v_y', unit: 'km/s', value: s => s.vy / 1000},
+    },
+  ];
+  const MAX_POINTS = 300; // samples per track and plot; long gun tracks are thinned to this
+  const FONT = '11px sans-serif';
+  const COLORS = {
+    background: '#061a26',
+    axes: 'rgba(255,255,255,0.15)',
+    text: 'rgba(255,255,255,0.7)',
+    track: 'rgba(120,255,255,0.6)',
+    electron: 'rgba(255,255,255,0.95)',
+    ellipse: 'rgba(255,200,120,0.9)',
+  };
+
+  // Kinetic energy in eV of a particle of the given mass (an electron's by default) moving at the sample's velocity
+  function kineticEnergy(sample, relativistic = false, mass = CRTPhysics.E_MASS) {
+    const v2 = sample.vx * sample.vx + sample.vy * sample.vy + sample.vz * sample.vz;
+    const joules = relativistic
+      ? (1 / Math.sqrt(1 - v2 / (CRTPhysics.C_LIGHT * CRTPhysics.C_LIGHT)) - 1) * mass * CRTPhysics.C_LIGHT * CRTPhysics.C_LIGHT
+      : 0.5 * mass * v2;
+    return joules / CRTPhysics.E_CHARGE;
+  }
+
+  // Samples of a track from its start up to `t` seconds into it, timed from the start, ending with the interpolated
+  // sample at t and thinned to at most `maxPoints`
+  function trackUntil(samples, t, maxPoints = MAX_POINTS) {
+    if (samples.length === 0) return [];
+    const t0 = samples[0].t;
+    const shown = [];
+    for (const s of samples) {
+      if (s.t - t0 >= t) break;
+      shown.push(Object.assign({}, s, {t: s.t - t0}));
+    }
+    shown.push(CRTClock.sampleAt(samples, t));
+    if (shown.length <= maxPoints) return shown;
+    const stride = Math.ceil(shown.length / maxPoints);
+    return shown.filter((s, i) => i % stride === 0 || i === shown.length - 1);
+  }
+
+  // Spread of the electrons at one moment ({y, vx, vy} samples): the means and covariances of y and v_y, and the RMS
+  // emittance in m·rad, the area of the RMS ellipse in (y, y' = v_y/v_x) divided by π. It stays the same along a beam
+  // that only drifts or passes linear fields, so it measures how well the beam can ever be focused.
+  function beamSpread(samples) {
+    const count = samples.length;
+    if (count < 2) return null;
+    const mean = values => values.reduce((a, b) => a + b, 0) / count;
+    const covariance = (a, b, ma, mb) => a.reduce((sum, v, i) => sum + (v - ma) * (b[i] - mb), 0) / count;
+    const y = samples.map(s => s.y);
+    const vy = samples.map(s => s.vy);
+    const slope = samples.map(s => s.vy / s.vx);
+    const my = mean(y);
+    const mv = mean(vy);
+    const ms = mean(slope);
+    const syy = covariance(y, y, my, my);
+    const sss = covariance(slope, slope, ms, ms);
+    const sys = covariance(y, slope, my, ms);
+    return {
+      count,
+      y: my,
+      vy: mv,
+      yy: syy,
+      vv: covariance(vy, vy, mv, mv),
+      yv: covariance(y, vy, my, mv),
+      emittance: Math.sqrt(Math.max(0, syy * sss - sys * sys)),
+    };
+  }
+
+  // Points of the ellipse (u - mu)ᵀ C⁻¹ (u - mu) = 1 for the 2×2 covariance C = [[a, c], [c, b]] about (mx, my)
+  function covarianceEllipse(mx, my, a, b, c, points = 64) {
+    // C = L Lᵀ with L lower triangular maps the unit circle onto the ellipse
+    const l11 = Math.sqrt(Math.max(0, a));
+    const l21 = l11 > 0 ? c / l11 : 0;
+    const l22 = Math.sqrt(Math.max(0, b - l21 * l21));
+    return Array.from({length: points + 1}, (_, k) => {
+      const angle = 2 * Math.PI * k / points;
+      const u = Math.cos(angle);
+      const v = Math.sin(angle);
+      return {x: mx + l11 * u, y: my + l21 * u + l22 * v};
+    });
+  }
+
+  // Smallest 1, 2 or 5 times a power of ten that splits `span` into at most about five steps
+  function tickStep(span) {
+    const raw = span / 5;
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    return [1, 2, 5, 10].map(m => m * power).find(step => step >= raw);
+  }
+
+  // Range [min, max] of the values, padded by 5% and widened around a single value
+  function paddedRange(values) {
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (!(max > min)) {
+      const half = Math.abs(min) > 0 ? Math.abs(min) * 0.1 : 1;
+      min -= half;
+      max += half;
+    }
+    const pad = (max - min) * 0.05;
+    return [min - pad, max + pad];
+  }
+
+  // Label a tick without float noise
+  function tickLabel(value, step) {
+    const digits = Math.max(0, -Math.floor(Math.log10(step)));
+    return (Math.abs(value) < step / 2 ? 0 : value).toFixed(digits);
+  }
+
+  // One plot in the rectangle `box` {x, y, width, height} (pixels, y down) as drawing primitives:
+  //   {type: 'rect', x, y, width, height, fill}
+  //   {type: 'line', points: [{x, y}], stroke, lineWidth, dash?}
+  //   {type: 'text', x, y, text, fill, align: 'left'|'center'|'right'}
+  //   {type: 'dot', x, y, r, fill}
+  // The axes span the whole tracks, so they hold still while the flight plays; the lines end and the dots sit at time t.
+  function plotPrimitives(plot, box, tracks, shown, present, context, spread) {
+    const out = [];
+    const values = axis => tracks.flatMap(track => track.samples.map(s => axis.value(s, track.context)));
+    const [xMin, xMax] = paddedRange(values(plot.x));
+    const [yMin, yMax] = paddedRange(values(plot.y));
+    const left = box.x + 46;
+    const right = box.x + box.width - 10;
+    const top = box.y + 22;
+    const bottom = box.y + box.height - 30;
+    const px = value => left + (value - xMin) / (xMax - xMin) * (right - left);
+    const py = value => bottom - (value - yMin) / (yMax - yMin) * (bottom - top);
+    out.push({type: 'text', x: box.x + box.width / 2, y: box.y + 14, text: plot.title, fill: COLORS.text, align: 'center'});
+    const xStep = tickStep(xMax - xMin);
+    for (let v = Math.ceil(xMin / xStep) * xStep; v <= xMax; v += xStep) {
+      out.push({type: 'line', points: [{x: px(v), y: top}, {x: px(v), y: bottom}], stroke: COLORS.axes, lineWidth: 1});
+      out.push({type: 'text', x: px(v), y: bottom + 13, text: tickLabel(v, xStep), fill: COLORS.text, align: 'center'});
+    }
+    const yStep = tickStep(yMax - yMin);
+    for (let v = Math.ceil(yMin / yStep) * yStep; v <= yMax; v += yStep) {
+      out.push({type: 'line', points: [{x: left, y: py(v)}, {x: right, y: py(v)}], stroke: COLORS.axes, lineWidth: 1});
+      out.push({type: 'text', x: left - 4, y: py(v) + 4, text: tickLabel(v, yStep), fill: COLORS.text, align: 'right'});
+    }
+    out.push({type: 'text', x: (left + right) / 2, y: box.y + box.height - 4, text: `${plot.x.label} (${plot.x.unit})`, fill: COLORS.text, align: 'center'});
+    out.push({type: 'text', x: box.x + 4, y: top - 6, text: `${plot.y.label} (${plot.y.unit})`, fill: COLORS.text, align: 'left'});
+    for (const track of shown) {
+      if (track.samples.length < 2) continue;
+      const points = track.samples.map(s => ({x: px(plot.x.value(s, track.context)), y: py(plot.y.value(s, track.context))}));
+      out.push({type: 'line', points, stroke: COLORS.track, lineWidth: 1.5});
+    }
+    if (plot.id === 'phase' && spread) {
+      const points = covarianceEllipse((spread.y - context.axisY) * 1000, spread.vy / 1000, spread.yy * 1e6, spread.vv * 1e-6, spread.yv)
+        .map(p => ({x: px(p.x), y: py(p.y)}));
+      out.push({type: 'line', points, stroke: COLORS.ellipse, lineWidth: 1.5, dash: [4, 3]});
+    }
+    for (const track of present) {
+      const s = track.samples[0];
+      out.push({type: 'dot', x: px(plot.x.value(s, track.context)), y: py(plot.y.value(s, track.context)), r: 2.5, fill: COLORS.electron});
+    }
+    return out;
+  }
+
+  // The four plots in a 2×2 grid on a width × height panel, for tracks (arrays of samples) shown up to `t` seconds into
+  // the flight (Infinity for whole tracks). Electrons are marked at time t while a flight plays (`flying`), and with
+  // more than one electron the phase space shows their RMS ellipse. `context.masses`, if given, holds the particle mass
+  // of each track for its kinetic energy. Returns the primitives and the spread (or null).
+  function plotPanel(tracks, t, context, width, height, flying = false) {
+    const drawn = tracks
+      .map((samples, i) => ({samples, context: context.masses ? Object.assign({}, context, {mass: context.masses[i]}) : context}))
+      .filter(track => track.samples.length > 0);
+    const primitives = [{type: 'rect', x: 0, y: 0, width, height, fill: COLORS.background}];
+    if (drawn.length === 0) return {primitives, spread: null};
+    const cut = time => drawn.map(track => ({samples: trackUntil(track.samples, time), context: track.context}));
+    const full = cut(Infinity);
+    const shown = cut(t);
+    const ends = shown.map(track => track.samples[track.samples.length - 1]);
+    const present = flying ? shown.map((track, i) => ({samples: [ends[i]], context: track.context})) : [];
+    const spread = beamSpread(ends);
+    const w = width / 2;
+    const h = height / 2;
+    PLOTS.forEach((plot, i) => {
+      const box = {x: (i % 2) * w, y: Math.floor(i / 2) * h, width: w, height: h};
+      primitives.push(...plotPrimitives(plot, box, full, shown, present, context, spread));
+    });
+    return {primitives, spread};
+  }
+
+  function escapeXML(text) {
+    return String(text).replace(/[&<>"]/g, ch => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'})[ch]);
+  }
+
+  // The primitives as a standalone SVG document
+  function toSVG(primitives, width, height) {
+    const n = v => Number(v.toFixed(2));
+    const anchors = {left: 'start', center: 'middle', right: 'end'};
+    const body = primitives.map(p => {
+      if (p.type === 'rect') return `<rect x="${n(p.x)}" y="${n(p.y)}" width="${n(p.width)}" height="${n(p.height)}" fill="${p.fill}"/>`;
+      if (p.type === 'dot') return `<circle cx="${n(p.x)}" cy="${n(p.y)}" r="${p.r}" fill="${p.fill}"/>`;
+      if (p.type === 'text') return `<text x="${n(p.x)}" y="${n(p.y)}" fill="${p.fill}" text-anchor="${anchors[p.align]}">${escapeXML(p.text)}</text>`;
+      const dash = p.dash ? ` stroke-dasharray="${p.dash.join(' ')}"` : '';
+      return `<polyline points="${p.points.map(q => `${n(q.x)},${n(q.y)}`).join(' ')}" fill="none" stroke="${p.stroke}" stroke-width="${p.lineWidth}"${dash}/>`;
+    });
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="11">`,
+      ...body.map(line => `  ${line}`),
+      '</svg>',
+      '',
+    ].join('\n');
+  }
+
+  return {
+    PLOTS,
+    MAX_POINTS,
+    FONT,
+    kineticEnergy,
+    trackUntil,
+    beamSpread,
+    covarianceEllipse,
+    plotPanel,
+    toSVG,
+  };
+});
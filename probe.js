@@ -0,0 +1,134 @@
+// CRT simulation - probe.js
+// DOM-free geometry of the side view's measuring tools: the zoomed and panned view between meters and canvas pixels,
+// the point of a track nearest the cursor, and ruler and angle measurements in meters. Runs in the browser
+// (window.CRTProbe) and in Node (require('./probe.js')).
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CRTProbe = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  const MAX_ZOOM = 200;
+
+  // View of a region `extent` {width, height} in meters: zoom 1 shows all of it, centered on (centerX, centerY)
+  function createView(extent) {
+    return {zoom: 1, centerX: extent.width / 2, centerY: extent.height / 2};
+  }
+
+  // Pixel transform {width, height, pxPerMeterX, pxPerMeterY, originX, originY} of a view on a canvas `size` {width,
+  // height}; (originX, originY) are the meters at the canvas's bottom-left corner. At zoom 1 the region fills the canvas,
+  // stretched to its shape, or with `square` at the same scale along and across so that lengths and angles look true.
+  // The view's center is moved, if need be, so the canvas never shows more than the region where it can be filled.
+  function viewTransform(view, size, extent, square = false) {
+    let sx = size.width / extent.width;
+    let sy = size.height / extent.height;
+    if (square) sx = sy = Math.min(sx, sy);
+    const pxPerMeterX = sx * view.zoom;
+    const pxPerMeterY = sy * view.zoom;
+    const keep = (center, visible, length) => visible >= length ? length / 2 : Math.min(length - visible / 2, Math.max(visible / 2, center));
+    view.centerX = keep(view.centerX, size.width / pxPerMeterX, extent.width);
+    view.centerY = keep(view.centerY, size.height / pxPerMeterY, extent.height);
+    return {
+      width: size.width,
+      height: size.height,
+      pxPerMeterX,
+      pxPerMeterY,
+      originX: view.centerX - size.width / 2 / pxPerMeterX,
+      originY: view.centerY - size.height / 2 / pxPerMeterY,
+    };
+  }
+
+  // Canvas pixel (px, py), y down, of the point (x, y) in meters
+  function toPixels(transform, x, y) {
+    return {x: (x - transform.originX) * transform.pxPerMeterX, y: transform.height - (y - transform.originY) * transform.pxPerMeterY};
+  }
+
+  // Point {x, y} in meters at canvas pixel (px, py)
+  function toMeters(transform, px, py) {
+    return {x: transform.originX + px / transform.pxPerMeterX, y: transform.originY + (transform.height - py) / transform.pxPerMeterY};
+  }
+
+  // Zoom in by `factor` (out for factor < 1) about the canvas pixel (px, py), which stays over the same point; the zoom
+  // is kept between 1 and MAX_ZOOM
+  function zoomAt(view, transform, factor, px, py) {
+    const p = toMeters(transform, px, py);
+    const zoom = Math.min(MAX_ZOOM, Math.max(1, view.zoom * factor));
+    const f = zoom / view.zoom;
+    view.zoom = zoom;
+    view.centerX = p.x + (view.centerX - p.x) / f;
+    view.centerY = p.y + (view.centerY - p.y) / f;
+    return view;
+  }
+
+  // Move the view with the cursor dragged by (dx, dy) pixels
+  function pan(view, transform, dx, dy) {
+    view.centerX -= dx / transform.pxPerMeterX;
+    view.centerY += dy / transform.pxPerMeterY;
+    return view;
+  }
+
+  // Point of a sampled track {t, x, y, z, vx, vy, vz}[] nearest the point (x, y) on the canvas, measured in pixels, as
+  // an interpolated sample with its `distancePx`; null for a track with no samples
+  function nearestPoint(samples, point, transform) {
+    let best = null;
+    const sx = transform.pxPerMeterX;
+    const sy = transform.pxPerMeterY;
+    for (let i = 0; i < samples.length; i++) {
+      const a = samples[i];
+      const b = samples[Math.min(i + 1, samples.length - 1)];
+      // closest point of the segment a-b in pixel space
+      const ux = (b.x - a.x) * sx;
+      const uy = (b.y - a.y) * sy;
+      const wx = (point.x - a.x) * sx;
+      const wy = (point.y - a.y) * sy;
+      const length2 = ux * ux + uy * uy;
+      const frac = length2 > 0 ? Math.min(1, Math.max(0, (wx * ux + wy * uy) / length2)) : 0;
+      const distancePx = Math.hypot(wx - frac * ux, wy - frac * uy);
+      if (!best || distancePx < best.distancePx) {
+        best = {distancePx};
+        for (const key of Object.keys(a)) best[key] = a[key] + (b[key] - a[key]) * frac;
+      }
+    }
+    return best;
+  }
+
+  // Ruler from a to b ({x, y} in meters): the offsets, the length and the angle in degrees from the tube axis (+x),
+  // counterclockwise towards +y
+  function measure(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    return {dx, dy, length: Math.hypot(dx, dy), angle: Math.atan2(dy, dx) * 180 / Math.PI};
+  }
+
+  // Angle in degrees (0-180) at `vertex` between the arms to a and b; 0 if an arm has no length
+  function angleBetween(vertex, a, b) {
+    const ux = a.x - vertex.x;
+    const uy = a.y - vertex.y;
+    const vx = b.x - vertex.x;
+    const vy = b.y - vertex.y;
+    if ((ux === 0 && uy === 0) || (vx === 0 && vy === 0)) return 0;
+    return Math.abs(Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy)) * 180 / Math.PI;
+  }
+
+  // Smallest 1, 2 or 5 times a power of ten that is at least `length`, for tick spacings
+  function tickStep(length) {
+    const exponent = Math.floor(Math.log10(length));
+    // dividing by a power of ten keeps steps such as 0.0002 exact
+    const times = m => exponent >= 0 ? m * Math.pow(10, exponent) : m / Math.pow(10, -exponent);
+    return times([1, 2, 5, 10].find(m => times(m) >= length * (1 - 1e-9)));
+  }
+
+  return {
+    MAX_ZOOM,
+    createView,
+    viewTransform,
+    toPixels,
+    toMeters,
+    zoomAt,
+    pan,
+    nearestPoint,
+    measure,
+    angleBetween,
+    tickStep,
+  };
+});
@@ -0,0 +1,94 @@
+// CRT simulation - recording.js
+// DOM-free helpers for exporting animations: the frame plan of a PNG sequence, frame sizes and names, and an
+// uncompressed ZIP archive to download the frames in one file. Runs in the browser (window.CRTRecording) and in Node
+// (require('./recording.js')).
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CRTRecording = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Number of frames in `seconds` of simulation time at `fps`; always at least one
+  function frameCount(seconds, fps) {
+    return Math.max(1, Math.round(seconds * fps));
+  }
+
+  // Frame size for an output `width` in pixels with the aspect ratio of the view; the height is rounded to an even
+  // number, which most video encoders need when the frames are assembled into a film
+  function frameSize(viewWidth, viewHeight, width) {
+    const w = Math.max(2, Math.round(width));
+    return {width: w, height: Math.max(2, 2 * Math.round(w * viewHeight / viewWidth / 2))};
+  }
+
+  // 'prefix-0007.png': zero-padded to at least four digits, or enough for `count` frames, so the files sort in order
+  function frameName(prefix, index, count) {
+    const digits = Math.max(4, String(Math.max(0, count - 1)).length);
+    return `${prefix}-${String(index).padStart(digits, '0')}.png`;
+  }
+
+  let crcTable = null;
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // ZIP archive of files [{name, data: Uint8Array}], stored without compression (PNG data is compressed already). Every
+  // entry carries the same fixed timestamp (1980-01-01), so the same frames always give the same archive.
+  function zip(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map(f => ({name: encoder.encode(f.name), data: f.data, crc: crc32(f.data)}));
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+    let pos = 0;
+    const u16 = v => { view.setUint16(pos, v, true); pos += 2; };
+    const u32 = v => { view.setUint32(pos, v, true); pos += 4; };
+    const bytes = b => { out.set(b, pos); pos += b.length; };
+    // the fields shared by a local header and its central directory entry: version needed, flags (bit 11: UTF-8
+    // names), method 0 (stored), time, date, CRC, sizes and name length
+    const common = e => { u16(20); u16(0x0800); u16(0); u16(0); u16(0x0021); u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length); };
+    entries.forEach(e => {
+      e.offset = pos;
+      u32(0x04034b50);
+      common(e);
+      u16(0); // extra field length
+      bytes(e.name);
+      bytes(e.data);
+    });
+    const centralStart = pos;
+    entries.forEach(e => {
+      u32(0x02014b50);
+      u16(20); // version made by
+      common(e);
+      u16(0); u16(0); u16(0); u16(0); u32(0); // extra and comment lengths, disk, internal and external attributes
+      u32(e.offset);
+      bytes(e.name);
+    });
+    const centralLength = pos - centralStart;
+    u32(0x06054b50);
+    u16(0); u16(0); // disk numbers
+    u16(entries.length); u16(entries.length);
+    u32(centralLength);
+    u32(centralStart);
+    u16(0); // comment length
+    return out;
+  }
+
+  return {
+    frameCount,
+    frameSize,
+    frameName,
+    crc32,
+    zip,
+  };
+});
@@ -0,0 +1,112 @@
+// CRT simulation - scenarios.js
+// DOM-free scenario state: the value of every simulation control plus the 3D camera pose, built-in presets, and the
+// JSON and URL-hash encodings used to save and share a setup. Runs in the browser (window.CRTScenarios) and in Node
+// (require('./scenarios.js')).
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CRTScenarios = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  const FORMAT = 'crt-scenario';
+  const VERSION = 1;
+  const HASH_KEY = 'scenario';
+
+  // Built-in presets: control values (by element id) that differ from the page defaults
+  const PRESETS = {
+    'Default': {
+      description: 'The settings the page opens with',
+      controls: {},
+    },
+    'Basic oscilloscope': {
+      description: 'A 1 kHz sine wave on the Y plates against the timebase, on a green P1 screen',
+      controls: {'scope-toggle': true, 'gen-wave': 'sine', 'gen-freq': 30, 'gen-amp': 60, 'gen-offset': 0, 'timebase-select': '0.0005', 'trigger-level': 0, 'phosphor-select': 'P1', 'beam-current': 60},
+    },
+    'Magnetic TV yoke': {
+      description: 'An 18 kV television tube deflected by a 300-turn coil pair, with a white P4 curved screen',
+      controls: {'accel-slider': 18000, 'relativistic-toggle': true, 'magnetic-toggle': true, 'coil-current': 400, 'coil-turns': 300, 'coil-radius': 6, 'coil-pos': 34, 'phosphor-select': 'P4', 'curved-screen': true, 'screen-radius': 60, 'tube-length': 56, 'screen-distance': 23, 'funnel-start': 30},
+    },
+    'e/m measurement': {
+      description: 'A slow beam bent by a known Helmholtz field: the deflection per ampere gives e/m',
+      controls: {'accel-slider': 1500, 'magnetic-toggle': true, 'coil-current': 150, 'coil-turns': 100, 'coil-radius': 4, 'relativistic-toggle': false, 'vector-toggle': true, 'phosphor-select': 'P1'},
+    },
+    'Thomson e/m (crossed fields)': {
+      description: 'Crossed E and B fields between the Y plates: balance them so the spot returns, then e/m = E² / (2 V_acc B²)',
+      controls: {'accel-slider': 1500, 'deflect-slider': 40, 'crossed-toggle': true, 'crossed-b': 150, 'relativistic-toggle': false, 'phosphor-select': 'P1'},
+    },
+  };
+
+  function isVector(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+  }
+
+  // Scenario from control values ({id: number | boolean | string}) and an optional camera pose
+  // {position: [x, y, z], quaternion: [x, y, z, w], target: [x, y, z]}
+  function createScenario(controls, camera = null) {
+    return {format: FORMAT, version: VERSION, controls: Object.assign({}, controls), camera};
+  }
+
+  // Check data read from a file or link and return it as a scenario; throws an Error saying what is wrong
+  function parseScenario(data) {
+    if (!data || typeof data !== 'object' || data.format !== FORMAT) throw new Error('not a CRT scenario');
+    if (!(data.version >= 1 && data.version <= VERSION)) throw new Error(`unsupported scenario version ${data.version}`);
+    const controls = {};
+    Object.keys(data.controls || {}).forEach(id => {
+      const value = data.controls[id];
+      if (typeof value === 'boolean' || typeof value === 'string' || Number.isFinite(value)) controls[id] = value;
+    });
+    const c = data.camera;
+    const camera = c && isVector(c.position, 3) && isVector(c.quaternion, 4) && isVector(c.target, 3)
+      ? {position: c.position.slice(), quaternion: c.quaternion.slice(), target: c.target.slice()}
+      : null;
+    return createScenario(controls, camera);
+  }
+
+  // The control values that differ from `defaults`
+  function changedControls(defaults, controls) {
+    const changed = {};
+    Object.keys(controls).forEach(id => { if (defaults[id] !== controls[id]) changed[id] = controls[id]; });
+    return changed;
+  }
+
+  // Built-in preset as a full scenario over the page defaults
+  function presetScenario(name, defaults) {
+    const preset = PRESETS[name];
+    return preset ? createScenario(Object.assign({}, defaults, preset.controls)) : null;
+  }
+
+  // URL hash (without the '#') for a scenario, keeping only the controls that differ from the defaults so links stay short
+  function encodeHash(scenario, defaults) {
+    const compact = Object.assign({}, scenario, {controls: changedControls(defaults, scenario.controls)});
+    return `${HASH_KEY}=${encodeURIComponent(JSON.stringify(compact))}`;
+  }
+
+  // Scenario from a URL hash, with the given defaults filled in; null if the hash holds no scenario, and throws if it
+  // holds one that cannot be read
+  function decodeHash(hash, defaults) {
+    const prefix = `${HASH_KEY}=`;
+    const part = hash.replace(/^#/, '').split('&').find(p => p.startsWith(prefix));
+    if (!part) return null;
+    let data;
+    try {
+      data = JSON.parse(decodeURIComponent(part.slice(prefix.length)));
+    } catch (e) {
+      throw new Error('the scenario in the link is damaged');
+    }
+    const scenario = parseScenario(data);
+    scenario.controls = Object.assign({}, defaults, scenario.controls);
+    return scenario;
+  }
+
+  return {
+    FORMAT,
+    VERSION,
+    PRESETS,
+    createScenario,
+    parseScenario,
+    changedControls,
+    presetScenario,
+    encodeHash,
+    decodeHash,
+  };
+});
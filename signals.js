@@ -0,0 +1,121 @@
+// CRT simulation - signals.js
+// DOM-free function generator, sweep timebase and trigger logic for oscilloscope mode, and raster timing for TV mode.
+// Runs in the browser (window.CRTSignals) and in Node (require('./signals.js')).
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CRTSignals = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  const WAVEFORMS = ['sine', 'square', 'triangle', 'sawtooth', 'dc'];
+
+  // Unit waveform in [-1, 1] for a phase measured in cycles (any real number)
+  function unitWaveform(shape, phase) {
+    const p = phase - Math.floor(phase); // 0..1
+    switch (shape) {
+      case 'square': return p < 0.5 ? 1 : -1;
+      case 'triangle': return p < 0.5 ? 4 * p - 1 : 3 - 4 * p;
+      case 'sawtooth': return 2 * p - 1;
+      case 'dc': return 0;
+      default: return Math.sin(2 * Math.PI * p);
+    }
+  }
+
+  // Generator output in volts at time t (seconds); gen: {shape, frequency (Hz), amplitude (V), offset (V)}
+  function generatorValue(gen, t) {
+    return gen.offset + gen.amplitude * unitWaveform(gen.shape, gen.frequency * t);
+  }
+
+  // Next time >= tStart at which the generator crosses `level` in the direction of `slope` ('rising' or 'falling').
+  // Searches one period (the signal repeats after that); returns null if the level is never crossed, e.g. for DC
+  // or a level outside the signal range, which is when a real scope in auto mode free-runs.
+  function findTrigger(gen, tStart, level, slope = 'rising') {
+    if (gen.shape === 'dc' || !(gen.frequency > 0) || gen.amplitude === 0) return null;
+    const period = 1 / gen.frequency;
+    const samples = 512;
+    const dt = period / samples;
+    const sign = slope === 'falling' ? -1 : 1;
+    let tPrev = tStart;
+    let prev = sign * (generatorValue(gen, tPrev) - level);
+    for (let i = 1; i <= samples + 1; i++) {
+      const t = tStart + i * dt;
+      const cur = sign * (generatorValue(gen, t) - level);
+      if (prev < 0 && cur >= 0) {
+        // bisect to the crossing (works for the jumps in square and sawtooth waves too)
+        let a = tPrev;
+        let b = t;
+        for (let k = 0; k < 40; k++) {
+          const m = (a + b) / 2;
+          if (sign * (generatorValue(gen, m) - level) < 0) a = m; else b = m;
+        }
+        return b;
+      }
+      tPrev = t;
+      prev = cur;
+    }
+    return null;
+  }
+
+  // Sweep position (-1 at the left edge, +1 at the right edge) for a time since the sweep started
+  function sweepPosition(elapsed, sweepTime) {
+    return Math.max(-1, Math.min(1, 2 * elapsed / sweepTime - 1));
+  }
+
+  // --- Raster scan (TV mode) ---
+  // timing: {lines (per frame), frameRate (Hz), interlace, hBlank, vBlank}; the blanking values are the fractions of
+  // each line and each field spent on retrace. With interlace a frame is two fields of lines/2 lines each; for an odd
+  // line count the second field starts half-way through a line, so its lines fall between those of the first.
+
+  function frac(x) { return x - Math.floor(x); }
+
+  function lineRate(timing) { return timing.lines * timing.frameRate; }
+  function fieldRate(timing) { return timing.interlace ? 2 * timing.frameRate : timing.frameRate; }
+
+  // Phases (0..1) of the horizontal and vertical sawtooth at time t. hold: {h, v} fractional frequency errors of a
+  // free-running deflection oscillator; zero means locked to the sync pulses in the video signal.
+  function rasterPhases(t, timing, hold = {h: 0, v: 0}) {
+    return {h: frac(t * lineRate(timing) * (1 + hold.h)), v: frac(t * fieldRate(timing) * (1 + hold.v))};
+  }
+
+  // Deflection sawtooth in [-1, 1]: a linear trace over the active part of the period, then a fast linear retrace
+  function rasterDeflection(phase, blank) {
+    const active = 1 - blank;
+    return phase < active ? -1 + 2 * phase / active : 1 - 2 * (phase - active) / blank;
+  }
+
+  // Picture coordinates {u, v} in [0, 1) (left to right, top to bottom) carried by the video signal at these phases,
+  // or null during the blanking intervals
+  function videoCoords(phases, timing) {
+    if (phases.h >= 1 - timing.hBlank || phases.v >= 1 - timing.vBlank) return null;
+    return {u: phases.h / (1 - timing.hBlank), v: phases.v / (1 - timing.vBlank)};
+  }
+
+  // Built-in test card, luminance 0..1 at picture coordinates u, v: a white border and circle, grey bars in the upper
+  // part and a frequency sweep (finer and finer stripes to the right) along the bottom for judging resolution
+  function testPattern(u, v) {
+    if (u < 0.02 || u > 0.98 || v < 0.02 || v > 0.98) return 1;
+    const dx = (u - 0.5) * 4 / 3;
+    const dy = v - 0.5;
+    if (Math.abs(Math.hypot(dx, dy) - 0.35) < 0.012) return 1;
+    if (v < 0.7) return 1 - Math.floor(u * 8) / 7;
+    return 0.5 + 0.5 * Math.sin(2 * Math.PI * (2 + 30 * u) * u);
+  }
+
+  // Standard 1-2-5 time/div steps in seconds
+  const TIME_PER_DIV_STEPS = [1e-6, 2e-6, 5e-6, 1e-5, 2e-5, 5e-5, 1e-4, 2e-4, 5e-4, 1e-3, 2e-3, 5e-3, 1e-2, 2e-2, 5e-2, 1e-1];
+
+  return {
+    WAVEFORMS,
+    TIME_PER_DIV_STEPS,
+    unitWaveform,
+    generatorValue,
+    findTrigger,
+    sweepPosition,
+    lineRate,
+    fieldRate,
+    rasterPhases,
+    rasterDeflection,
+    videoCoords,
+    testPattern,
+  };
+});
@@ -0,0 +1,47 @@
+// Tests for the parameter sweeps and the textbook deflection model. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTPhysics = require('../physics.js');
+const CRTAnalysis = require('../analysis.js');
+
+const geometry = CRTPhysics.DEFAULT_GEOMETRY;
+const params = {V_acc: 2000, V_plate: 0, V_hplate: 0, I_coil: 0};
+
+test('ideal plates follow the textbook deflection and sensitivity', () => {
+  const L = geometry.plate_length_m;
+  const D = geometry.screen_x_m - geometry.plate_x_m - L / 2;
+  const expected = L * D / (2 * geometry.plate_spacing_m * params.V_acc);
+  const sensitivity = CRTAnalysis.deflectionSensitivity(geometry, params, 'y');
+  assert.ok(Math.abs(sensitivity.analytic / expected - 1) < 1e-9, `analytic ${sensitivity.analytic} m/V`);
+  assert.ok(Math.abs(sensitivity.simulated / expected - 1) < 1e-6, `simulated ${sensitivity.simulated} m/V`);
+  const point = CRTAnalysis.sweepPoint(geometry, params, 'V_hplate', 60);
+  assert.ok(point.simulated.hit_x > 0, 'positive X voltage moves the spot to the right');
+  assert.ok(Math.abs(point.simulated.hit_x / point.analytic.hit_x - 1) < 1e-6);
+  assert.ok(Math.abs(point.simulated.transit_time / point.analytic.transit_time - 1) < 1e-6);
+});
+
+test('the plate sweep stays linear up to clipping, the coil sweep bends before it', () => {
+  const plates = CRTAnalysis.sweep(geometry, params, 'V_plate', CRTAnalysis.sweepValues(-150, 150, 31));
+  const limit = 2 * geometry.plate_spacing_m ** 2 * params.V_acc / geometry.plate_length_m ** 2;
+  const onset = CRTAnalysis.nonlinearityOnset(plates, 'hit_y');
+  assert.deepStrictEqual(onset.above, {value: 120, reason: 'Y plates'});
+  assert.deepStrictEqual(onset.below, {value: -120, reason: 'Y plates'});
+  assert.ok(onset.above.value > limit && onset.above.value - 10 < limit);
+
+  const coil = CRTAnalysis.sweep(geometry, params, 'I_coil', CRTAnalysis.sweepValues(0, 1000, 21));
+  const curved = CRTAnalysis.nonlinearityOnset(coil, 'hit_y').above;
+  assert.strictEqual(curved.reason, 'nonlinear');
+  const clipped = coil.find(p => p.blocked);
+  assert.ok(clipped && curved.value < clipped.value, `bends at ${curved.value} mA`);
+  // the small-angle model holds at small currents only
+  assert.ok(Math.abs(coil[1].simulated.hit_y / coil[1].analytic.hit_y - 1) < 0.005);
+});
+
+test('geometry sweeps change a copy of the geometry', () => {
+  const point = CRTAnalysis.applySweepValue(geometry, params, 'plate_spacing_m', 20);
+  assert.strictEqual(point.geometry.plate_spacing_m, 0.02);
+  assert.strictEqual(geometry.plate_spacing_m, 0.010);
+  assert.strictEqual(point.params, params);
+  const spaced = CRTAnalysis.sweepPoint(geometry, Object.assign({}, params, {V_plate: 50}), 'plate_spacing_m', 20);
+  assert.ok(Math.abs(spaced.simulated.hit_y / spaced.analytic.hit_y - 1) < 1e-6);
+});
@@ -0,0 +1,57 @@
+// Tests for the thermionic cathode sampling and spot statistics. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTCathode = require('../cathode.js');
+
+test('emission follows the flux-weighted Maxwell-Boltzmann and cosine laws over the emitter disk', () => {
+  const random = CRTCathode.createRandom(7);
+  const cathode = {temperature: 1160, radius: 2e-4};
+  const kT = CRTCathode.BOLTZMANN_EV * cathode.temperature;
+  const n = 20000;
+  let energy = 0;
+  let sin2 = 0;
+  let r2 = 0;
+  for (let i = 0; i < n; i++) {
+    const e = CRTCathode.sampleEmission(cathode, random);
+    assert.ok(e.energy >= 0 && e.theta >= 0 && e.theta <= Math.PI / 2);
+    assert.ok(Math.hypot(e.y, e.z) <= cathode.radius);
+    energy += e.energy;
+    sin2 += Math.sin(e.theta) ** 2;
+    r2 += e.y * e.y + e.z * e.z;
+  }
+  assert.ok(Math.abs(energy / n / (2 * kT) - 1) < 0.02, `mean energy ${energy / n} eV`);
+  assert.ok(Math.abs(sin2 / n - 0.5) < 0.01, `mean sin^2 ${sin2 / n}`);
+  assert.ok(Math.abs(r2 / n / (cathode.radius ** 2 / 2) - 1) < 0.02, `mean r^2 ${r2 / n}`);
+});
+
+test('spot statistics recover the width of a Gaussian spot', () => {
+  const random = CRTCathode.createRandom(3);
+  const sigma = 1.5e-3;
+  const values = [];
+  for (let i = 0; i < 20000; i++) {
+    // Box-Muller
+    values.push(2e-3 + sigma * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random()));
+  }
+  const stats = CRTCathode.spotStatistics(values);
+  assert.strictEqual(stats.count, values.length);
+  assert.ok(Math.abs(stats.mean - 2e-3) < 0.03 * sigma, `mean ${stats.mean}`);
+  assert.ok(Math.abs(stats.rms / sigma - 1) < 0.02, `rms ${stats.rms}`);
+  assert.ok(Math.abs(stats.fwhm / (2 * Math.sqrt(2 * Math.LN2) * sigma) - 1) < 0.08, `fwhm ${stats.fwhm}`);
+  assert.ok(stats.counts.reduce((a, b) => a + b, 0) > 0.999 * values.length);
+});
+
+test('a point spot has zero size and an empty set has no statistics', () => {
+  const stats = CRTCathode.spotStatistics([0.01, 0.01, 0.01]);
+  assert.strictEqual(stats.rms, 0);
+  assert.strictEqual(stats.fwhm, 0);
+  assert.strictEqual(CRTCathode.spotStatistics([]), null);
+});
+
+test('a density weighting moves emission towards the favoured radii', () => {
+  const random = CRTCathode.createRandom(11);
+  const cathode = {temperature: 1100, radius: 1e-3, density: r => (r < 0.5e-3 ? 1 : 0)};
+  for (let i = 0; i < 200; i++) {
+    const e = CRTCathode.sampleEmission(cathode, random);
+    assert.ok(Math.hypot(e.y, e.z) < 0.5e-3);
+  }
+});
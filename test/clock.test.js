@@ -0,0 +1,51 @@
+// Tests for the simulation clock and flight playback. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTPhysics = require('../physics.js');
+const CRTClock = require('../clock.js');
+
+const geometry = CRTPhysics.DEFAULT_GEOMETRY;
+
+test('the clock stops while paused but still single-steps', () => {
+  const clock = CRTClock.createClock();
+  assert.strictEqual(CRTClock.tick(clock, 0.02), 0.02);
+  assert.strictEqual(CRTClock.tick(clock, 5), 0.1, 'a long gap between frames counts as one short frame');
+  clock.paused = true;
+  assert.strictEqual(CRTClock.tick(clock, 0.02), 0);
+  assert.strictEqual(CRTClock.step(clock), CRTClock.STEP_SECONDS);
+  assert.ok(Math.abs(clock.time - (0.12 + CRTClock.STEP_SECONDS)) < 1e-12);
+  assert.strictEqual(CRTClock.step(clock, 1 / 24), 1 / 24);
+});
+
+test('a flight plays the real transit time at the slow-motion rate', () => {
+  const track = CRTPhysics.computeTrack(geometry, {V_acc: 2000, V_plate: 20});
+  const samples = track.samples;
+  const flight = CRTClock.createFlight([track]);
+  assert.ok(Math.abs(flight.duration - (samples[samples.length - 1].t - samples[0].t)) < 1e-18);
+  assert.ok(flight.duration > 10e-9 && flight.duration < 30e-9, `${flight.duration} s`);
+  const display = flight.duration / CRTClock.DEFAULT_RATE;
+  assert.strictEqual(CRTClock.advanceFlight(flight, display / 2, CRTClock.DEFAULT_RATE), false);
+  assert.ok(Math.abs(flight.t - flight.duration / 2) < 1e-18);
+  assert.strictEqual(CRTClock.advanceFlight(flight, display, CRTClock.DEFAULT_RATE), true);
+  assert.strictEqual(flight.t, flight.duration);
+  // scrubbing back and replaying does not arrive a second time
+  CRTClock.seekFlight(flight, -1);
+  assert.strictEqual(flight.t, 0);
+  assert.strictEqual(CRTClock.seekFlight(flight, flight.duration), false);
+});
+
+test('samples are interpolated at a moment of the flight and held at the ends', () => {
+  const track = CRTPhysics.computeTrack(geometry, {V_acc: 2000, V_plate: 20});
+  const samples = track.samples;
+  const mid = samples[Math.floor(samples.length / 2)];
+  const next = samples[Math.floor(samples.length / 2) + 1];
+  const t = (mid.t + next.t) / 2 - samples[0].t;
+  const s = CRTClock.sampleAt(samples, t);
+  assert.strictEqual(s.t, t);
+  assert.ok(Math.abs(s.x - (mid.x + next.x) / 2) < 1e-12);
+  assert.ok(Math.abs(s.vy - (mid.vy + next.vy) / 2) < 1e-6);
+  assert.strictEqual(CRTClock.sampleAt(samples, -1).x, samples[0].x);
+  const end = CRTClock.sampleAt(samples, 1);
+  assert.strictEqual(end.x, samples[samples.length - 1].x);
+  assert.ok(Math.abs(end.t - (samples[samples.length - 1].t - samples[0].t)) < 1e-18);
+});
@@ -0,0 +1,55 @@
+// Tests for the experiment records and CSV output. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTPhysics = require('../physics.js');
+const CRTExperiment = require('../experiment.js');
+
+const geometry = CRTPhysics.DEFAULT_GEOMETRY;
+
+test('grid points cover every combination with the first axis slowest', () => {
+  const points = CRTExperiment.gridPoints([{parameter: 'V_acc', values: [1000, 2000]}, {parameter: 'V_plate', values: [-10, 0, 10]}]);
+  assert.strictEqual(points.length, 6);
+  assert.deepStrictEqual(points[0], {V_acc: 1000, V_plate: -10});
+  assert.deepStrictEqual(points[5], {V_acc: 2000, V_plate: 10});
+  assert.deepStrictEqual(CRTExperiment.gridPoints([]), [{}]);
+});
+
+test('a shot record carries the hit, plate exit velocities and times of its track', () => {
+  const params = {V_acc: 2000, V_plate: 30, V_hplate: -20};
+  const track = CRTPhysics.computeTrack(geometry, params);
+  const record = CRTExperiment.shotRecord(geometry, params, track, {run: 3, electron: 0}, {i: 160, j: 120});
+  assert.strictEqual(record.run, 3);
+  assert.deepStrictEqual([record.charge_C, record.mass_kg], [-CRTPhysics.E_CHARGE, CRTPhysics.E_MASS]);
+  assert.strictEqual(record.blocked, '');
+  assert.strictEqual(record.hit_sy_m, track.y_screen_m - geometry.height_m / 2);
+  assert.ok(record.hit_sx_m < 0 && record.hit_sy_m > 0);
+  assert.strictEqual(record.hit_i_px, 160);
+  assert.ok(Math.abs(record.y_exit_vy - track.v_exit_y) < 1e-6 * Math.abs(track.v_exit_y));
+  assert.ok(Math.abs(record.x_exit_vz - track.v_exit_z) < 1e-6 * Math.abs(track.v_exit_z));
+  assert.ok(record.y_exit_t_s < record.x_exit_t_s && record.x_exit_t_s < record.transit_s);
+  assert.strictEqual(record.path.length, track.samples.length);
+  assert.strictEqual(record.path[0].t, 0);
+
+  const clipped = CRTPhysics.computeTrack(geometry, {V_acc: 2000, V_plate: 150});
+  const lost = CRTExperiment.shotRecord(geometry, {V_acc: 2000, V_plate: 150}, clipped, {run: 0, electron: 0});
+  assert.strictEqual(lost.blocked, 'Y plates');
+  assert.strictEqual(lost.hit_sy_m, null);
+  assert.strictEqual(lost.x_exit_vx, null);
+  assert.strictEqual(lost.transit_s, null);
+  assert.ok(lost.end_x_m < geometry.plate_x_m + geometry.plate_length_m);
+});
+
+test('CSV output has one row per shot or per path sample', () => {
+  const params = {V_acc: 2000, V_plate: 10};
+  const track = CRTPhysics.computeTrack(geometry, params);
+  const records = [0, 1].map(electron => CRTExperiment.shotRecord(geometry, params, track, {run: 0, electron}));
+  const shots = CRTExperiment.shotsToCSV(records).trim().split('\n');
+  assert.strictEqual(shots.length, 3);
+  assert.ok(shots[0].startsWith('run,electron,V_acc,V_plate'));
+  assert.ok(!shots[0].includes('path'));
+  assert.strictEqual(shots[1].split(',').length, shots[0].split(',').length);
+  const paths = CRTExperiment.pathsToCSV(records).trim().split('\n');
+  assert.strictEqual(paths.length, 1 + 2 * track.samples.length);
+  assert.strictEqual(CRTExperiment.csvField('stopped by the "grid", early'), '"stopped by the ""grid"", early"');
+  assert.strictEqual(CRTExperiment.csvField(null), '');
+});
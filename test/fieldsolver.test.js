@@ -0,0 +1,79 @@
+// Tests for the finite-difference plate field solver. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTFieldSolver = require('../fieldsolver.js');
+const CRTPhysics = require('../physics.js');
+
+const plate = {start: 0.18, length: 0.06, spacing: 0.010};
+const map = CRTFieldSolver.solvePlatePair(plate);
+const axisRow = (map.nt - 1) / 2;
+
+test('the field between long plates is the uniform V/d', () => {
+  assert.ok(map.residual < 1e-9, `residual ${map.residual}`);
+  const middle = Math.round((plate.start + plate.length / 2 - map.x0) / map.hx);
+  const Et = map.Et[axisRow * map.nx + middle];
+  assert.ok(Math.abs(-Et * plate.spacing - 1) < 1e-4, `E d = ${-Et * plate.spacing}`);
+  // the potential is odd across the axis
+  for (let j = 0; j < map.nt; j++) {
+    const mirrored = map.phi[(map.nt - 1 - j) * map.nx + middle];
+    assert.ok(Math.abs(map.phi[j * map.nx + middle] + mirrored) < 1e-9);
+  }
+});
+
+test('fringing lengthens the plates and dies away within a few gap widths', () => {
+  let integral = 0;
+  for (let i = 0; i < map.nx; i++) integral += -map.Et[axisRow * map.nx + i] * map.hx;
+  // each end adds roughly half a gap width of effective plate length
+  const extension = (integral * plate.spacing - plate.length) / 2;
+  assert.ok(extension > 0.3 * plate.spacing && extension < 0.7 * plate.spacing, `extension ${extension}`);
+  const beyond = CRTPhysics.sampleFieldMap(map, plate.start + plate.length + 3 * plate.spacing, 0);
+  assert.ok(Math.abs(beyond[1] * plate.spacing) < 0.05, `field 3 d past the end ${beyond[1]}`);
+});
+
+test('equipotentials sit at their share of the gap between the plates', () => {
+  const xMid = plate.start + plate.length / 2;
+  const near = CRTFieldSolver.contourSegments(map, 0.25).filter(s => Math.abs(s[0] - xMid) < 0.005 && Math.abs(s[1]) < plate.spacing / 2);
+  assert.ok(near.length > 0);
+  near.forEach(s => assert.ok(Math.abs(s[1] - plate.spacing / 4) < 1e-6, `t = ${s[1]}`));
+});
+
+test('tracks through the solved field deflect more than through ideal plates of the same length', () => {
+  const geometry = CRTPhysics.DEFAULT_GEOMETRY;
+  const fieldMaps = CRTFieldSolver.solveGeometry(geometry);
+  const center = geometry.height_m / 2;
+  const params = {V_acc: 2000, V_plate: 40, V_hplate: 30};
+  const ideal = CRTPhysics.computeTrack(geometry, params);
+  const solved = CRTPhysics.computeTrack(geometry, params, {fieldMaps});
+  const ratioY = (solved.y_screen_m - center) / (ideal.y_screen_m - center);
+  const ratioZ = solved.z_screen_m / ideal.z_screen_m;
+  assert.ok(ratioY > 1 && ratioY < 1.35, `y ratio ${ratioY}`);
+  assert.ok(ratioZ > 1 && ratioZ < 1.35, `z ratio ${ratioZ}`);
+  assert.strictEqual(CRTPhysics.computeTrack(geometry, {V_acc: 2000, V_plate: 0}, {fieldMaps}).y_screen_m, center);
+});
+
+const gun = CRTFieldSolver.solveGun(CRTPhysics.DEFAULT_GEOMETRY.gun_x_m);
+
+test('the Wehnelt grid cuts the beam off beyond its cutoff bias', () => {
+  const cutoff = CRTPhysics.gridCutoffVoltage({V_acc: 2000}, gun);
+  assert.ok(cutoff < -50 && cutoff > -500, `cutoff ${cutoff}`);
+  const radius = gun.layout.gridAperture;
+  assert.strictEqual(CRTPhysics.cathodeEmission({V_acc: 2000, V_grid: cutoff - 1}, gun, radius).current, 0);
+  const open = CRTPhysics.cathodeEmission({V_acc: 2000, V_grid: 0}, gun, radius).current;
+  const dim = CRTPhysics.cathodeEmission({V_acc: 2000, V_grid: cutoff / 2}, gun, radius).current;
+  assert.ok(dim > 0 && dim < open, `currents ${dim} ${open}`);
+  const focus = gun.lens.focus.phi;
+  assert.ok(Math.min(...focus) >= 0 && Math.max(...focus) <= 1);
+});
+
+test('the focus electrode brings off-axis electrons back towards the axis on the screen', () => {
+  const geometry = CRTPhysics.DEFAULT_GEOMETRY;
+  const center = geometry.height_m / 2;
+  const landing = V_focus => {
+    const track = CRTPhysics.computeTrack(geometry, {V_acc: 2000, V_plate: 0, V_grid: -20, V_focus}, {gun, yOffset: 1e-4});
+    assert.strictEqual(track.blocked, null);
+    return Math.abs(track.y_screen_m - center);
+  };
+  assert.ok(landing(600) < landing(1000) / 5, `${landing(600)} vs ${landing(1000)}`);
+  const stopped = CRTPhysics.computeTrack(geometry, {V_acc: 2000, V_plate: 0, V_grid: -20, V_focus: 600}, {gun, yOffset: 4e-4});
+  assert.ok(stopped.blocked, 'electron far off axis passes the apertures');
+});
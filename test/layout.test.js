@@ -0,0 +1,29 @@
+// Tests for the split-pane view layout. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTLayout = require('../layout.js');
+
+test('the four panes tile the layout around the splitters', () => {
+  const layout = CRTLayout.createLayout(0.6, 0.5);
+  const width = 1006;
+  const height = 706;
+  const side = CRTLayout.paneRect(layout, 'side', width, height);
+  const view3d = CRTLayout.paneRect(layout, '3d', width, height);
+  const top = CRTLayout.paneRect(layout, 'top', width, height);
+  const screen = CRTLayout.paneRect(layout, 'screen', width, height);
+  assert.deepStrictEqual(side, {x: 0, y: 0, width: 600, height: 350});
+  assert.strictEqual(view3d.x, side.width + CRTLayout.GUTTER_PX);
+  assert.strictEqual(view3d.x + view3d.width, width);
+  assert.strictEqual(top.y, side.height + CRTLayout.GUTTER_PX);
+  assert.strictEqual(screen.y + screen.height, height);
+  assert.deepStrictEqual([top.width, screen.height], [side.width, top.height]);
+});
+
+test('dragging a splitter keeps both panes usable', () => {
+  assert.strictEqual(CRTLayout.splitFraction(503, 1006), 0.5);
+  const min = CRTLayout.MIN_PANE_PX / 1000;
+  assert.strictEqual(CRTLayout.splitFraction(-50, 1006), min);
+  assert.strictEqual(CRTLayout.splitFraction(5000, 1006), 1 - min);
+  assert.strictEqual(CRTLayout.splitFraction(10, 100), 0.5, 'a layout too small for two panes splits in half');
+  assert.strictEqual(CRTLayout.gridTracks(0.25), '0.25fr 6px 0.75fr');
+});
@@ -0,0 +1,81 @@
+// Tests for the lesson engine: lesson files, checks, hints and scoring. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTPhysics = require('../physics.js');
+const CRTLessons = require('../lessons.js');
+
+const geometry = CRTPhysics.DEFAULT_GEOMETRY;
+
+function lesson(steps) {
+  return CRTLessons.parseLesson({format: 'crt-lesson', version: 1, title: 'Test', steps});
+}
+
+test('lesson files are checked step by step and get their defaults', () => {
+  assert.throws(() => CRTLessons.parseLesson({steps: []}), /not a CRT lesson/);
+  assert.throws(() => CRTLessons.parseLesson({format: 'crt-lesson', version: 2, steps: []}), /version 2/);
+  assert.throws(() => lesson([]), /at least one step/);
+  assert.throws(() => lesson([{check: {type: 'hit'}}]), /step 1: a hit check needs a target/);
+  assert.throws(() => lesson([{check: {type: 'hit'}, target: {x: 0, y: 0, radius: 1}}, {check: {type: 'guess'}}]), /step 2: unknown check type "guess"/);
+  assert.throws(() => lesson([{check: {type: 'predict', quantity: 'colour', tolerance: 1}}]), /unknown quantity/);
+  const parsed = lesson([{check: {type: 'clip', axis: 'y', control: 'deflect-slider'}, setup: {'accel-slider': 500, bad: {}}, hints: ['a', 3]}]);
+  const step = parsed.steps[0];
+  assert.deepStrictEqual(step.setup, {'accel-slider': 500});
+  assert.deepStrictEqual(step.hints, ['a']);
+  assert.deepStrictEqual([step.title, step.points, step.check.tolerance, parsed.hintCost], ['Step 1', 10, 1, 2]);
+  for (const name of Object.keys(CRTLessons.LESSONS)) assert.doesNotThrow(() => CRTLessons.parseLesson(CRTLessons.LESSONS[name]), name);
+});
+
+test('steps lock the listed controls, or all but the unlocked ones', () => {
+  const ids = ['accel-slider', 'deflect-slider', 'hdeflect-slider'];
+  const parsed = lesson([
+    {check: {type: 'hit'}, target: {x: 0, y: 0, radius: 1}, locked: ['accel-slider']},
+    {check: {type: 'hit'}, target: {x: 0, y: 0, radius: 1}, locked: true, unlocked: ['deflect-slider']},
+  ]);
+  assert.deepStrictEqual(CRTLessons.lockedControls(parsed.steps[0], ids), ['accel-slider']);
+  assert.deepStrictEqual(CRTLessons.lockedControls(parsed.steps[1], ids), ['accel-slider', 'hdeflect-slider']);
+});
+
+test('shots and settings are checked against the simulation', () => {
+  const parsed = lesson([
+    {check: {type: 'hit'}, target: {x: 0, y: 15, radius: 2}, hints: ['one', 'two'], points: 10},
+    {check: {type: 'clip', axis: 'y', control: 'deflect-slider', tolerance: 1.5}},
+    {check: {type: 'predict', quantity: 'hit_y', tolerance: 1}},
+  ]);
+  const session = CRTLessons.createSession(parsed);
+  const controls = {'accel-slider': 2000, 'deflect-slider': 40};
+  assert.strictEqual(CRTLessons.checkStep(session, {controls, shot: null}).passed, false);
+  assert.match(CRTLessons.checkStep(session, {controls, shot: {hit: {x: 0, y: 0.010}}}).message, /missed the target by 5\.0 mm/);
+  assert.strictEqual(CRTLessons.takeHint(session), 'one');
+  assert.strictEqual(CRTLessons.nextStep(session), false, 'a step has to be passed first');
+  assert.ok(CRTLessons.checkStep(session, {controls, shot: {hit: {x: 0.001, y: 0.0155}}}).passed);
+  assert.deepStrictEqual(CRTLessons.sessionScore(session), {score: 8, max: 30, hints: 1});
+  assert.strictEqual(CRTLessons.nextStep(session), true);
+
+  // the beam starts clipping just beyond the traced limit
+  const limits = {y: CRTPhysics.deflectionLimits(geometry, {V_acc: 500}, 'y'), x: null};
+  const clip = V => CRTLessons.checkStep(session, {controls: {'deflect-slider': V}, shot: null, limits});
+  const above = Math.ceil(limits.y.max);
+  assert.match(clip(above - 1).message, /still clears/);
+  assert.match(clip(above + 5).message, /clips well before/);
+  assert.ok(clip(-above).passed);
+  CRTLessons.nextStep(session);
+
+  const shot = {hit: {x: 0, y: 0.0225}, blocked: null, transitTime: 2e-8, prediction: NaN};
+  assert.match(CRTLessons.checkStep(session, {controls, shot}).message, /before you fire/);
+  assert.ok(CRTLessons.checkStep(session, {controls, shot: Object.assign({}, shot, {prediction: 22})}).passed);
+  assert.strictEqual(CRTLessons.nextStep(session), false);
+  assert.strictEqual(session.finished, true);
+  assert.deepStrictEqual(CRTLessons.sessionScore(session), {score: 28, max: 30, hints: 1});
+});
+
+test('the built-in predict step hides every readout that gives the spot away', () => {
+  const steps = CRTLessons.parseLesson(CRTLessons.LESSONS['Steering the beam']).steps;
+  const predict = steps.find(step => step.check.type === 'predict');
+  assert.ok(predict.hidePreview);
+  // the hit itself, the readouts measured from it and those it can be worked out from
+  const derived = ['hit-x', 'hit-y', 'hit-px', 'rel-diff', 'fringe-shift', 'crossed-balance', 'ay', 'sensitivity-readout'];
+  for (const id of derived) {
+    assert.ok(predict.hidden.includes(id), `${id} is hidden`);
+    assert.ok(CRTLessons.PREVIEW_READOUTS.includes(id), `${id} is blanked`);
+  }
+});
@@ -0,0 +1,61 @@
+// Tests for the phosphor screen model. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTPhosphor = require('../phosphor.js');
+
+test('power-law afterglow is reproduced by its sum of exponentials', () => {
+  for (const type of ['P4', 'P7', 'P31']) {
+    const decay = CRTPhosphor.PHOSPHORS[type].components[1].decay;
+    const terms = CRTPhosphor.expandDecay(decay);
+    for (const multiple of [0, 0.3, 1, 3, 10, 30, 100]) {
+      const t = multiple * decay.t0;
+      const approx = terms.reduce((sum, term) => sum + term.amplitude * Math.exp(-t / term.tau), 0);
+      const exact = CRTPhosphor.decayValue(decay, t);
+      assert.ok(Math.abs(approx / exact - 1) < 0.01, `${type} at ${multiple} t0: ${approx} vs ${exact}`);
+    }
+  }
+});
+
+test('an exponential phosphor re-emits all deposited energy on its time constant', () => {
+  const screen = CRTPhosphor.createScreen(3, 3, 'P1');
+  const tau = CRTPhosphor.PHOSPHORS.P1.components[0].decay.tau;
+  const dt = tau / 4;
+  CRTPhosphor.deposit(screen, 1, 1, 2e-6);
+  CRTPhosphor.advance(screen, dt);
+  const first = screen.light[0][4];
+  CRTPhosphor.advance(screen, dt);
+  const second = screen.light[0][4];
+  // deposited energy is spread over the first interval; what is left afterwards decays as exp(-t / tau)
+  const keep = Math.exp(-dt / tau);
+  const freshKeep = (tau / dt) * (1 - keep);
+  assert.ok(Math.abs(second / first - freshKeep * (1 - keep) / (1 - freshKeep)) < 1e-6, `ratio ${second / first}`);
+  let emitted = (first + second) * dt;
+  for (let i = 0; i < 400; i++) {
+    CRTPhosphor.advance(screen, dt);
+    emitted += screen.light[0][4] * dt;
+  }
+  assert.ok(Math.abs(emitted / 2e-6 - 1) < 1e-6, `emitted ${emitted}`);
+  assert.strictEqual(screen.light[0][0], 0);
+});
+
+test('long-persistence P7 keeps glowing after the flash and repeated hits saturate', () => {
+  const screen = CRTPhosphor.createScreen(2, 1, 'P7');
+  CRTPhosphor.deposit(screen, 0, 0, 1e-6);
+  const flash = CRTPhosphor.advance(screen, 1 / 60);
+  for (let i = 0; i < 59; i++) CRTPhosphor.advance(screen, 1 / 60);
+  const afterOneSecond = CRTPhosphor.advance(screen, 1 / 60);
+  assert.ok(afterOneSecond > 0 && afterOneSecond < 0.05 * flash, `flash ${flash}, after 1 s ${afterOneSecond}`);
+
+  const rgba = new Uint8ClampedArray(8);
+  const exposure = 1 / flash;
+  const brightness = () => CRTPhosphor.toRGBA(screen, exposure, [0, 0, 0], rgba)[1];
+  CRTPhosphor.clear(screen);
+  CRTPhosphor.deposit(screen, 0, 0, 1e-6);
+  CRTPhosphor.advance(screen, 1 / 60);
+  const once = brightness();
+  CRTPhosphor.deposit(screen, 0, 0, 1e-5);
+  CRTPhosphor.advance(screen, 1 / 60);
+  const many = brightness();
+  assert.ok(many > once && many > 250, `once ${once}, many ${many}`);
+  assert.strictEqual(rgba[4], 0);
+});
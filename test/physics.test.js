@@ -0,0 +1,355 @@
+// Regression tests for the DOM-free physics core. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTPhysics = require('../physics.js');
+
+const {DEFAULT_GEOMETRY, E_CHARGE, E_MASS} = CRTPhysics;
+
+function assertClose(actual, expected, relTol, msg) {
+  const tol = Math.abs(expected) * relTol;
+  assert.ok(Math.abs(actual - expected) <= tol, `${msg}: expected ${expected}, got ${actual}`);
+}
+
+// Error in a track's hit that pushParticle's error control allows, relative to the deflection `deflection` (m) made by
+// a field between x = `from` and `to`. A step may end up to LANDING_TOLERANCE of its length past either edge, so the
+// field acts over that much too long or too short a stretch there. Every step inside the field may be off by
+// STEP_TOLERANCE in position (of the tube width, the lengthScale computeTrack uses) and in direction, of which step
+// doubling keeps about 1 / 15 for RK4 (order 4); the Boris push is exact in a uniform field, so for it only the edges count.
+function fieldStepBound(track, geometry, from, to, deflection, method) {
+  const {STEP_TOLERANCE, LANDING_TOLERANCE} = CRTPhysics;
+  const samples = track.samples;
+  // a deflection is the field's kick per unit length times its moment about the screen
+  const moment = (to - from) * (geometry.screen_x_m - (from + to) / 2);
+  let bound = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const a = samples[i - 1];
+    const b = samples[i];
+    const toScreen = geometry.screen_x_m - b.x;
+    if ((a.x < from && b.x >= from) || (a.x < to && b.x >= to)) bound += LANDING_TOLERANCE * (b.x - a.x) * toScreen / moment;
+    if (method === 'rk4' && b.x > from && a.x < to) {
+      bound += STEP_TOLERANCE * (geometry.width_m + toScreen) / 15 / Math.abs(deflection);
+    }
+  }
+  return bound;
+}
+
+test('zero deflection hits the centerline', () => {
+  const center = DEFAULT_GEOMETRY.height_m / 2;
+  for (const params of [
+    {V_acc: 2000, V_plate: 0},
+    {V_acc: 20000, V_plate: 0, isRel: true},
+    {V_acc: 2000, V_plate: 0, V_hplate: 0, I_coil: 0},
+  ]) {
+    const track = CRTPhysics.computeTrack(DEFAULT_GEOMETRY, params);
+    assert.strictEqual(track.y_screen_m, center);
+    assert.ok(track.path.every(p => p.y === center));
+  }
+});
+
+test('plate deflection matches y = (L Vp / (2 d Va)) (L/2 + D)', () => {
+  const geometry = Object.assign({}, DEFAULT_GEOMETRY, {plate_length_m: 0.08, plate_spacing_m: 0.012});
+  const L = geometry.plate_length_m;
+  const d = geometry.plate_spacing_m;
+  const D = geometry.screen_x_m - (geometry.plate_x_m + L);
+  for (const method of ['boris', 'rk4']) {
+    for (const [V_acc, V_plate] of [[1000, 20], [2000, -35], [3000, 60]]) {
+      const track = CRTPhysics.computeTrack(geometry, {V_acc, V_plate, method});
+      const expected = (L * V_plate / (2 * d * V_acc)) * (L / 2 + D);
+      const bound = fieldStepBound(track, geometry, geometry.plate_x_m, geometry.plate_x_m + L, expected, method);
+      assertClose(track.y_screen_m - geometry.height_m / 2, expected, bound, `${method} V_acc=${V_acc} V_plate=${V_plate}`);
+      // past the plates there is no field, and both integrators follow the straight drift exactly
+      const samples = track.samples;
+      const exit = samples.find(s => s.x >= geometry.plate_x_m + L);
+      const last = samples[samples.length - 1];
+      const drift = exit.y + exit.vy / exit.vx * (last.x - exit.x);
+      assertClose(last.y - geometry.height_m / 2, drift - geometry.height_m / 2, 1e-9, `${method} drift V_acc=${V_acc}`);
+    }
+  }
+});
+
+test('horizontal plates deflect along -z independently of the vertical plates', () => {
+  const geometry = DEFAULT_GEOMETRY;
+  const L = geometry.hplate_length_m;
+  const d = geometry.hplate_spacing_m;
+  const D = geometry.screen_x_m - (geometry.hplate_x_m + L);
+  const V_acc = 2000;
+  const both = CRTPhysics.computeTrack(geometry, {V_acc, V_plate: 30, V_hplate: 50});
+  const yOnly = CRTPhysics.computeTrack(geometry, {V_acc, V_plate: 30});
+  // a positive X-plate voltage moves the spot to the viewer's right, which is -z
+  assertClose(both.z_screen_m, -(L * 50 / (2 * d * V_acc)) * (L / 2 + D), 1e-6, 'z offset');
+  assertClose(both.y_screen_m, yOnly.y_screen_m, 1e-9, 'y unaffected');
+  assert.strictEqual(yOnly.z_screen_m, 0);
+});
+
+test('an electron passing a plate pair beside the plates is not deflected by it', () => {
+  const geometry = DEFAULT_GEOMETRY;
+  const center = geometry.height_m / 2;
+  const aside = 1.5 * geometry.plate_width_m / 2;
+  const params = {V_acc: 2000, V_plate: 30, V_hplate: 40};
+  // beside the Y plates (off along z) only the X plates act, and above the X plates only the Y plates
+  const besideY = CRTPhysics.computeTrack(geometry, params, {zOffset: aside});
+  assert.strictEqual(besideY.y_screen_m, center);
+  assert.ok(besideY.z_screen_m < aside);
+  const aboveX = CRTPhysics.computeTrack(geometry, params, {yOffset: aside});
+  assert.strictEqual(aboveX.z_screen_m, 0);
+  assert.ok(aboveX.y_screen_m > center + aside);
+});
+
+test('the probe fields and potential are those the tracks are pushed through', () => {
+  const geometry = DEFAULT_GEOMETRY;
+  const axis = geometry.height_m / 2;
+  const params = {V_acc: 2000, V_plate: 40, V_hplate: -30};
+  const x = geometry.plate_x_m + geometry.plate_length_m / 2;
+  const fields = CRTPhysics.trackFields(geometry, params);
+  assert.deepStrictEqual(fields(x, axis + 1e-3, 0, 0), CRTPhysics.plateFields(geometry, params)(x, axis + 1e-3, 0, 0));
+  // the top plate is V_plate above the bottom one, and both sit either side of the anode potential
+  const d = geometry.plate_spacing_m;
+  assertClose(CRTPhysics.potentialAt(geometry, params, {}, x, axis + d / 4, 0), 2000 + 10, 1e-12, 'towards the top plate');
+  assertClose(CRTPhysics.potentialAt(geometry, params, {}, x, axis - d / 4, 0), 2000 - 10, 1e-12, 'towards the bottom plate');
+  const hx = geometry.hplate_x_m + geometry.hplate_length_m / 2;
+  assertClose(CRTPhysics.potentialAt(geometry, params, {}, hx, axis, -geometry.hplate_spacing_m / 4), 2000 - 7.5, 1e-12, 'towards the right-hand X plate');
+  assert.strictEqual(CRTPhysics.potentialAt(geometry, params, {}, geometry.screen_x_m - 0.01, axis, 0), 2000);
+});
+
+test('beam cross-sections give the centroid and the ellipse of the spread', () => {
+  const line = (y, z, slope) => [0, 1].map(x => ({x, y: y + slope * x, z}));
+  const stations = [0.25, 0.5, 2];
+  const crossings = [line(1, 0, 0), line(-1, 0, 0), line(0, 2, 1), line(0, -2, 1)].map(s => CRTPhysics.trackCrossings(s, stations));
+  assert.deepStrictEqual(crossings[2], [{y: 0.25, z: 2}, {y: 0.5, z: 2}, null]);
+  const sections = CRTPhysics.beamEnvelope(crossings, stations, 1);
+  assert.strictEqual(sections.length, 2, 'no section past the ends of the tracks');
+  const [first] = sections;
+  assert.deepStrictEqual([first.x, first.count, first.y, first.z], [0.25, 4, 0.125, 0]);
+  // z spreads most: the major axis lies along z
+  assertClose(first.a, Math.sqrt(2), 1e-12, 'major half-axis');
+  assertClose(Math.abs(first.angle), Math.PI / 2, 1e-12, 'major axis along z');
+  // electrons spread along y = z give a flat ellipse at 45 degrees
+  const diagonal = [[1, 1], [-1, -1]].map(([y, z]) => [{y, z}]);
+  const [tilted] = CRTPhysics.beamEnvelope(diagonal, [0]);
+  assertClose(tilted.a, 2 * Math.SQRT2, 1e-12, 'two-sigma half-axis');
+  assert.strictEqual(tilted.b, 0);
+  assertClose(tilted.angle, Math.PI / 4, 1e-12, 'tilt');
+});
+
+test('relativistic plate deflection is larger by 2 gamma / (gamma + 1)', () => {
+  const V_acc = 25000;
+  const gamma = CRTPhysics.computeLorentzFactor(V_acc);
+  const center = DEFAULT_GEOMETRY.height_m / 2;
+  const V_plate = 100;
+  const {plate_x_m, plate_length_m, plate_spacing_m} = DEFAULT_GEOMETRY;
+  const classical = CRTPhysics.computeTrack(DEFAULT_GEOMETRY, {V_acc, V_plate});
+  const relativistic = CRTPhysics.computeTrack(DEFAULT_GEOMETRY, {V_acc, V_plate, isRel: true});
+  const yClassical = classical.y_screen_m - center;
+  const yRelativistic = relativistic.y_screen_m - center;
+  // 2 gamma / (gamma + 1) holds for small deflections: an electron y off the axis has gained V_plate y / d of energy,
+  // which bends the relativistic track less than the classical one by about (gamma - 1) / 2 of that fraction of V_acc
+  const yExit = CRTPhysics.interpolateAtX(relativistic.samples, plate_x_m + plate_length_m).y - center;
+  const bound = (gamma - 1) / 2 * V_plate * Math.abs(yExit) / (plate_spacing_m * V_acc)
+    + fieldStepBound(classical, DEFAULT_GEOMETRY, plate_x_m, plate_x_m + plate_length_m, yClassical, 'boris')
+    + fieldStepBound(relativistic, DEFAULT_GEOMETRY, plate_x_m, plate_x_m + plate_length_m, yRelativistic, 'boris');
+  assertClose(yRelativistic / yClassical, 2 * gamma / (gamma + 1), bound, 'deflection ratio');
+});
+
+test('magnetic deflection matches the closed-form circular arc', () => {
+  // a uniform B_z over the length of the plates and nowhere else
+  const geometry = DEFAULT_GEOMETRY;
+  const L = geometry.plate_length_m;
+  const x1 = geometry.plate_x_m;
+  const D = geometry.screen_x_m - (x1 + L);
+  const v = CRTPhysics.computeInitialSpeed(2000);
+  for (const method of ['boris', 'rk4']) {
+    for (const B of [1e-4, -2e-4]) {
+      const result = CRTPhysics.pushParticle({
+        fields: x => ({E: [0, 0, 0], B: [0, 0, x >= x1 && x < x1 + L ? B : 0]}),
+        position: [geometry.gun_x_m, 0, 0],
+        velocity: [v, 0, 0],
+        method,
+        lengthScale: geometry.width_m,
+        maxStepLength: L / 10,
+        edges: [s => s.x - x1, s => s.x - (x1 + L)],
+        boundaries: [{name: 'screen', f: s => s.x - geometry.screen_x_m}],
+      });
+      // the last step ends just past the screen; follow it back to the screen plane
+      const last = result.samples[result.samples.length - 1];
+      const y = last.y - last.vy / last.vx * (last.x - geometry.screen_x_m);
+      // radius R = m v / (e B); exit angle sin(theta) = L / R, sagitta R (1 - cos theta), then a straight drift
+      const R = E_MASS * v / (E_CHARGE * Math.abs(B));
+      const theta = Math.asin(L / R);
+      // electrons (negative charge) bend towards +y for B_z > 0
+      const expected = Math.sign(B) * (R * (1 - Math.cos(theta)) + D * Math.tan(theta));
+      assertClose(y, expected, 1e-5, `${method} B=${B}`);
+    }
+  }
+});
+
+test('the charge and mass of the particle set the direction and size of the deflection', () => {
+  const {PARTICLES} = CRTPhysics;
+  const axisY = DEFAULT_GEOMETRY.height_m / 2;
+  const hit = (particle, params) => CRTPhysics.computeTrack(DEFAULT_GEOMETRY, Object.assign({V_acc: 2000, V_plate: 0, particle}, params)).y_screen_m - axisY;
+  // a positive top plate pulls electrons up and pushes positive particles down
+  assert.ok(CRTPhysics.computePlateVerticalAccel(10) > 0);
+  assert.ok(CRTPhysics.computePlateVerticalAccel(10, DEFAULT_GEOMETRY, 1, PARTICLES.positron) < 0);
+  const electron = hit(PARTICLES.electron, {V_plate: 20});
+  assert.ok(electron > 0);
+  assertClose(hit(PARTICLES.positron, {V_plate: 20}), -electron, 1e-9, 'positron');
+  assertClose(hit(undefined, {V_plate: 20}), electron, 1e-12, 'electron by default');
+  // every species leaves the gun with |q| V_acc, so the plates deflect all of them alike but for the sign
+  assertClose(hit(PARTICLES.proton, {V_plate: 20}), -electron, 1e-6, 'proton');
+  assertClose(hit(PARTICLES.alpha, {V_plate: 20}), -electron, 1e-6, 'alpha');
+  assertClose(hit(PARTICLES.muon, {V_plate: 20}), electron, 1e-6, 'muon');
+  // a magnetic deflection goes as sqrt(q/m): a proton is bent sqrt(m_p / m_e) times less than a positron
+  const coil = particle => hit(particle, {I_coil: 0.01});
+  assertClose(coil(PARTICLES.positron), -coil(PARTICLES.electron), 1e-9, 'positron in the coils');
+  assertClose(coil(PARTICLES.proton) / coil(PARTICLES.positron), Math.sqrt(E_MASS / PARTICLES.proton.mass), 1e-3, 'proton in the coils');
+  // the anode of a positive species' gun is at -V_acc
+  const probe = (particle, x) => CRTPhysics.potentialAt(DEFAULT_GEOMETRY, {V_acc: 2000, V_plate: 0, particle}, {}, x, axisY, 0);
+  assert.strictEqual(probe(PARTICLES.electron, 0.3), 2000);
+  assert.strictEqual(probe(PARTICLES.proton, 0.3), -2000);
+});
+
+test('coil field matches the Helmholtz closed form and a direct Biot-Savart sum', () => {
+  const geometry = DEFAULT_GEOMETRY;
+  const a = geometry.coil_radius_m;
+  const NI = geometry.coil_turns * 0.2;
+  const axisY = geometry.height_m / 2;
+  // center of a Helmholtz pair: B = (4/5)^(3/2) mu0 N I / a along the common axis
+  const center = CRTPhysics.coilField(geometry, 0.2, geometry.coil_x_m, axisY, 0);
+  assertClose(center[2], Math.pow(0.8, 1.5) * CRTPhysics.MU_0 * NI / a, 1e-9, 'center field');
+  assert.ok(Math.abs(center[0]) < 1e-15 && Math.abs(center[1]) < 1e-15);
+  // off-axis point, outside the coils: sum dB = mu0 NI / (4 pi) dl x r / r^3 around both loops
+  const point = [geometry.coil_x_m + 0.05, axisY + 0.01, 0.007];
+  const expected = [0, 0, 0];
+  const segments = 4000;
+  for (const zc of [a / 2, -a / 2]) {
+    for (let i = 0; i < segments; i++) {
+      const phi = 2 * Math.PI * (i + 0.5) / segments;
+      const dl = [-Math.sin(phi) * a * 2 * Math.PI / segments, Math.cos(phi) * a * 2 * Math.PI / segments, 0];
+      const r = [point[0] - geometry.coil_x_m - a * Math.cos(phi), point[1] - axisY - a * Math.sin(phi), point[2] - zc];
+      const r3 = Math.pow(Math.hypot(r[0], r[1], r[2]), 3);
+      const k = CRTPhysics.MU_0 * NI / (4 * Math.PI * r3);
+      expected[0] += k * (dl[1] * r[2] - dl[2] * r[1]);
+      expected[1] += k * (dl[2] * r[0] - dl[0] * r[2]);
+      expected[2] += k * (dl[0] * r[1] - dl[1] * r[0]);
+    }
+  }
+  const B = CRTPhysics.coilField(geometry, 0.2, ...point);
+  const scale = Math.hypot(...expected);
+  for (let c = 0; c < 3; c++) assert.ok(Math.abs(B[c] - expected[c]) < 1e-6 * scale, `component ${c}: ${B[c]} vs ${expected[c]}`);
+});
+
+test('coil deflection matches the small-angle field integral and adds to the plate deflection', () => {
+  const geometry = DEFAULT_GEOMETRY;
+  const V_acc = 2000;
+  const I_coil = 0.01;
+  const v = CRTPhysics.computeInitialSpeed(V_acc);
+  const axisY = geometry.height_m / 2;
+  // y = (e / m v) * integral of B_z(x) (X_screen - x) dx from the gun to the screen (Simpson's rule)
+  const x0 = geometry.gun_x_m;
+  const xs = geometry.screen_x_m;
+  const n = 2000;
+  let integral = 0;
+  for (let i = 0; i <= n; i++) {
+    const x = x0 + (xs - x0) * i / n;
+    const weight = i === 0 || i === n ? 1 : (i % 2 ? 4 : 2);
+    integral += weight * CRTPhysics.coilField(geometry, I_coil, x, axisY, 0)[2] * (xs - x);
+  }
+  integral *= (xs - x0) / (3 * n);
+  const expected = E_CHARGE / (E_MASS * v) * integral;
+  for (const method of ['boris', 'rk4']) {
+    const track = CRTPhysics.computeTrack(geometry, {V_acc, V_plate: 0, I_coil, method});
+    assertClose(track.y_screen_m - axisY, expected, 1e-3, method);
+    const reversed = CRTPhysics.computeTrack(geometry, {V_acc, V_plate: 0, I_coil: -I_coil, method});
+    assertClose(reversed.y_screen_m - axisY, -expected, 1e-3, `${method} reversed`);
+  }
+  // the coil field is independent of the plates, so small deflections add
+  const plateOnly = CRTPhysics.computeTrack(geometry, {V_acc, V_plate: 10}).y_screen_m - axisY;
+  const both = CRTPhysics.computeTrack(geometry, {V_acc, V_plate: 10, I_coil}).y_screen_m - axisY;
+  assertClose(both, plateOnly + expected, 2e-3, 'plates and coils together');
+});
+
+test('emission energy and angle launch the electron on a straight off-axis line', () => {
+  const geometry = DEFAULT_GEOMETRY;
+  const V_acc = 2000;
+  const emission = {energy: 0.2, theta: 0.6, phi: Math.PI / 3};
+  const track = CRTPhysics.computeTrack(geometry, {V_acc, V_plate: 0}, {yOffset: 1e-4, zOffset: -2e-4, emission});
+  // transverse speed from the emission energy; the forward speed takes the rest of e (V_acc + energy)
+  const vPerp = Math.sqrt(2 * E_CHARGE * emission.energy / E_MASS) * Math.sin(emission.theta);
+  const speed = CRTPhysics.computeInitialSpeed(V_acc + emission.energy);
+  const slope = vPerp / Math.sqrt(speed * speed - vPerp * vPerp);
+  const drift = geometry.screen_x_m - geometry.gun_x_m;
+  assertClose(track.y_screen_m - geometry.height_m / 2, 1e-4 + slope * Math.cos(emission.phi) * drift, 1e-9, 'y');
+  assertClose(track.z_screen_m, -2e-4 + slope * Math.sin(emission.phi) * drift, 1e-9, 'z');
+  // zero emission energy is the ideal on-axis electron
+  const cold = CRTPhysics.computeTrack(geometry, {V_acc, V_plate: 30}, {emission: {energy: 0, theta: 1, phi: 0}});
+  assert.strictEqual(cold.y_screen_m, CRTPhysics.computeTrack(geometry, {V_acc, V_plate: 30}).y_screen_m);
+});
+
+test('electrons driven into a plate end their track on its inner face', () => {
+  const {plate_spacing_m: d, plate_length_m: L} = DEFAULT_GEOMETRY;
+  const center = DEFAULT_GEOMETRY.height_m / 2;
+  // the spot leaves the plates at y = L^2 Vp / (4 d Va), so the beam touches a plate at Vp = 2 d^2 Va / L^2
+  const limit = 2 * d * d * 2000 / (L * L);
+  const clipped = CRTPhysics.computeTrack(DEFAULT_GEOMETRY, {V_acc: 2000, V_plate: 1.1 * limit});
+  assert.strictEqual(clipped.blocked, 'Y plates');
+  assertClose(clipped.y_screen_m - center, d / 2, 1e-6, 'impact height');
+  const end = clipped.path[clipped.path.length - 1];
+  assert.ok(end.x > DEFAULT_GEOMETRY.plate_x_m && end.x < DEFAULT_GEOMETRY.plate_x_m + L);
+  assert.strictEqual(CRTPhysics.computeTrack(DEFAULT_GEOMETRY, {V_acc: 2000, V_plate: 0.95 * limit}).blocked, null);
+  const range = CRTPhysics.deflectionLimits(DEFAULT_GEOMETRY, {V_acc: 2000}, 'y');
+  assertClose(range.max, limit, 0.01, 'largest clear voltage');
+  assertClose(range.min, -limit, 0.01, 'most negative clear voltage');
+});
+
+test('a beam bent out of the tube is stopped by the glass envelope', () => {
+  const track = CRTPhysics.computeTrack(DEFAULT_GEOMETRY, {V_acc: 2000, V_plate: 0, I_coil: 1.5});
+  assert.strictEqual(track.blocked, 'wall');
+  const radius = track.y_screen_m - DEFAULT_GEOMETRY.height_m / 2;
+  assertClose(radius, CRTPhysics.envelopeRadius(DEFAULT_GEOMETRY, track.x_screen_m), 1e-6, 'impact radius');
+  assert.ok(track.x_screen_m > DEFAULT_GEOMETRY.funnel_x_m && track.x_screen_m < DEFAULT_GEOMETRY.screen_x_m);
+});
+
+test('a curved screen is met on its spherical face, nearer the gun off axis', () => {
+  const curved = Object.assign({}, DEFAULT_GEOMETRY, {screen_radius_m: 0.3});
+  const center = DEFAULT_GEOMETRY.height_m / 2;
+  const onAxis = CRTPhysics.computeTrack(curved, {V_acc: 2000, V_plate: 0});
+  assertClose(onAxis.x_screen_m, curved.screen_x_m, 1e-6, 'axial hit');
+  const flat = CRTPhysics.computeTrack(DEFAULT_GEOMETRY, {V_acc: 2000, V_plate: 60});
+  const track = CRTPhysics.computeTrack(curved, {V_acc: 2000, V_plate: 60});
+  assert.strictEqual(track.blocked, null);
+  const r = track.y_screen_m - center;
+  assertClose(Math.hypot(track.x_screen_m - (curved.screen_x_m - 0.3), r), 0.3, 1e-6, 'distance from the center of curvature');
+  assert.ok(track.x_screen_m < curved.screen_x_m && r > 0 && r < flat.y_screen_m - center);
+});
+
+test('pushParticle conserves speed in a pure magnetic field', () => {
+  const v = 2e7;
+  for (const method of ['boris', 'rk4']) {
+    const result = CRTPhysics.pushParticle({
+      fields: () => ({E: [0, 0, 0], B: [0, 0, 2e-3]}),
+      position: [0, 0, 0],
+      velocity: [v, 0, 0],
+      method,
+      lengthScale: 0.1,
+      boundaries: [{name: 'time', f: s => s.t - 1e-8}],
+    });
+    const last = result.samples[result.samples.length - 1];
+    assert.strictEqual(result.boundary, 'time');
+    assertClose(Math.hypot(last.vx, last.vy, last.vz), v, 1e-6, `${method} speed`);
+    assert.ok(result.energyError < 1e-6, `${method} energy error ${result.energyError}`);
+  }
+});
+
+test('pushParticle tracks energy gained from an electric field', () => {
+  // an electron released from rest in E = -1e4 V/m along x gains e E x of kinetic energy
+  const result = CRTPhysics.pushParticle({
+    fields: () => ({E: [-1e4, 0, 0], B: [0, 0, 0]}),
+    position: [0, 0, 0],
+    velocity: [1, 0, 0],
+    method: 'rk4',
+    lengthScale: 0.1,
+    boundaries: [{name: 'end', f: s => s.x - 0.05}],
+  });
+  const last = result.samples[result.samples.length - 1];
+  assertClose(0.5 * E_MASS * last.vx * last.vx, E_CHARGE * 1e4 * 0.05, 1e-6, 'kinetic energy');
+  assert.ok(result.energyError < 1e-6);
+});
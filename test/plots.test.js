@@ -0,0 +1,64 @@
+// Tests for the phase-space and energy plots. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTPhysics = require('../physics.js');
+const CRTPlots = require('../plots.js');
+
+const geometry = CRTPhysics.DEFAULT_GEOMETRY;
+const context = {axisY: geometry.height_m / 2, relativistic: false};
+
+function assertClose(actual, expected, tol, msg) {
+  assert.ok(Math.abs(actual - expected) <= tol, `${msg}: expected ${expected}, got ${actual}`);
+}
+
+test('an electron reaches the screen with the energy of the accelerating voltage', () => {
+  for (const isRel of [false, true]) {
+    const samples = CRTPhysics.computeTrack(geometry, {V_acc: 20000, V_plate: 0, isRel}).samples;
+    const energy = CRTPlots.kineticEnergy(samples[samples.length - 1], isRel);
+    assertClose(energy, 20000, 20000 * 1e-3, isRel ? 'relativistic' : 'classical');
+  }
+});
+
+test('a track is cut at the moment shown and thinned', () => {
+  const samples = CRTPhysics.computeTrack(geometry, {V_acc: 2000, V_plate: 20}).samples;
+  const duration = samples[samples.length - 1].t - samples[0].t;
+  const half = CRTPlots.trackUntil(samples, duration / 2, 20);
+  assert.ok(half.length <= 21, `${half.length} points`);
+  assert.strictEqual(half[0].t, 0);
+  assert.strictEqual(half[half.length - 1].t, duration / 2);
+  assert.ok(half.every((s, i) => i === 0 || s.t > half[i - 1].t));
+  assert.strictEqual(CRTPlots.trackUntil(samples, Infinity, 1e6).length, samples.length + 1);
+});
+
+test('the emittance stays the same while the beam drifts', () => {
+  const vx = 2.6e7;
+  const start = [[-1e-3, -2e4], [0.5e-3, 1e4], [1e-3, 3e4], [-0.2e-3, -1e4]].map(([y, vy]) => ({y, vx, vy}));
+  const drifted = start.map(s => ({y: s.y + s.vy / vx * 0.1, vx, vy: s.vy}));
+  const before = CRTPlots.beamSpread(start);
+  const after = CRTPlots.beamSpread(drifted);
+  assert.ok(before.emittance > 0);
+  assertClose(after.emittance, before.emittance, before.emittance * 1e-9, 'emittance');
+  assert.ok(after.yy > before.yy, 'the beam grows as it drifts');
+  assert.strictEqual(CRTPlots.beamSpread(start.slice(0, 1)), null);
+  // every point of the drawn ellipse is one standard deviation out
+  const {yy, vv, yv} = before;
+  const det = yy * vv - yv * yv;
+  for (const p of CRTPlots.covarianceEllipse(0, 0, yy, vv, yv, 12)) {
+    assertClose((vv * p.x * p.x - 2 * yv * p.x * p.y + yy * p.y * p.y) / det, 1, 1e-9, 'ellipse');
+  }
+});
+
+test('the panel draws four plots with the beam ellipse and saves as SVG', () => {
+  const tracks = [-10, 0, 10].map(V_plate => CRTPhysics.computeTrack(geometry, {V_acc: 2000, V_plate}).samples);
+  const panel = CRTPlots.plotPanel(tracks, 5e-9, context, 640, 420, true);
+  const texts = panel.primitives.filter(p => p.type === 'text').map(p => p.text);
+  for (const plot of CRTPlots.PLOTS) assert.ok(texts.includes(plot.title), plot.title);
+  assert.strictEqual(panel.primitives.filter(p => p.type === 'dot').length, 3 * CRTPlots.PLOTS.length);
+  assert.strictEqual(panel.spread.count, 3);
+  assert.ok(panel.primitives.some(p => p.type === 'line' && p.dash), 'ellipse');
+  assert.strictEqual(CRTPlots.plotPanel(tracks.slice(0, 1), Infinity, context, 640, 420).spread, null);
+  const svg = CRTPlots.toSVG(panel.primitives.concat({type: 'text', x: 0, y: 0, text: 'a < b', fill: '#fff', align: 'left'}), 640, 420);
+  assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="640" height="420"'));
+  assert.ok(svg.includes('<polyline') && svg.includes('stroke-dasharray="4 3"'));
+  assert.ok(svg.includes('>a &lt; b</text>'));
+});
@@ -0,0 +1,53 @@
+// Tests for the side view's zoom, probe and measuring tools. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTProbe = require('../probe.js');
+
+const extent = {width: 0.5, height: 0.25};
+const size = {width: 900, height: 400};
+
+function assertClose(actual, expected, tol, msg) {
+  assert.ok(Math.abs(actual - expected) <= tol, `${msg}: expected ${expected}, got ${actual}`);
+}
+
+test('zoom 1 fills the canvas, stretched or at one scale, and zooming keeps the point under the cursor', () => {
+  const view = CRTProbe.createView(extent);
+  const stretched = CRTProbe.viewTransform(view, size, extent);
+  assert.deepStrictEqual([stretched.pxPerMeterX, stretched.pxPerMeterY, stretched.originX, stretched.originY], [1800, 1600, 0, 0]);
+  const square = CRTProbe.viewTransform(view, size, extent, true);
+  assert.strictEqual(square.pxPerMeterX, square.pxPerMeterY);
+  // the tube is centered in the canvas
+  assertClose(CRTProbe.toPixels(square, 0.25, 0.125).x, 450, 1e-9, 'center');
+  const before = CRTProbe.toMeters(stretched, 300, 150);
+  CRTProbe.zoomAt(view, stretched, 8, 300, 150);
+  const zoomed = CRTProbe.viewTransform(view, size, extent);
+  const after = CRTProbe.toMeters(zoomed, 300, 150);
+  assertClose(after.x, before.x, 1e-12, 'x under the cursor');
+  assertClose(after.y, before.y, 1e-12, 'y under the cursor');
+  assert.strictEqual(zoomed.pxPerMeterX, 8 * 1800);
+  // panning stops at the end of the tube and zooming out stops at the whole tube
+  CRTProbe.pan(view, zoomed, 1e6, 0);
+  assert.strictEqual(CRTProbe.viewTransform(view, size, extent).originX, 0);
+  CRTProbe.zoomAt(view, zoomed, 1e-3, 0, 0);
+  assert.strictEqual(view.zoom, 1);
+});
+
+test('the nearest point of a track is interpolated in pixel distance', () => {
+  const transform = CRTProbe.viewTransform(CRTProbe.createView(extent), size, extent);
+  const samples = [{t: 0, x: 0.1, y: 0.1, z: 0, vx: 1, vy: 0, vz: 0}, {t: 2, x: 0.3, y: 0.1, z: 0.02, vx: 3, vy: 0, vz: 0}];
+  const p = CRTProbe.nearestPoint(samples, {x: 0.15, y: 0.11}, transform);
+  assertClose(p.x, 0.15, 1e-12, 'x');
+  assertClose(p.t, 0.5, 1e-12, 't');
+  assertClose(p.vx, 1.5, 1e-12, 'vx');
+  assertClose(p.distancePx, 0.01 * 1600, 1e-9, 'distance');
+  assert.strictEqual(CRTProbe.nearestPoint(samples, {x: 0.5, y: 0.1}, transform).x, 0.3);
+});
+
+test('rulers and angles are measured in meters', () => {
+  const ruler = CRTProbe.measure({x: 0.1, y: 0.1}, {x: 0.13, y: 0.14});
+  assertClose(ruler.length, 0.05, 1e-12, 'length');
+  assertClose(ruler.angle, Math.atan2(4, 3) * 180 / Math.PI, 1e-9, 'angle to the axis');
+  assertClose(CRTProbe.angleBetween({x: 0, y: 0}, {x: 1, y: 0}, {x: -1, y: 1}), 135, 1e-9, 'angle');
+  assert.strictEqual(CRTProbe.angleBetween({x: 0, y: 0}, {x: 0, y: 0}, {x: 1, y: 1}), 0);
+  assert.deepStrictEqual([0.0167, 0.033, 0.3, 0.00011].map(CRTProbe.tickStep), [0.02, 0.05, 0.5, 0.0002]);
+});
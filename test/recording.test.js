@@ -0,0 +1,40 @@
+// Tests for the frame plan and the ZIP archive of exported frames. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTRecording = require('../recording.js');
+
+test('frame plans keep the view aspect and sort by name', () => {
+  assert.strictEqual(CRTRecording.frameCount(2, 30), 60);
+  assert.strictEqual(CRTRecording.frameCount(0.001, 24), 1);
+  assert.deepStrictEqual(CRTRecording.frameSize(900, 400, 1920), {width: 1920, height: 854});
+  assert.strictEqual(CRTRecording.frameName('crt', 7, 60), 'crt-0007.png');
+  assert.strictEqual(CRTRecording.frameName('crt', 7, 20000), 'crt-00007.png');
+});
+
+test('the archive is a valid stored ZIP with fixed timestamps', () => {
+  const encoder = new TextEncoder();
+  assert.strictEqual(CRTRecording.crc32(encoder.encode('123456789')), 0xcbf43926);
+  const files = [{name: 'crt-0000.png', data: encoder.encode('first')}, {name: 'crt-0001.png', data: new Uint8Array([0, 255, 7])}];
+  const archive = CRTRecording.zip(files);
+  const view = new DataView(archive.buffer);
+  // end of central directory: entry count, directory size and offset
+  const end = archive.length - 22;
+  assert.strictEqual(view.getUint32(end, true), 0x06054b50);
+  assert.strictEqual(view.getUint16(end + 10, true), 2);
+  const dirStart = view.getUint32(end + 16, true);
+  assert.strictEqual(dirStart + view.getUint32(end + 12, true), end);
+  // walk the central directory back to each file's data
+  let pos = dirStart;
+  files.forEach(f => {
+    assert.strictEqual(view.getUint32(pos, true), 0x02014b50);
+    assert.strictEqual(view.getUint32(pos + 16, true), CRTRecording.crc32(f.data));
+    const nameLength = view.getUint16(pos + 28, true);
+    assert.strictEqual(new TextDecoder().decode(archive.subarray(pos + 46, pos + 46 + nameLength)), f.name);
+    const local = view.getUint32(pos + 42, true);
+    assert.strictEqual(view.getUint32(local, true), 0x04034b50);
+    const dataStart = local + 30 + view.getUint16(local + 26, true);
+    assert.deepStrictEqual(Array.from(archive.subarray(dataStart, dataStart + f.data.length)), Array.from(f.data));
+    pos += 46 + nameLength;
+  });
+  assert.deepStrictEqual(CRTRecording.zip(files), archive);
+});
@@ -0,0 +1,33 @@
+// Tests for the scenario presets and their file and URL encodings. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTScenarios = require('../scenarios.js');
+
+const defaults = {'accel-slider': 2000, 'magnetic-toggle': false, 'phosphor-select': 'P7', 'scope-toggle': false};
+
+test('a scenario survives the URL hash, which only carries the changed controls', () => {
+  const scenario = CRTScenarios.createScenario(Object.assign({}, defaults, {'accel-slider': 5000, 'phosphor-select': 'P1'}),
+    {position: [0.25, 0.125, 0.7], quaternion: [0, 0, 0, 1], target: [0, 0.125, 0]});
+  const hash = CRTScenarios.encodeHash(scenario, defaults);
+  assert.ok(hash.startsWith('scenario='));
+  assert.ok(!decodeURIComponent(hash).includes('magnetic-toggle'));
+  assert.deepStrictEqual(CRTScenarios.decodeHash('#' + hash, defaults), scenario);
+  assert.strictEqual(CRTScenarios.decodeHash('#other=1', defaults), null);
+  assert.throws(() => CRTScenarios.decodeHash('#scenario=%7Bbroken', defaults), /damaged/);
+});
+
+test('parsing rejects foreign files and drops malformed values', () => {
+  assert.throws(() => CRTScenarios.parseScenario({controls: {}}), /not a CRT scenario/);
+  assert.throws(() => CRTScenarios.parseScenario({format: 'crt-scenario', version: 99, controls: {}}), /version 99/);
+  const parsed = CRTScenarios.parseScenario({format: 'crt-scenario', version: 1, controls: {'accel-slider': 3000, bad: {x: 1}, nan: NaN}, camera: {position: [0, 0]}});
+  assert.deepStrictEqual(parsed.controls, {'accel-slider': 3000});
+  assert.strictEqual(parsed.camera, null);
+});
+
+test('built-in presets fill in the defaults', () => {
+  assert.deepStrictEqual(CRTScenarios.presetScenario('Default', defaults).controls, defaults);
+  const scope = CRTScenarios.presetScenario('Basic oscilloscope', defaults);
+  assert.strictEqual(scope.controls['scope-toggle'], true);
+  assert.strictEqual(scope.controls['accel-slider'], 2000);
+  assert.strictEqual(CRTScenarios.presetScenario('No such preset', defaults), null);
+});
@@ -0,0 +1,68 @@
+// Tests for the function generator and trigger logic. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTSignals = require('../signals.js');
+
+const sine = {shape: 'sine', frequency: 1000, amplitude: 2, offset: 0};
+
+test('unit waveforms span [-1, 1] with the expected shapes', () => {
+  assert.strictEqual(CRTSignals.unitWaveform('square', 0.25), 1);
+  assert.strictEqual(CRTSignals.unitWaveform('square', 0.75), -1);
+  assert.strictEqual(CRTSignals.unitWaveform('triangle', 0), -1);
+  assert.strictEqual(CRTSignals.unitWaveform('triangle', 0.5), 1);
+  assert.strictEqual(CRTSignals.unitWaveform('sawtooth', 1.75), 0.5);
+  assert.strictEqual(CRTSignals.unitWaveform('dc', 0.3), 0);
+  assert.ok(Math.abs(CRTSignals.unitWaveform('sine', 0.25) - 1) < 1e-12);
+  assert.strictEqual(CRTSignals.generatorValue({shape: 'dc', frequency: 50, amplitude: 3, offset: 1.5}, 0.123), 1.5);
+});
+
+test('trigger finds the requested level and slope', () => {
+  // sin(2 pi f t) = 0.5 first at t = 1/(12 f) rising and 5/(12 f) falling
+  const rising = CRTSignals.findTrigger(sine, 0, 1, 'rising');
+  const falling = CRTSignals.findTrigger(sine, 0, 1, 'falling');
+  assert.ok(Math.abs(rising - 1 / 12000) < 1e-12, `rising ${rising}`);
+  assert.ok(Math.abs(falling - 5 / 12000) < 1e-12, `falling ${falling}`);
+  // later start times find the crossing in the next period
+  const next = CRTSignals.findTrigger(sine, 0.0002, 1, 'rising');
+  assert.ok(Math.abs(next - (1 / 12000 + 0.001)) < 1e-12, `next ${next}`);
+});
+
+test('trigger returns null when the level is never crossed', () => {
+  assert.strictEqual(CRTSignals.findTrigger(sine, 0, 3, 'rising'), null);
+  assert.strictEqual(CRTSignals.findTrigger({shape: 'dc', frequency: 1000, amplitude: 2, offset: 0}, 0, 0, 'rising'), null);
+});
+
+test('square wave triggers on its edge', () => {
+  const square = {shape: 'square', frequency: 500, amplitude: 1, offset: 0};
+  const t = CRTSignals.findTrigger(square, 0.0001, 0, 'rising');
+  assert.ok(Math.abs(t - 0.002) < 1e-12, `edge ${t}`);
+});
+
+const tv = {lines: 5, frameRate: 1, interlace: false, hBlank: 0.2, vBlank: 0.1};
+
+test('raster deflection traces over the active period and retraces during blanking', () => {
+  assert.strictEqual(CRTSignals.rasterDeflection(0, 0.2), -1);
+  assert.strictEqual(CRTSignals.rasterDeflection(0.4, 0.2), 0);
+  assert.strictEqual(CRTSignals.rasterDeflection(0.8, 0.2), 1);
+  assert.ok(Math.abs(CRTSignals.rasterDeflection(0.9, 0.2)) < 1e-12);
+  // video is blanked during both retraces
+  assert.deepStrictEqual(CRTSignals.videoCoords({h: 0.4, v: 0.45}, tv), {u: 0.5, v: 0.5});
+  assert.strictEqual(CRTSignals.videoCoords({h: 0.85, v: 0.45}, tv), null);
+  assert.strictEqual(CRTSignals.videoCoords({h: 0.4, v: 0.95}, tv), null);
+});
+
+test('interlaced fields start half a line apart for an odd line count', () => {
+  const interlaced = Object.assign({}, tv, {interlace: true});
+  assert.strictEqual(CRTSignals.fieldRate(interlaced), 2);
+  // the second field starts at t = 0.5 s, 2.5 line periods into the frame
+  const second = CRTSignals.rasterPhases(0.5, interlaced);
+  assert.ok(Math.abs(second.h - 0.5) < 1e-12 && second.v < 1e-12, JSON.stringify(second));
+});
+
+test('a free-running oscillator drifts against the sync', () => {
+  const locked = CRTSignals.rasterPhases(10.25, tv);
+  const drifting = CRTSignals.rasterPhases(10.25, tv, {h: 0, v: 0.02});
+  assert.ok(Math.abs(locked.v - 0.25) < 1e-9);
+  assert.ok(Math.abs(drifting.v - 0.455) < 1e-9, `v ${drifting.v}`);
+  assert.strictEqual(drifting.h, locked.h);
+});
@@ -0,0 +1,62 @@
+// Tests for the crossed-field balance and the e/m measurement. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const CRTPhysics = require('../physics.js');
+const CRTAnalysis = require('../analysis.js');
+const CRTThomson = require('../thomson.js');
+
+const geometry = CRTPhysics.DEFAULT_GEOMETRY;
+const d = geometry.plate_spacing_m;
+const axisY = geometry.height_m / 2;
+
+function assertClose(actual, expected, tol, msg) {
+  assert.ok(Math.abs(actual - expected) <= tol, `${msg}: expected ${expected}, got ${actual}`);
+}
+
+test('crossed fields let the speed v = E / B through undeflected, whatever the charge', () => {
+  const V_acc = 2000;
+  const V_plate = 40;
+  const v = CRTPhysics.computeInitialSpeed(V_acc);
+  const B_cross = V_plate / d / v;
+  assertClose(CRTThomson.balanceSpeed(V_plate, B_cross, d), v, v * 1e-12, 'balance speed');
+  assert.strictEqual(CRTThomson.balanceSpeed(V_plate, 0, d), null);
+  const hit = params => CRTPhysics.computeTrack(geometry, Object.assign({V_acc, V_plate, B_cross}, params)).y_screen_m - axisY;
+  const electric = hit({B_cross: 0});
+  assert.ok(Math.abs(hit({})) < Math.abs(electric) * 1e-6, `balanced electron at ${hit({})} m`);
+  assert.ok(Math.abs(hit({particle: CRTPhysics.PARTICLES.positron})) < Math.abs(electric) * 1e-6, 'balanced positron');
+  assert.ok(Math.abs(CRTAnalysis.analyticTrack(geometry, {V_acc, V_plate, B_cross}).hit_y) < Math.abs(electric) * 1e-9, 'textbook');
+  // a slower beam is bent by the electric force, a faster one by the magnetic force
+  assert.ok(Math.sign(hit({V_acc: 1500})) === Math.sign(electric));
+  assert.ok(Math.sign(hit({V_acc: 2500})) === -Math.sign(electric));
+
+  const state = CRTThomson.balanceState({none: 0, electric, both: hit({B_cross: B_cross * 0.9})});
+  assert.ok(state.fraction > 0.05 && state.fraction < 0.15 && !state.balanced, `fraction ${state.fraction}`);
+  assert.ok(CRTThomson.balanceState({none: 0, electric, both: hit({})}).balanced);
+  assert.strictEqual(CRTThomson.balanceState({none: 0, electric: 0, both: 0}).fraction, null);
+});
+
+test('balanced readings give e/m with an uncertainty from the settings and their spread', () => {
+  const em = CRTPhysics.E_CHARGE / CRTPhysics.E_MASS;
+  const reading = V_acc => {
+    const V_plate = 50;
+    return {V_acc, V_plate, B_cross: V_plate / d / CRTPhysics.computeInitialSpeed(V_acc), plateSpacing: d, fraction: 0};
+  };
+  const exact = CRTThomson.chargeToMass(reading(2000));
+  assertClose(exact.qm, em, em * 1e-12, 'e/m');
+  assert.strictEqual(exact.uncertainty, 0);
+  // only B is uncertain: 1% of B is 2% of e/m
+  const r = reading(2000);
+  assertClose(CRTThomson.chargeToMass(r, {B_cross: r.B_cross / 100}).uncertainty, 0.02 * em, em * 1e-9, 'from B');
+  assertClose(CRTThomson.chargeToMass(Object.assign({}, r, {fraction: 0.005})).uncertainty, 0.01 * em, em * 1e-9, 'from the imbalance');
+
+  const results = [1000, 2000, 4000].map(V => CRTThomson.chargeToMass(reading(V), {V_plate: 0.5}));
+  const estimate = CRTThomson.estimate(results);
+  assert.strictEqual(estimate.count, 3);
+  assertClose(estimate.qm, em, em * 1e-9, 'estimate');
+  // each reading is 2% uncertain (0.5 V of 50 V, twice) and they agree, so the mean of three is 2% / √3
+  assertClose(estimate.uncertainty, 0.02 / Math.sqrt(3) * em, em * 1e-9, 'uncertainty');
+  // readings that disagree widen the estimate to their spread
+  const spread = CRTThomson.estimate([{qm: 1.6e11, uncertainty: 1e8}, {qm: 1.9e11, uncertainty: 1e8}]);
+  assertClose(spread.uncertainty, 1.5e10, 1, 'spread');
+  assert.strictEqual(CRTThomson.estimate([]), null);
+});
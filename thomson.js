@@ -0,0 +1,79 @@
+// CRT simulation - thomson.js
+// DOM-free crossed-field (Wien filter) balance and Thomson's e/m measurement: the speed a plate field and a crossed
+// magnetic field let through undeflected, how well a spot is balanced, the charge-to-mass ratio from a balanced reading
+// and the estimate with its uncertainty from a set of readings. Runs in the browser (window.CRTThomson) and in Node
+// (require('./thomson.js')).
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CRTThomson = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  // residual deflection, as a fraction of the deflection by the plates alone, that still counts as balanced
+  const BALANCE_TOLERANCE = 0.01;
+
+  // Speed v = E / B in m/s at which the force of the plate field E = V_plate / d cancels that of the crossed field
+  // B_cross (T); null without a crossed field
+  function balanceSpeed(V_plate, B_cross, plateSpacing) {
+    if (!B_cross) return null;
+    return V_plate / plateSpacing / B_cross;
+  }
+
+  // How far the crossed fields are from balance, judged from the spot as in the real experiment: `hits` {none,
+  // electric, both} are the screen y (m) with neither field, with the plates alone and with the plates and the crossed
+  // field. `fraction` is the residual deflection over the electric one: 0 when balanced, positive while the electric
+  // force wins and negative once the magnetic force does. Null fraction when the plates do not deflect the beam.
+  function balanceState(hits) {
+    const residual = hits.both - hits.none;
+    const electric = hits.electric - hits.none;
+    if (electric === 0) return {residual, fraction: null, balanced: false};
+    const fraction = residual / electric;
+    return {residual, fraction, balanced: Math.abs(fraction) <= BALANCE_TOLERANCE};
+  }
+
+  // Charge-to-mass ratio from a balanced reading {V_acc, V_plate, B_cross, plateSpacing, fraction}: the balance gives
+  // v = E / B and the gun e V_acc = ½ m v², so q/m = E² / (2 V_acc B²). The relative uncertainty adds in quadrature
+  // the resolution to which each setting is known (`resolution` {V_acc, V_plate, B_cross} in V, V and T; E and B
+  // count twice) and the imbalance left in the reading, which puts v off by about that fraction.
+  function chargeToMass(reading, resolution = {}) {
+    const {V_acc, V_plate, B_cross, plateSpacing, fraction = 0} = reading;
+    const v = Math.abs(balanceSpeed(V_plate, B_cross, plateSpacing));
+    const qm = v * v / (2 * V_acc);
+    const relative = Math.hypot(
+      (resolution.V_acc || 0) / V_acc,
+      2 * (resolution.V_plate || 0) / Math.abs(V_plate),
+      2 * (resolution.B_cross || 0) / Math.abs(B_cross),
+      2 * (fraction || 0)
+    );
+    return {v, qm, uncertainty: qm * relative};
+  }
+
+  // Estimate from several chargeToMass results: their mean weighted by 1/uncertainty², with the larger of its own
+  // uncertainty and the standard error of the readings' spread, so that readings that disagree more than their
+  // uncertainties allow widen it. `scatter` is the standard error (null for a single reading).
+  function estimate(results) {
+    const count = results.length;
+    if (count === 0) return null;
+    const weights = results.map(r => (r.uncertainty > 0 ? 1 / (r.uncertainty * r.uncertainty) : null));
+    const weighted = weights.every(w => w !== null);
+    const qm = weighted
+      ? results.reduce((sum, r, i) => sum + weights[i] * r.qm, 0) / weights.reduce((a, b) => a + b, 0)
+      : results.reduce((sum, r) => sum + r.qm, 0) / count;
+    const own = weighted ? 1 / Math.sqrt(weights.reduce((a, b) => a + b, 0)) : 0;
+    let scatter = null;
+    if (count > 1) {
+      const mean = results.reduce((sum, r) => sum + r.qm, 0) / count;
+      const variance = results.reduce((sum, r) => sum + (r.qm - mean) * (r.qm - mean), 0) / (count - 1);
+      scatter = Math.sqrt(variance / count);
+    }
+    return {count, qm, uncertainty: Math.max(own, scatter || 0), scatter};
+  }
+
+  return {
+    BALANCE_TOLERANCE,
+    balanceSpeed,
+    balanceState,
+    chargeToMass,
+    estimate,
+  };
+});